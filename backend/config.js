@@ -0,0 +1,56 @@
+const path = require('path');
+
+// Runtime configuration, read from the environment
+module.exports = {
+  port: process.env.PORT || 3000,
+
+  // Absolute address of this server, for links that leave it: media in generated PDFs, default
+  // export sitemaps, signing links and email links. Never taken from the request's Host header.
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, ''),
+
+  storage: {
+    // 'json' keeps one file per collection in dataDir, 'sqlite' uses a single database file
+    driver: process.env.STORAGE_DRIVER || 'json',
+    dataDir: process.env.DATA_DIR || 'data',
+    sqliteFile: process.env.SQLITE_FILE || path.join(process.env.DATA_DIR || 'data', 'katikaname.db')
+  },
+
+  auth: {
+    // Must be set in production; the fallback only exists for local development
+    jwtSecret: process.env.JWT_SECRET || 'katikaname-dev-secret',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    // Optional admin account created on startup if it doesn't exist yet
+    adminEmail: process.env.ADMIN_EMAIL,
+    adminPassword: process.env.ADMIN_PASSWORD
+  },
+
+  jobs: {
+    // Background jobs (PDF and site generation) run in this process, this many at a time
+    concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+    // A failed job is retried until it has run this many times, waiting retryDelayMs × attempt between runs
+    maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) || 3,
+    retryDelayMs: Number(process.env.JOB_RETRY_DELAY_MS) || 2000
+  },
+
+  publishing: {
+    // How often scheduled publish/unpublish times are checked
+    checkIntervalMs: Number(process.env.PUBLISH_CHECK_INTERVAL_MS) || 60 * 1000
+  },
+
+  mail: {
+    // 'console' prints each email, 'file' writes it to outboxDir as an .eml file; other
+    // transports are added with registerTransport() in lib/mail.js
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'KatikaNaMe <no-reply@katikaname.local>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join('generated', 'mail'),
+    // Where the website pages are, for links in emails (links to this server use publicUrl)
+    siteUrl: process.env.SITE_URL || 'http://localhost:8080'
+  },
+
+  alerts: {
+    // How often saved searches are checked for new listings and approaching deadlines
+    checkIntervalMs: Number(process.env.ALERT_CHECK_INTERVAL_MS) || 15 * 60 * 1000,
+    // Shortest time between two digest emails to the same account
+    digestIntervalMs: Number(process.env.ALERT_DIGEST_INTERVAL_MS) || 24 * 60 * 60 * 1000
+  }
+};
@@ -0,0 +1,304 @@
+// Opportunity alerts: saved searches, the in-app notification feed and email digests.
+//
+// A saved search keeps the filters of the opportunities listing (type, location, status, q,
+// as in GET /api/opportunities). Every config.alerts.checkIntervalMs the saved searches are
+// matched against the board and a notification is added to the searcher's feed for
+//   new-opportunity  a matching opportunity posted after the search was saved
+//   deadline         a matching opportunity that is closing soon
+// at most once per account, opportunity and kind however many searches match it.
+//
+// Notifications from searches with emailDigest on are also collected into one digest email
+// per account, sent at most every config.alerts.digestIntervalMs. Digests carry unsubscribe
+// links: signed tokens that turn email off for one search, or for all of the account's searches.
+
+const crypto = require('crypto');
+const config = require('../config');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const Opportunity = require('../models/Opportunity');
+const User = require('../models/User');
+const { escapeHtml } = require('./html');
+const { parseFilters, matchesFilters, opportunityStatus, toOpportunityView } = require('./opportunities');
+
+const KINDS = ['new-opportunity', 'deadline'];
+const FILTER_KEYS = ['type', 'location', 'status', 'q'];
+const MAX_SAVED_SEARCHES = 20;
+const MAX_NAME_LENGTH = 80;
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Filters as listing query parameters; lists may be given as arrays or comma-separated
+function filterQuery(filters) {
+  const query = {};
+  FILTER_KEYS.forEach(key => {
+    const value = Array.isArray(filters[key]) ? filters[key].join(',') : text(filters[key]);
+    if (value) {
+      query[key] = value;
+    }
+  });
+  return query;
+}
+
+// Validate a saved search. With `partial` only the fields present are checked and returned.
+function normalizeSavedSearch(body, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+  const has = field => !partial || body[field] !== undefined;
+
+  if (has('name')) {
+    fields.name = text(body.name);
+    if (!fields.name) {
+      errors.push('name is required');
+    } else if (fields.name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  if (has('filters')) {
+    const filters = body.filters === undefined ? {} : body.filters;
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      errors.push(`filters must be an object with ${FILTER_KEYS.join(', ')}`);
+    } else {
+      fields.query = filterQuery(filters);
+      errors.push(...parseFilters(fields.query).errors);
+    }
+  }
+  if (has('emailDigest')) {
+    if (body.emailDigest !== undefined && typeof body.emailDigest !== 'boolean') {
+      errors.push('emailDigest must be true or false');
+    }
+    fields.emailDigest = body.emailDigest !== false;
+  }
+  return { fields, errors };
+}
+
+function toSavedSearchView(search) {
+  return {
+    ...search,
+    listingQuery: new URLSearchParams(search.query).toString()
+  };
+}
+
+function formatDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function notificationMessage(kind, opportunity, search) {
+  const view = toOpportunityView(opportunity);
+  return kind === 'deadline'
+    ? `Closing soon: ${view.title} (${view.organizer}) - apply by ${formatDate(view.deadline)}`
+    : `New ${view.typeLabel.toLowerCase()} matching "${search.name}": ${view.title} (${view.organizer}, ${view.location})`;
+}
+
+// Match every saved search against the board and add the notifications that are due.
+// Returns how many were added.
+async function checkSavedSearches(now = new Date()) {
+  const searches = await SavedSearch.find();
+  if (searches.length === 0) {
+    return 0;
+  }
+  const opportunities = await Opportunity.find();
+  const sent = new Map(); // userId -> Set of "kind:opportunityId" already notified
+  let added = 0;
+
+  for (const search of searches) {
+    if (!sent.has(search.userId)) {
+      const existing = await Notification.find({ userId: search.userId });
+      sent.set(search.userId, new Set(existing.map(notification => `${notification.kind}:${notification.opportunityId}`)));
+    }
+    const notified = sent.get(search.userId);
+    const { filters } = parseFilters(search.query);
+
+    for (const opportunity of opportunities) {
+      if (opportunity.ownerId === search.userId || !matchesFilters(opportunity, filters, now)) {
+        continue;
+      }
+      const kinds = [];
+      if (opportunity.createdAt > search.createdAt) kinds.push('new-opportunity');
+      if (opportunityStatus(opportunity, now) === 'closing-soon') kinds.push('deadline');
+
+      for (const kind of kinds.filter(candidate => !notified.has(`${candidate}:${opportunity.id}`))) {
+        await Notification.create({
+          userId: search.userId,
+          kind,
+          opportunityId: opportunity.id,
+          savedSearchId: search.id,
+          searchName: search.name,
+          message: notificationMessage(kind, opportunity, search),
+          emailPending: search.emailDigest !== false,
+          emailedAt: null,
+          readAt: null,
+          createdAt: now.toISOString()
+        });
+        notified.add(`${kind}:${opportunity.id}`);
+        added++;
+      }
+    }
+  }
+  return added;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', config.auth.jwtSecret).update(`unsubscribe:${payload}`).digest('base64url');
+}
+
+// Token for an unsubscribe link: scope is 'search' (one saved search) or 'user' (all of them)
+function unsubscribeToken(scope, id) {
+  const payload = `${scope}:${id}`;
+  return `${Buffer.from(payload).toString('base64url')}.${sign(payload)}`;
+}
+
+function verifyUnsubscribeToken(token) {
+  const [encoded, signature] = String(token).split('.');
+  if (!encoded || !signature) {
+    return null;
+  }
+  const payload = Buffer.from(encoded, 'base64url').toString();
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+  const [scope, id] = payload.split(':');
+  return ['search', 'user'].includes(scope) && id ? { scope, id } : null;
+}
+
+const unsubscribeUrl = (scope, id) => `${config.publicUrl}/api/alerts/unsubscribe/${unsubscribeToken(scope, id)}`;
+
+// Turn email off for saved searches; pending notifications from them are no longer emailed
+async function stopEmails(searches) {
+  for (const search of searches) {
+    await SavedSearch.findByIdAndUpdate(search.id, { emailDigest: false, updatedAt: new Date().toISOString() });
+    await clearPendingEmails({ savedSearchId: search.id });
+  }
+}
+
+async function clearPendingEmails(filter) {
+  const pending = (await Notification.find(filter)).filter(notification => notification.emailPending);
+  for (const notification of pending) {
+    await Notification.findByIdAndUpdate(notification.id, { emailPending: false });
+  }
+}
+
+// Follow an unsubscribe link. Returns the saved searches email was turned off for, or null
+// if the token is not valid.
+async function unsubscribe(token) {
+  const target = verifyUnsubscribeToken(token);
+  if (!target) {
+    return null;
+  }
+  const searches = target.scope === 'user'
+    ? await SavedSearch.find({ userId: target.id })
+    : [await SavedSearch.findById(target.id)].filter(Boolean);
+  await stopEmails(searches);
+  return searches;
+}
+
+function buildDigest(user, notifications, searches) {
+  const careersUrl = `${config.mail.siteUrl}/careers.html`;
+  const allUrl = unsubscribeUrl('user', user.id);
+  const groups = searches
+    .map(search => ({ search, items: notifications.filter(notification => notification.savedSearchId === search.id) }))
+    .filter(group => group.items.length > 0);
+
+  const text = [
+    `Hi ${user.name || 'there'},`,
+    '',
+    'Here is what is new for your saved opportunity searches on KatikaNaMe.',
+    ...groups.flatMap(({ search, items }) => [
+      '',
+      search.name,
+      ...items.map(item => `- ${item.message}`),
+      `Stop emails for this search: ${unsubscribeUrl('search', search.id)}`
+    ]),
+    '',
+    `See every opportunity: ${careersUrl}`,
+    `Unsubscribe from all opportunity emails: ${allUrl}`
+  ].join('\n');
+
+  const html = [
+    `<p>Hi ${escapeHtml(user.name || 'there')},</p>`,
+    '<p>Here is what is new for your saved opportunity searches on KatikaNaMe.</p>',
+    ...groups.map(({ search, items }) => [
+      `<h3>${escapeHtml(search.name)}</h3>`,
+      `<ul>${items.map(item => `<li>${escapeHtml(item.message)}</li>`).join('')}</ul>`,
+      `<p><small><a href="${escapeHtml(unsubscribeUrl('search', search.id))}">Stop emails for this search</a></small></p>`
+    ].join('\n')),
+    `<p><a href="${escapeHtml(careersUrl)}">See every opportunity</a></p>`,
+    `<p><small><a href="${escapeHtml(allUrl)}">Unsubscribe from all opportunity emails</a></small></p>`
+  ].join('\n');
+
+  return {
+    to: user.email,
+    subject: `${notifications.length} new opportunity ${notifications.length === 1 ? 'alert' : 'alerts'} for you`,
+    text,
+    html,
+    headers: {
+      'List-Unsubscribe': `<${allUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+// Email each account its pending notifications, unless it had a digest less than
+// config.alerts.digestIntervalMs ago. An account whose digest fails keeps its notifications
+// pending for the next run and doesn't hold up the others. Returns how many digests were sent.
+async function sendDigests(transport, now = new Date()) {
+  const pending = (await Notification.find()).filter(notification => notification.emailPending);
+  const userIds = [...new Set(pending.map(notification => notification.userId))];
+  let sentCount = 0;
+
+  for (const userId of userIds) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) continue;
+      if (user.lastDigestAt && now - new Date(user.lastDigestAt) < config.alerts.digestIntervalMs) continue;
+
+      const searches = await SavedSearch.find({ userId });
+      const notifications = pending.filter(notification => notification.userId === userId
+        && searches.some(search => search.id === notification.savedSearchId && search.emailDigest !== false));
+      if (notifications.length === 0) {
+        await clearPendingEmails({ userId });
+        continue;
+      }
+
+      await transport.send(buildDigest(user, notifications, searches));
+      for (const notification of notifications) {
+        await Notification.findByIdAndUpdate(notification.id, { emailPending: false, emailedAt: now.toISOString() });
+      }
+      await User.findByIdAndUpdate(userId, { lastDigestAt: now.toISOString() });
+      sentCount++;
+    } catch (error) {
+      console.error(`Error sending opportunity digest to user ${userId}:`, error);
+    }
+  }
+  return sentCount;
+}
+
+// Check saved searches, then send the digests that are due
+async function runAlerts(transport, now = new Date()) {
+  const notified = await checkSavedSearches(now);
+  const emailed = await sendDigests(transport, now);
+  return { notified, emailed };
+}
+
+async function deleteNotifications(filter) {
+  await Notification.deleteMany(filter);
+}
+
+module.exports = {
+  KINDS,
+  MAX_SAVED_SEARCHES,
+  normalizeSavedSearch,
+  toSavedSearchView,
+  checkSavedSearches,
+  sendDigests,
+  runAlerts,
+  unsubscribe,
+  unsubscribeToken,
+  clearPendingEmails,
+  deleteNotifications
+};
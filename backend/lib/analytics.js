@@ -0,0 +1,259 @@
+// Self-hosted, cookie-free analytics for portfolio pages and the platform's own pages.
+//
+// Events are never stored individually. Each one is added to a per-day record for its
+// subject ("portfolio:<id>" or "page:<name>") in the `analytics` collection:
+//   views, downloads                counters
+//   referrers, clicks               counts by referring host / clicked link; both come from the
+//                                   client, so past MAX_DISTINCT_KEYS a day new ones count as 'other'
+//   visitors                        hashes of the visitors seen that day
+// A visitor hash is sha256(daily salt, subject, IP, user agent). The salt is random, lives
+// in `analytics_salts` for one UTC day and is then deleted, and the day's hashes are replaced
+// by their count, so visitors can't be recognised across days or traced back to an IP.
+
+const crypto = require('crypto');
+const Analytics = require('../models/Analytics');
+const AnalyticsSalt = require('../models/AnalyticsSalt');
+
+const EVENT_TYPES = ['view', 'click', 'download'];
+const MAX_LABEL_LENGTH = 80;
+const MAX_DISTINCT_KEYS = 100;
+const OTHER_KEY = 'other';
+const MAX_DAYS = 365;
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|preview|headless/i;
+
+// Writes are applied one at a time so concurrent events don't overwrite each other's counts
+let queue = Promise.resolve();
+
+function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function portfolioSubject(portfolioId) {
+  return `portfolio:${portfolioId}`;
+}
+
+function pageSubject(page) {
+  return `page:${page}`;
+}
+
+// Short, single-line label for a clicked link or button
+function label(value) {
+  const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  return text ? text.slice(0, MAX_LABEL_LENGTH) : null;
+}
+
+// Counts with one added for `key`, or for OTHER_KEY once the day has MAX_DISTINCT_KEYS keys
+function increment(counts, key) {
+  const bucket = Object.hasOwn(counts, key) || Object.keys(counts).length < MAX_DISTINCT_KEYS ? key : OTHER_KEY;
+  return { ...counts, [bucket]: (counts[bucket] || 0) + 1 };
+}
+
+// Host of the referring page, 'direct' without one; the site's own pages don't count as referrers
+function referrerHost(referrer, ownHost) {
+  try {
+    const { protocol, host } = new URL(referrer);
+    if (!['http:', 'https:'].includes(protocol)) {
+      return 'direct';
+    }
+    return host === ownHost ? null : host.replace(/^www\./, '');
+  } catch (error) {
+    return 'direct';
+  }
+}
+
+// Requests that shouldn't be counted: crawlers, link previews and Do Not Track
+function shouldIgnore({ userAgent = '', doNotTrack }) {
+  return doNotTrack === '1' || !userAgent || BOT_PATTERN.test(userAgent);
+}
+
+// Today's salt; starting a new day deletes older salts and compacts older records
+async function dailySalt(date) {
+  const existing = await AnalyticsSalt.findOne({ date });
+  if (existing) {
+    return existing.salt;
+  }
+
+  for (const old of await AnalyticsSalt.find()) {
+    await AnalyticsSalt.findByIdAndDelete(old.id);
+  }
+  for (const record of await Analytics.find({ compacted: false })) {
+    if (record.date < date) {
+      await Analytics.findByIdAndUpdate(record.id, {
+        uniqueVisitors: record.visitors.length,
+        visitors: [],
+        compacted: true
+      });
+    }
+  }
+
+  const salt = crypto.randomBytes(32).toString('hex');
+  await AnalyticsSalt.create({ date, salt });
+  return salt;
+}
+
+async function applyEvent({ subject, type, target, referrer, host, ip, userAgent, now }) {
+  const date = today(now);
+  const salt = await dailySalt(date);
+  const visitor = crypto.createHash('sha256').update([salt, subject, ip, userAgent].join('|')).digest('hex');
+
+  const record = await Analytics.findOne({ subject, date }) || await Analytics.create({
+    subject,
+    date,
+    views: 0,
+    downloads: 0,
+    referrers: {},
+    clicks: {},
+    visitors: [],
+    uniqueVisitors: 0,
+    compacted: false
+  });
+  const changes = {};
+
+  if (!record.visitors.includes(visitor)) {
+    changes.visitors = [...record.visitors, visitor];
+    changes.uniqueVisitors = changes.visitors.length;
+  }
+  if (type === 'view') {
+    changes.views = record.views + 1;
+    const source = referrerHost(referrer, host);
+    if (source) {
+      changes.referrers = increment(record.referrers, source);
+    }
+  } else if (type === 'click') {
+    changes.clicks = increment(record.clicks, label(target) || 'unknown');
+  } else if (type === 'download') {
+    changes.downloads = record.downloads + 1;
+  }
+
+  await Analytics.findByIdAndUpdate(record.id, changes);
+}
+
+// Count one event. `request` carries what identifies the visitor for the day
+// ({ ip, userAgent, doNotTrack, host }); resolves to false if the event was ignored.
+function recordEvent({ subject, type, target = null, referrer = '' }, request) {
+  if (!EVENT_TYPES.includes(type)) {
+    return Promise.reject(new Error(`Unknown analytics event type: ${type}`));
+  }
+  if (shouldIgnore(request)) {
+    return Promise.resolve(false);
+  }
+
+  const run = queue.then(() => applyEvent({
+    subject,
+    type,
+    target,
+    referrer,
+    host: request.host,
+    ip: request.ip || '',
+    userAgent: request.userAgent,
+    now: new Date()
+  })).then(() => true);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Visitor details recordEvent needs from an Express request
+function requestContext(req) {
+  return {
+    ip: req.ip,
+    userAgent: req.get('user-agent') || '',
+    doNotTrack: req.get('dnt'),
+    host: req.get('host')
+  };
+}
+
+function addCounts(into, counts) {
+  Object.entries(counts || {}).forEach(([key, count]) => {
+    into[key] = (into[key] || 0) + count;
+  });
+  return into;
+}
+
+function ranked(counts, name) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([key, count]) => ({ [name]: key, count }));
+}
+
+// Daily series and totals for the last `days` days (including today). Unique visitors are
+// counted per day, so the total is the sum of daily uniques.
+async function summarize(subject, { days = 30, now = new Date() } = {}) {
+  const span = Math.min(Math.max(days, 1), MAX_DAYS);
+  const dates = [];
+  for (let offset = span - 1; offset >= 0; offset -= 1) {
+    dates.push(today(new Date(now.getTime() - offset * 24 * 60 * 60 * 1000)));
+  }
+
+  const byDate = new Map((await Analytics.find({ subject }))
+    .filter(record => record.date >= dates[0])
+    .map(record => [record.date, record]));
+
+  const referrers = {};
+  const clicks = {};
+  const series = dates.map(date => {
+    const record = byDate.get(date);
+    if (!record) {
+      return { date, views: 0, uniqueVisitors: 0, clicks: 0, downloads: 0 };
+    }
+    addCounts(referrers, record.referrers);
+    addCounts(clicks, record.clicks);
+    return {
+      date,
+      views: record.views,
+      uniqueVisitors: record.uniqueVisitors,
+      clicks: Object.values(record.clicks).reduce((sum, count) => sum + count, 0),
+      downloads: record.downloads
+    };
+  });
+
+  const totals = ['views', 'uniqueVisitors', 'clicks', 'downloads'].reduce((sums, field) => {
+    sums[field] = series.reduce((sum, day) => sum + day[field], 0);
+    return sums;
+  }, {});
+
+  return {
+    range: { from: dates[0], to: dates[dates.length - 1], days: span },
+    totals,
+    series,
+    referrers: ranked(referrers, 'source'),
+    clicks: ranked(clicks, 'target')
+  };
+}
+
+// Parse a ?days= query value: an integer from 1 to MAX_DAYS, 30 if omitted, null if invalid
+function parseDays(value) {
+  if (value === undefined) {
+    return 30;
+  }
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= MAX_DAYS ? days : null;
+}
+
+// Views per subject over the last `days` days (including today), for ranking by popularity
+async function recentViews({ days = 30, now = new Date() } = {}) {
+  const from = today(new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000));
+  const views = new Map();
+  for (const record of await Analytics.find()) {
+    if (record.date >= from && record.views > 0) {
+      views.set(record.subject, (views.get(record.subject) || 0) + record.views);
+    }
+  }
+  return views;
+}
+
+async function deleteAnalytics(subject) {
+  await Analytics.deleteMany({ subject });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_DAYS,
+  portfolioSubject,
+  pageSubject,
+  recordEvent,
+  requestContext,
+  summarize,
+  parseDays,
+  recentViews,
+  deleteAnalytics
+};
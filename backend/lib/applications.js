@@ -0,0 +1,156 @@
+// Applications to opportunities on the board.
+//
+// An artist applies with one of their portfolio's generated PDFs, which is copied to
+// generated/applications/<id>.pdf so the organizer keeps the version that was sent even after
+// the portfolio is regenerated or deleted, plus the fields the opportunity asks for. The artist's
+// name, category and contact details are copied in too: applying shares them with the organizer.
+//
+// Statuses:
+//   submitted    waiting for the organizer
+//   shortlisted  the organizer is considering it
+//   accepted     the organizer accepted it (final)
+//   rejected     the organizer turned it down; they can still move it back to the shortlist
+//   withdrawn    the applicant withdrew it (final); they may then apply again
+// Every change is kept in `history`, with the organizer's note if they left one. The history
+// and notes are shown to the applicant as well.
+
+const fs = require('fs-extra');
+const path = require('path');
+const Application = require('../models/Application');
+const { safeUrl } = require('./html');
+const { APPLICATION_FIELDS, toOpportunityView } = require('./opportunities');
+
+const STATUSES = ['submitted', 'shortlisted', 'accepted', 'rejected', 'withdrawn'];
+const REVIEW_STATUSES = ['shortlisted', 'accepted', 'rejected'];
+
+const TRANSITIONS = {
+  submitted: ['shortlisted', 'accepted', 'rejected', 'withdrawn'],
+  shortlisted: ['accepted', 'rejected', 'withdrawn'],
+  rejected: ['shortlisted'],
+  accepted: [],
+  withdrawn: []
+};
+
+const APPLICATIONS_DIR = 'generated/applications';
+const MAX_ANSWER_LENGTH = 1000;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_NOTE_LENGTH = 1000;
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+const canTransition = (application, status) => TRANSITIONS[application.status].includes(status);
+
+// Withdrawn applications don't stop an artist from applying again
+const isActive = application => application.status !== 'withdrawn';
+
+// Validate the answers to the fields the opportunity asks for and the optional cover message
+function normalizeApplication(body, opportunity) {
+  const errors = [];
+  const answers = {};
+  const given = body.answers && typeof body.answers === 'object' ? body.answers : {};
+
+  for (const key of opportunity.applicationFields || []) {
+    const field = APPLICATION_FIELDS.find(option => option.value === key);
+    const value = text(given[key]);
+    if (!value) {
+      errors.push(`answers.${key} (${field.label}) is required`);
+    } else if (value.length > MAX_ANSWER_LENGTH) {
+      errors.push(`answers.${key} must be at most ${MAX_ANSWER_LENGTH} characters`);
+    } else if (field.kind === 'url') {
+      answers[key] = safeUrl(value, { schemes: ['http:', 'https:'] });
+      if (!/^https?:/i.test(answers[key])) {
+        errors.push(`answers.${key} must be a web address`);
+      }
+    } else {
+      answers[key] = value;
+    }
+  }
+
+  const message = text(body.message);
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    errors.push(`message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  return { fields: { answers, message }, errors };
+}
+
+// Generated PDF of a portfolio to attach: the named one from its generatedFiles history,
+// or the latest. Null if there is none.
+function portfolioPdf(portfolio, filename) {
+  const pdfs = (portfolio.generatedFiles || []).filter(file => file.format === 'pdf');
+  return filename === undefined ? pdfs[0] || null : pdfs.find(file => file.filename === filename) || null;
+}
+
+const applicationPdfPath = id => path.join(APPLICATIONS_DIR, `${id}.pdf`);
+
+// Fields to change when an application moves to `status`, recording who moved it
+function statusChange(application, status, by, note = '', now = new Date()) {
+  const time = now.toISOString();
+  return {
+    status,
+    updatedAt: time,
+    history: [...(application.history || []), { status, by, at: time, ...(note && { note }) }]
+  };
+}
+
+function normalizeNote(value, errors) {
+  const note = text(value);
+  if (note.length > MAX_NOTE_LENGTH) {
+    errors.push(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  return note;
+}
+
+function countByStatus(applications) {
+  return STATUSES.reduce((counts, status) => {
+    counts[status] = applications.filter(application => application.status === status).length;
+    return counts;
+  }, {});
+}
+
+function opportunitySummary(opportunity) {
+  const { id, title, organizer, type, typeLabel, location, deadline, status } = toOpportunityView(opportunity);
+  return { id, title, organizer, type, typeLabel, location, deadline, status };
+}
+
+// Application with a link to its attachment and, when given, a summary of the opportunity
+// applied to
+function toApplicationView(application, opportunity) {
+  const view = {
+    ...application,
+    attachment: application.attachment && {
+      ...application.attachment,
+      url: `/api/applications/${application.id}/portfolio.pdf`
+    }
+  };
+  if (opportunity) {
+    view.opportunity = opportunitySummary(opportunity);
+  }
+  return view;
+}
+
+// Remove applications matching `filter` (e.g. { opportunityId }) with their attachments
+async function deleteApplications(filter) {
+  const applications = await Application.find(filter);
+  for (const application of applications) {
+    await fs.remove(applicationPdfPath(application.id));
+  }
+  await Application.deleteMany(filter);
+}
+
+module.exports = {
+  STATUSES,
+  REVIEW_STATUSES,
+  APPLICATIONS_DIR,
+  canTransition,
+  isActive,
+  normalizeApplication,
+  normalizeNote,
+  portfolioPdf,
+  applicationPdfPath,
+  statusChange,
+  countByStatus,
+  toApplicationView,
+  deleteApplications
+};
@@ -0,0 +1,127 @@
+// Structured artist profile fields collected by the portfolio wizard.
+//
+// jobs, services and testimonials are stored as arrays of objects. Clients may send
+// them either as arrays (or JSON-encoded arrays in multipart forms) or as the free
+// text typed into the wizard, which is parsed one entry per line/paragraph.
+
+const EXPERIENCE_LABELS = {
+  beginner: 'Beginner (0-2 years)',
+  intermediate: 'Intermediate (3-5 years)',
+  advanced: 'Advanced (6-10 years)',
+  professional: 'Professional (10+ years)'
+};
+
+const CATEGORY_LABELS = {
+  dancer: 'Dancer',
+  musician: 'Musician',
+  visual_artist: 'Visual Artist',
+  multi_disciplinary: 'Multi-Disciplinary'
+};
+
+const SOCIAL_PLATFORMS = ['instagram', 'youtube', 'tiktok', 'facebook', 'twitter', 'website'];
+
+const BULLET_PATTERN = /^\s*(?:[•\-*–]|\d+[.)])\s*/;
+
+function splitLines(text) {
+  return text.split('\n').map(line => line.replace(BULLET_PATTERN, '').trim()).filter(Boolean);
+}
+
+function cleanString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// "Lead Dancer - Sarakasi Trust (2019-present)"
+function parseJobLine(line) {
+  const periodMatch = line.match(/\(([^)]*)\)\s*$/);
+  const period = periodMatch ? periodMatch[1].trim() : '';
+  const rest = periodMatch ? line.slice(0, periodMatch.index).trim() : line;
+  const [role, ...organization] = rest.split(/\s+[-–]\s+/);
+  return { role: role.trim(), organization: organization.join(' - ').trim(), period, description: '' };
+}
+
+// "Choreography for Events - custom routines (KES 15,000)"
+function parseServiceLine(line) {
+  const priceMatch = line.match(/\(([^)]*\d[^)]*)\)\s*$/);
+  const price = priceMatch ? priceMatch[1].trim() : '';
+  const rest = priceMatch ? line.slice(0, priceMatch.index).trim() : line;
+  const [name, ...description] = rest.split(/\s+[-–]\s+/);
+  return { name: name.trim(), description: description.join(' - ').trim(), price };
+}
+
+// "\"Electrifying performance.\" - Festival Director, Koroga Festival"
+function parseTestimonialBlock(block) {
+  const match = block.match(/^["“](.*)["”]\s*(?:[-–—]\s*(.*))?$/s);
+  if (!match) {
+    return { quote: block, author: '', source: '' };
+  }
+  const [author, ...source] = (match[2] || '').split(',');
+  return { quote: match[1].trim(), author: author.trim(), source: source.join(',').trim() };
+}
+
+const ENTRY_SHAPES = {
+  jobs: {
+    fields: ['role', 'organization', 'period', 'description'],
+    required: 'role',
+    parseText: text => splitLines(text).map(parseJobLine)
+  },
+  services: {
+    fields: ['name', 'description', 'price'],
+    required: 'name',
+    parseText: text => splitLines(text).map(parseServiceLine)
+  },
+  testimonials: {
+    fields: ['quote', 'author', 'source'],
+    required: 'quote',
+    parseText: text => text.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean).map(parseTestimonialBlock)
+  }
+};
+
+// Normalize jobs/services/testimonials input into an array of entries.
+// Throws with a readable message when the input can't be used.
+function normalizeEntries(field, value) {
+  const shape = ENTRY_SHAPES[field];
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  let entries = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    entries = trimmed.startsWith('[') ? JSON.parse(trimmed) : shape.parseText(trimmed);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`${field} must be an array or text`);
+  }
+
+  return entries.map((entry, index) => {
+    if (typeof entry !== 'object' || entry === null) {
+      throw new Error(`${field}[${index}] must be an object`);
+    }
+    const normalized = shape.fields.reduce((result, key) => {
+      result[key] = cleanString(entry[key]);
+      return result;
+    }, {});
+    if (!normalized[shape.required]) {
+      throw new Error(`${field}[${index}].${shape.required} is required`);
+    }
+    return normalized;
+  });
+}
+
+function formatLocation(location) {
+  if (!location) {
+    return '';
+  }
+  if (typeof location === 'string') {
+    return location;
+  }
+  return [location.city, location.country].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  EXPERIENCE_LABELS,
+  CATEGORY_LABELS,
+  SOCIAL_PLATFORMS,
+  normalizeEntries,
+  formatLocation
+};
@@ -0,0 +1,137 @@
+// Rule-based contract checker for the advisor on contracts.html.
+//
+// The clause library is backend/contracts/clauses.json:
+//   clauses      standard clauses, each with `patterns` (regular expressions, case-insensitive)
+//                that must all match the same sentence for the clause to count as present
+//   engagements  per engagement type, the clauses that are required and those recommended
+//   risks        risky wording, matched the same way, with a severity (high, medium, low),
+//                an explanation and a suggested fix
+//
+// The same text always produces the same report: there is no scoring model, only the rules.
+
+const fs = require('fs-extra');
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const LIBRARY_FILE = path.join(__dirname, '..', 'contracts', 'clauses.json');
+const MIN_TEXT_LENGTH = 100;
+const MAX_TEXT_LENGTH = 100000;
+const EXCERPT_LENGTH = 240;
+const SEVERITIES = ['high', 'medium', 'low'];
+
+let library = null;
+
+function getLibrary() {
+  if (!library) {
+    const data = fs.readJsonSync(LIBRARY_FILE);
+    const compile = rule => ({ ...rule, patterns: rule.patterns.map(pattern => new RegExp(pattern, 'i')) });
+    library = {
+      version: data.version,
+      clauses: data.clauses.map(compile),
+      engagements: data.engagements,
+      risks: data.risks.map(compile)
+    };
+  }
+  return library;
+}
+
+function engagementTypes() {
+  return Object.keys(getLibrary().engagements);
+}
+
+// Text of an uploaded PDF; empty for scanned PDFs without a text layer
+async function extractPdfText(file) {
+  const { text } = await pdfParse(await fs.readFile(file));
+  return text;
+}
+
+// Sentences and list items. Wrapped lines (as PDFs produce) are joined back together
+// when the next line starts in lower case.
+function splitSentences(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n(?=[ \t]*[a-z(])/g, ' ')
+    .split(/\n|(?<=[.!?;])\s+(?=\S)/)
+    .map(sentence => sentence.replace(/^[\s•*-]+/, '').replace(/\s+/g, ' ').trim())
+    .filter(sentence => sentence.length > 1);
+}
+
+function excerpt(sentence) {
+  return sentence.length > EXCERPT_LENGTH ? `${sentence.slice(0, EXCERPT_LENGTH - 3)}...` : sentence;
+}
+
+const matches = (rule, sentence) => rule.patterns.every(pattern => pattern.test(sentence));
+
+// Check a contract for the clauses expected for `type` and for risky wording. Returns
+// null if `type` is not an engagement type.
+function analyzeContract(text, type) {
+  const { version, clauses, engagements, risks } = getLibrary();
+  const engagement = engagements[type];
+  if (!engagement) {
+    return null;
+  }
+  const sentences = splitSentences(text);
+
+  const clauseReports = [
+    ...engagement.required.map(id => ({ id, expectation: 'required' })),
+    ...engagement.recommended.map(id => ({ id, expectation: 'recommended' }))
+  ].map(({ id, expectation }) => {
+    const clause = clauses.find(candidate => candidate.id === id);
+    const evidence = sentences.find(sentence => matches(clause, sentence));
+    return {
+      id,
+      label: clause.label,
+      description: clause.description,
+      expectation,
+      present: Boolean(evidence),
+      excerpt: evidence ? excerpt(evidence) : null,
+      ...(!evidence && { advice: clause.advice })
+    };
+  });
+
+  const riskReports = risks.flatMap(risk => sentences
+    .filter(sentence => matches(risk, sentence))
+    .map(sentence => ({
+      id: risk.id,
+      label: risk.label,
+      severity: risk.severity,
+      explanation: risk.explanation,
+      suggestion: risk.suggestion,
+      excerpt: excerpt(sentence)
+    })))
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  const missing = expectation => clauseReports.filter(clause => clause.expectation === expectation && !clause.present).length;
+  const riskCounts = SEVERITIES.reduce((counts, severity) => {
+    counts[severity] = riskReports.filter(risk => risk.severity === severity).length;
+    return counts;
+  }, {});
+  const requiredMissing = missing('required');
+
+  return {
+    type,
+    libraryVersion: version,
+    sentences: sentences.length,
+    clauses: clauseReports,
+    risks: riskReports,
+    summary: {
+      clausesPresent: clauseReports.filter(clause => clause.present).length,
+      clausesChecked: clauseReports.length,
+      requiredMissing,
+      recommendedMissing: missing('recommended'),
+      risks: riskCounts,
+      // high: a high-severity risk or two or more required clauses missing
+      level: riskCounts.high > 0 || requiredMissing >= 2
+        ? 'high'
+        : (riskCounts.medium > 0 || requiredMissing > 0 ? 'medium' : 'low')
+    }
+  };
+}
+
+module.exports = {
+  MIN_TEXT_LENGTH,
+  MAX_TEXT_LENGTH,
+  engagementTypes,
+  extractPdfText,
+  analyzeContract
+};
@@ -0,0 +1,205 @@
+// Contract PDFs, from renderContract output (see contracts.js). Plain black-on-white A4
+// in the built-in Helvetica faces, so a contract looks the same whatever the artist's
+// portfolio styling and renders without any font files.
+//
+// Once a contract is sent, its PDF ends with a signature page: each party's e-signature
+// with its time and IP address, the audit trail and the document hash (see contractSigning.js).
+
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 56;
+const FOOTER_SPACE = 30;
+const INK = { text: '#1a1a24', muted: '#5a5a66', rule: '#bbbbc3' };
+const FONTS = { heading: 'Helvetica-Bold', body: 'Helvetica', italic: 'Helvetica-Oblique' };
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function writeTitle(doc, contract, { reference, date }) {
+  doc.font(FONTS.heading).fontSize(16).fillColor(INK.text)
+    .text(contract.title.toUpperCase(), MARGIN, MARGIN, { width: contentWidth(doc), align: 'center' });
+  doc.moveDown(0.3);
+  doc.font(FONTS.body).fontSize(9).fillColor(INK.muted)
+    .text([reference && `Reference ${reference}`, `Prepared ${date}`].filter(Boolean).join('  |  '), {
+      width: contentWidth(doc),
+      align: 'center'
+    });
+  doc.moveDown(1.5);
+}
+
+function writeSection(doc, section) {
+  if (section.heading) {
+    ensureSpace(doc, 50);
+    doc.font(FONTS.heading).fontSize(11).fillColor(INK.text)
+      .text(section.heading.toUpperCase(), MARGIN, doc.y, { width: contentWidth(doc) });
+    doc.moveDown(0.4);
+  }
+  if (section.text) {
+    ensureSpace(doc, 30);
+    doc.font(FONTS.body).fontSize(10).fillColor(INK.text)
+      .text(section.text, MARGIN, doc.y, { width: contentWidth(doc), lineGap: 2 });
+    doc.moveDown(0.4);
+  }
+  section.items.forEach(item => {
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    doc.font(FONTS.body).fontSize(10).fillColor(INK.text).text('•', MARGIN + 8, y);
+    doc.text(item, MARGIN + 22, y, { width: contentWidth(doc) - 22, lineGap: 2 });
+    doc.moveDown(0.2);
+  });
+  doc.moveDown(0.8);
+}
+
+function formatTimestamp(iso) {
+  return `${iso.slice(0, 10)} ${iso.slice(11, 19)} UTC`;
+}
+
+// The signature itself above the line: the drawing, or the typed name in italics
+function writeSignatureMark(doc, signature, x, lineY, width) {
+  if (signature.method === 'drawn' && signature.image) {
+    const image = Buffer.from(signature.image.split(',')[1], 'base64');
+    doc.image(image, x, lineY - 34, { fit: [width, 32], align: 'left', valign: 'bottom' });
+  } else {
+    doc.font(FONTS.italic).fontSize(16).fillColor(INK.text)
+      .text(signature.name, x, lineY - 22, { width, lineBreak: false });
+  }
+}
+
+// One signature box per party: name, then a signature and date line, signed
+// electronically or left empty to sign by hand
+function writeSignatures(doc, parties, signatures = {}) {
+  ensureSpace(doc, 60 + parties.length * 70);
+  doc.font(FONTS.heading).fontSize(11).fillColor(INK.text).text('SIGNATURES', MARGIN, doc.y);
+  doc.moveDown(1);
+
+  parties.forEach(party => {
+    const top = doc.y;
+    const width = contentWidth(doc);
+    const signature = signatures[party.role];
+    doc.font(FONTS.body).fontSize(10).fillColor(INK.text)
+      .text(`${party.label}: ${party.name}`, MARGIN, top, { width });
+    const lineY = top + 50;
+    if (signature) {
+      writeSignatureMark(doc, signature, MARGIN, lineY - 2, width * 0.6);
+      doc.font(FONTS.body).fontSize(10).fillColor(INK.text)
+        .text(formatTimestamp(signature.signedAt).slice(0, 10), MARGIN + width * 0.7, lineY - 14, { lineBreak: false });
+    }
+    doc.moveTo(MARGIN, lineY).lineTo(MARGIN + width * 0.6, lineY).lineWidth(0.5).strokeColor(INK.rule).stroke();
+    doc.moveTo(MARGIN + width * 0.7, lineY).lineTo(MARGIN + width, lineY).stroke();
+    doc.font(FONTS.body).fontSize(8).fillColor(INK.muted)
+      .text(signature ? 'Signed electronically' : 'Signature', MARGIN, lineY + 4)
+      .text('Date', MARGIN + width * 0.7, lineY + 4);
+    doc.x = MARGIN;
+    doc.y = lineY + 24;
+  });
+}
+
+function writeRecordLine(doc, label, value) {
+  ensureSpace(doc, 14);
+  const y = doc.y;
+  doc.font(FONTS.heading).fontSize(9).fillColor(INK.text).text(label, MARGIN, y, { width: 110 });
+  doc.font(FONTS.body).fontSize(9).text(value, MARGIN + 115, y, { width: contentWidth(doc) - 115 });
+  doc.moveDown(0.2);
+}
+
+// Signature page: who signed how and from where, the audit trail, and the hash of the text
+function writeSignaturePage(doc, contract, { signatures = {}, documentHash, audit = [] }) {
+  doc.addPage();
+  doc.font(FONTS.heading).fontSize(14).fillColor(INK.text)
+    .text('SIGNATURE PAGE', MARGIN, MARGIN, { width: contentWidth(doc), align: 'center' });
+  doc.moveDown(1.2);
+
+  contract.parties.forEach(party => {
+    const signature = signatures[party.role];
+    doc.font(FONTS.heading).fontSize(11).fillColor(INK.text).text(`${party.label}: ${party.name}`, MARGIN, doc.y);
+    doc.moveDown(0.4);
+    if (signature) {
+      writeRecordLine(doc, 'Signed as', signature.name);
+      writeRecordLine(doc, 'Method', signature.method === 'drawn' ? 'Drawn signature' : 'Typed name');
+      writeRecordLine(doc, 'Signed at', formatTimestamp(signature.signedAt));
+      writeRecordLine(doc, 'IP address', signature.ip || 'unknown');
+    } else {
+      writeRecordLine(doc, 'Status', 'Not signed yet');
+    }
+    doc.moveDown(0.8);
+  });
+
+  doc.font(FONTS.heading).fontSize(11).fillColor(INK.text).text('Document hash (SHA-256)', MARGIN, doc.y);
+  doc.moveDown(0.3);
+  doc.font('Courier').fontSize(9).text(documentHash, MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.font(FONTS.body).fontSize(8).fillColor(INK.muted)
+    .text('Computed over the contract text as sent for signature; any change to the text changes the hash.', { width: contentWidth(doc) });
+  doc.moveDown(1.2);
+
+  doc.font(FONTS.heading).fontSize(11).fillColor(INK.text).text('Audit trail', MARGIN, doc.y);
+  doc.moveDown(0.4);
+  audit.forEach(entry => {
+    writeRecordLine(doc, formatTimestamp(entry.at), [
+      `${entry.event} by ${entry.actor}`,
+      entry.ip && `from ${entry.ip}`,
+      entry.note
+    ].filter(Boolean).join(', '));
+  });
+}
+
+function writeFooters(doc, contract) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0; // writing inside the margin must not add a page
+    const y = doc.page.height - MARGIN + 12;
+    doc.font(FONTS.body).fontSize(8).fillColor(INK.muted)
+      .text(`${contract.title} (${contract.type} v${contract.version})`, MARGIN, y, {
+        width: contentWidth(doc) / 2,
+        lineBreak: false
+      });
+    doc.text(`Page ${index - range.start + 1} of ${range.count}`, doc.page.width / 2, y, {
+      width: contentWidth(doc) / 2,
+      align: 'right',
+      lineBreak: false
+    });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// Build the PDF for a rendered contract. Returns the PDFKit document, already ended;
+// pipe it somewhere to consume it. `reference` is printed under the title; with a
+// `documentHash` (sent contracts) the signatures and audit trail are added.
+function createContractPdf(contract, { reference = null, date = new Date(), signatures = {}, documentHash = null, audit = [] } = {}) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN, left: MARGIN, right: MARGIN, bottom: MARGIN + FOOTER_SPACE },
+    bufferPages: true,
+    lang: 'en',
+    displayTitle: true,
+    info: {
+      Title: contract.title,
+      Subject: contract.parties.map(party => `${party.label}: ${party.name}`).join(', '),
+      Creator: 'KatikaNaMe Platform'
+    }
+  });
+
+  const formattedDate = date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+  writeTitle(doc, contract, { reference, date: formattedDate });
+  contract.sections.forEach(section => writeSection(doc, section));
+  writeSignatures(doc, contract.parties, signatures);
+  if (documentHash) {
+    writeSignaturePage(doc, contract, { signatures, documentHash, audit });
+  }
+  writeFooters(doc, contract);
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  createContractPdf
+};
@@ -0,0 +1,272 @@
+// Contract lifecycle and e-signatures.
+//
+//   draft          being filled in by the artist (the only state in which values can change)
+//   sent           the text is frozen and the client has a signing link
+//   viewed         the client has opened the link
+//   signed         the client has signed
+//   countersigned  the artist has signed too; the sealed PDF is final
+//   cancelled      withdrawn by the artist before it was countersigned
+//
+// Sending freezes the rendered text (`document`) together with its SHA-256 `documentHash`;
+// both parties sign that exact text and the hash is printed on the sealed PDF's
+// signature page. The signing link carries a random token of which only the hash is
+// stored; sending again replaces the link. Every step is appended to the contract's
+// `audit` trail with the time, IP address and user agent of whoever took it. Steps on a
+// contract run one at a time (see withContract), each on a fresh copy of it.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const Mustache = require('mustache');
+const Contract = require('../models/Contract');
+
+const STATUSES = ['draft', 'sent', 'viewed', 'signed', 'countersigned', 'cancelled'];
+const SIGNATURE_METHODS = ['typed', 'drawn'];
+const MAX_NAME_LENGTH = 100;
+const MAX_DRAWING_BYTES = 50 * 1024; // its data URL must fit the 100kb JSON body limit
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const SEALED_DIR = 'generated/contracts';
+const SIGNING_PAGE = path.join(__dirname, '..', 'contracts', 'signing-page.mustache');
+const STATUS_MESSAGES = {
+  signed: 'You have signed this contract. It is waiting for the artist\'s countersignature.',
+  countersigned: 'This contract is signed by both parties. Download the PDF for your records.'
+};
+
+let signingPage = null;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Hash of the frozen contract text; any change to the wording or values changes it
+function documentHash(document) {
+  return sha256(JSON.stringify(document));
+}
+
+// A new signing token: the token goes in the link, its hash is stored
+function createSigningToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: sha256(token) };
+}
+
+function hashSigningToken(token) {
+  return sha256(String(token));
+}
+
+function signingUrl(token) {
+  return `/sign/${token}`;
+}
+
+// Short reference printed on the PDF
+function contractReference(contract) {
+  return contract.id.slice(0, 8).toUpperCase();
+}
+
+// Contract behind a signing link, or null. Cancelled contracts keep no link.
+async function findBySigningToken(token) {
+  return Contract.findOne({ signingTokenHash: hashSigningToken(token) });
+}
+
+// Who did something, for signatures and the audit trail
+function requestActor(req) {
+  return {
+    ip: req.ip || '',
+    userAgent: (req.get('user-agent') || '').slice(0, 300)
+  };
+}
+
+function auditEntry(event, actor, req, note = null) {
+  return {
+    event,
+    actor,
+    at: new Date().toISOString(),
+    ...requestActor(req),
+    ...(note && { note })
+  };
+}
+
+function appendAudit(contract, entry) {
+  return [...(contract.audit || []), entry];
+}
+
+// Steps on a contract are applied one at a time per contract, so a status check and the
+// audit trail a step appends to are never stale
+const queues = new Map();
+
+function serialized(contractId, fn) {
+  const run = (queues.get(contractId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  queues.set(contractId, tail);
+  tail.then(() => {
+    if (queues.get(contractId) === tail) {
+      queues.delete(contractId);
+    }
+  });
+  return run;
+}
+
+// Run `fn` with the latest copy of a contract once earlier steps on it are done, and resolve
+// to its result; resolves to null without running it if the contract was deleted meanwhile
+function withContract(contractId, fn) {
+  return serialized(contractId, async () => {
+    const contract = await Contract.findById(contractId);
+    return contract ? fn(contract) : null;
+  });
+}
+
+// Thrown from withContract steps when the contract's status doesn't allow them (a 409 for routes)
+function contractStatusError(message) {
+  const error = new Error(message);
+  error.code = 'CONTRACT_STATUS';
+  return error;
+}
+
+// The client opened the signing link: views are audited, except reloads by the viewer of the
+// latest audit entry, and the first one moves the contract from sent to viewed
+async function recordView(contract, req) {
+  const entry = auditEntry('viewed', 'client', req);
+  const viewed = await withContract(contract.id, current => {
+    const firstView = current.status === 'sent';
+    const last = (current.audit || [])[(current.audit || []).length - 1];
+    if (!firstView && last && last.event === 'viewed' && last.ip === entry.ip && last.userAgent === entry.userAgent) {
+      return current;
+    }
+    return Contract.findByIdAndUpdate(current.id, {
+      ...(firstView && { status: 'viewed', viewedAt: entry.at }),
+      audit: appendAudit(current, entry)
+    });
+  });
+  return viewed || contract;
+}
+
+// Validate a signature ({ name, method, image, consent }): a typed name, plus a PNG
+// data URL of the drawing for drawn signatures. Returns the signature and a list of errors.
+function normalizeSignature(body, req) {
+  const errors = [];
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const method = body.method || 'typed';
+
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be your full name (at most ${MAX_NAME_LENGTH} characters)`);
+  }
+  if (!SIGNATURE_METHODS.includes(method)) {
+    errors.push(`method must be one of ${SIGNATURE_METHODS.join(', ')}`);
+  }
+  if (body.consent !== true) {
+    errors.push('consent must be true to sign electronically');
+  }
+
+  let image = null;
+  if (method === 'drawn') {
+    const match = typeof body.image === 'string' && /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(body.image);
+    const bytes = match ? Buffer.from(match[1], 'base64') : null;
+    if (!bytes || bytes.length > MAX_DRAWING_BYTES || !bytes.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      errors.push(`image must be a PNG data URL of at most ${MAX_DRAWING_BYTES / 1024} KB for drawn signatures`);
+    } else {
+      image = body.image;
+    }
+  }
+
+  return {
+    signature: { name, method, image, signedAt: new Date().toISOString(), ...requestActor(req) },
+    errors
+  };
+}
+
+// Signature details safe to show the other party: no IP address or user agent
+function toPublicSignature(signature) {
+  return signature ? { name: signature.name, method: signature.method, signedAt: signature.signedAt } : null;
+}
+
+// What the client sees through the signing link: the frozen text and the signatures,
+// without the values, audit trail or anyone's IP address
+function toSigningView(contract, token) {
+  const signatures = contract.signatures || {};
+  return {
+    reference: contractReference(contract),
+    type: contract.type,
+    title: contract.title,
+    status: contract.status,
+    document: contract.document,
+    documentHash: contract.documentHash,
+    sentAt: contract.sentAt,
+    signatures: {
+      client: toPublicSignature(signatures.client),
+      artist: toPublicSignature(signatures.artist)
+    },
+    canSign: ['sent', 'viewed'].includes(contract.status),
+    signUrl: `/api/contracts/sign/${token}`,
+    pdfUrl: `/api/contracts/sign/${token}/contract.pdf`
+  };
+}
+
+// The page behind a signing link: the contract text, the signatures so far and, while
+// the contract can be signed, the signing form
+function renderSigningPage(contract, token) {
+  if (!signingPage) {
+    signingPage = fs.readFileSync(SIGNING_PAGE, 'utf8');
+  }
+  const view = toSigningView(contract, token);
+  return Mustache.render(signingPage, {
+    ...view,
+    parties: view.document.parties.map(party => {
+      const signature = view.signatures[party.role];
+      return {
+        ...party,
+        signature: signature && { ...signature, signedAt: `${signature.signedAt.slice(0, 16).replace('T', ' ')} UTC` }
+      };
+    }),
+    message: STATUS_MESSAGES[view.status] || null
+  });
+}
+
+function sealedPdfPath(contract) {
+  return path.join(SEALED_DIR, `${contract.id}.pdf`);
+}
+
+// Write the final PDF of a countersigned contract to generated/contracts/<id>.pdf and
+// return the SHA-256 of the file
+async function writeSealedPdf(contract, doc) {
+  const file = sealedPdfPath(contract);
+  await fs.ensureDir(SEALED_DIR);
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(file);
+    output.on('finish', resolve);
+    output.on('error', reject);
+    doc.pipe(output);
+  });
+  return sha256(await fs.readFile(file));
+}
+
+// Remove an artist's contracts with their sealed PDFs
+async function deleteContracts(artistId) {
+  const contracts = await Contract.find({ artistId });
+  for (const contract of contracts) {
+    await fs.remove(sealedPdfPath(contract));
+  }
+  await Contract.deleteMany({ artistId });
+}
+
+module.exports = {
+  STATUSES,
+  SIGNATURE_METHODS,
+  sha256,
+  documentHash,
+  createSigningToken,
+  hashSigningToken,
+  signingUrl,
+  contractReference,
+  findBySigningToken,
+  auditEntry,
+  appendAudit,
+  withContract,
+  contractStatusError,
+  recordView,
+  normalizeSignature,
+  toPublicSignature,
+  toSigningView,
+  renderSigningPage,
+  sealedPdfPath,
+  writeSealedPdf,
+  deleteContracts
+};
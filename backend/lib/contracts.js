@@ -0,0 +1,351 @@
+// Contract documents for the engagement types on contracts.html.
+//
+// Each document is a versioned JSON file, backend/contracts/<type>/v<version>.json:
+//   fields     typed inputs: text, longtext, email, date (YYYY-MM-DD), time (HH:MM),
+//              money (whole KES), integer, percent, choice (one of `options`) and tiers
+//              (cancellation refunds: [{ noticeDays, refundPercent }]). A field may be
+//              `required`, have a `default`, or be prefilled from the artist's profile
+//              (`"prefill": "artist.name"`).
+//   rules      checks across fields: { "lte": [a, b] } (a <= b), { "order": [a, b] }
+//              (date a on or before date b), { "together": [a, b] } (both or neither)
+//   derived    values computed from fields, e.g. { "name": "balance", "subtract": ["totalFee", "deposit"] }
+//   sections   the text: a heading, a paragraph and bullet items, with {{field}} placeholders
+//              filled with formatted values. An item { "each": "<tiers field>", "text" } repeats per tier.
+//   parties    which fields name the client and the artist, for the signature block
+//
+// New wording goes in a new version file; contracts keep the version they were created
+// with, so they always render the same text. Documents are read once, on first use.
+
+const fs = require('fs-extra');
+const path = require('path');
+const Mustache = require('mustache');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+const TEXT_LIMITS = { text: 200, longtext: 2000, email: 200 };
+const MAX_MONEY = 1000000000;
+const MAX_TIERS = 6;
+const BLANK = '__________';
+
+let registry = null;
+
+function loadRegistry() {
+  const types = new Map();
+  fs.readdirSync(CONTRACTS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => {
+      const versions = fs.readdirSync(path.join(CONTRACTS_DIR, entry.name))
+        .filter(file => /^v\d+\.json$/.test(file))
+        .map(file => fs.readJsonSync(path.join(CONTRACTS_DIR, entry.name, file)))
+        .sort((a, b) => a.version - b.version);
+      if (versions.length > 0) {
+        types.set(entry.name, versions);
+      }
+    });
+  return types;
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadRegistry();
+  }
+  return registry;
+}
+
+function contractTypes() {
+  return [...getRegistry().keys()];
+}
+
+// A contract document: the given version, or the latest one. Null if there is no such document.
+function getContractTemplate(type, version = null) {
+  const versions = getRegistry().get(type);
+  if (!versions) {
+    return null;
+  }
+  return version === null
+    ? versions[versions.length - 1]
+    : versions.find(template => template.version === version) || null;
+}
+
+// Public description of a document, as listed by GET /api/contracts/templates
+function describeContractTemplate(template) {
+  return {
+    type: template.type,
+    version: template.version,
+    title: template.title,
+    description: template.description,
+    parties: template.parties,
+    fields: template.fields.map(({ name, label, type, required = false, options, default: defaultValue, prefill, min, max }) => ({
+      name,
+      label,
+      type,
+      required,
+      ...(options && { options }),
+      ...(defaultValue !== undefined && { default: defaultValue }),
+      ...(prefill && { prefill }),
+      ...(min !== undefined && { min }),
+      ...(max !== undefined && { max })
+    })),
+    rules: template.rules,
+    blankPdfUrl: `/api/contracts/templates/${template.type}/blank.pdf`
+  };
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function isDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function parseInteger(value, min, max) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+// Cancellation tiers, most notice first; each tier must refund at least as much as the next
+function parseTiers(value, label, errors) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_TIERS) {
+    errors.push(`${label} must be a list of 1-${MAX_TIERS} tiers`);
+    return null;
+  }
+  const tiers = value.map(tier => ({
+    noticeDays: parseInteger(tier && tier.noticeDays, 0, 365),
+    refundPercent: parseInteger(tier && tier.refundPercent, 0, 100)
+  }));
+  if (tiers.some(tier => tier.noticeDays === null || tier.refundPercent === null)) {
+    errors.push(`${label}: each tier needs noticeDays (0-365) and refundPercent (0-100)`);
+    return null;
+  }
+  tiers.sort((a, b) => b.noticeDays - a.noticeDays);
+  for (let index = 1; index < tiers.length; index += 1) {
+    if (tiers[index].noticeDays === tiers[index - 1].noticeDays) {
+      errors.push(`${label}: noticeDays must be different for each tier`);
+      return null;
+    }
+    if (tiers[index].refundPercent > tiers[index - 1].refundPercent) {
+      errors.push(`${label}: less notice cannot earn a bigger refund`);
+      return null;
+    }
+  }
+  return tiers;
+}
+
+function parseField(field, value, errors) {
+  const { label } = field;
+  switch (field.type) {
+    case 'text':
+    case 'longtext':
+    case 'email': {
+      const text = typeof value === 'string' ? value.trim() : null;
+      if (text === null || text.length > TEXT_LIMITS[field.type]) {
+        errors.push(`${label} must be text of at most ${TEXT_LIMITS[field.type]} characters`);
+        return null;
+      }
+      if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+        errors.push(`${label} must be a valid email`);
+        return null;
+      }
+      return text;
+    }
+    case 'date':
+      if (!isDate(value)) {
+        errors.push(`${label} must be a date (YYYY-MM-DD)`);
+        return null;
+      }
+      return value;
+    case 'time':
+      if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+        errors.push(`${label} must be a time (HH:MM)`);
+        return null;
+      }
+      return value;
+    case 'money': {
+      const amount = parseInteger(value, 0, MAX_MONEY);
+      if (amount === null) {
+        errors.push(`${label} must be a whole number of KES`);
+      }
+      return amount;
+    }
+    case 'integer':
+    case 'percent': {
+      const min = field.type === 'percent' ? 0 : field.min;
+      const max = field.type === 'percent' ? 100 : field.max;
+      const number = parseInteger(value, min, max);
+      if (number === null) {
+        errors.push(`${label} must be a whole number from ${min} to ${max}`);
+      }
+      return number;
+    }
+    case 'choice':
+      if (!field.options.includes(value)) {
+        errors.push(`${label} must be one of: ${field.options.join(', ')}`);
+        return null;
+      }
+      return value;
+    case 'tiers':
+      return parseTiers(value, label, errors);
+    default:
+      throw new Error(`Unknown contract field type: ${field.type}`);
+  }
+}
+
+function prefillValue(field, artist) {
+  if (!field.prefill || !artist) {
+    return undefined;
+  }
+  const [source, key] = field.prefill.split('.');
+  return source === 'artist' && !isEmpty(artist[key]) ? artist[key] : undefined;
+}
+
+function labelOf(template, name) {
+  const field = template.fields.find(candidate => candidate.name === name);
+  return field ? field.label : name;
+}
+
+function checkRules(template, values, errors) {
+  (template.rules || []).forEach(rule => {
+    if (rule.lte) {
+      const [a, b] = rule.lte;
+      if (!isEmpty(values[a]) && !isEmpty(values[b]) && values[a] > values[b]) {
+        errors.push(`${labelOf(template, a)} must not be more than ${labelOf(template, b)}`);
+      }
+    } else if (rule.order) {
+      const [a, b] = rule.order;
+      if (!isEmpty(values[a]) && !isEmpty(values[b]) && values[a] > values[b]) {
+        errors.push(`${labelOf(template, a)} must be on or before ${labelOf(template, b)}`);
+      }
+    } else if (rule.together) {
+      const [a, b] = rule.together;
+      if (isEmpty(values[a]) !== isEmpty(values[b])) {
+        errors.push(`${labelOf(template, a)} and ${labelOf(template, b)} must be given together`);
+      }
+    }
+  });
+}
+
+// Validate the values for a contract. Missing fields are prefilled from the artist's profile,
+// then from the document's defaults. Returns the values to store (unknown keys dropped) and
+// a list of errors.
+function fillContract(template, input = {}, artist = null) {
+  const errors = [];
+  const values = {};
+
+  template.fields.forEach(field => {
+    let value = input[field.name];
+    if (isEmpty(value)) value = prefillValue(field, artist);
+    if (isEmpty(value)) value = field.default;
+    if (isEmpty(value)) {
+      if (field.required) {
+        errors.push(`${field.label} is required`);
+      }
+      return;
+    }
+    const parsed = parseField(field, value, errors);
+    if (parsed !== null) {
+      values[field.name] = parsed;
+    }
+  });
+
+  if (errors.length === 0) {
+    checkRules(template, values, errors);
+  }
+  return { values, errors };
+}
+
+function derivedValues(template, values) {
+  return (template.derived || []).reduce((derived, item) => {
+    const [a, b] = item.subtract.map(operand => (typeof operand === 'number' ? operand : values[operand]));
+    if (!isEmpty(a) && !isEmpty(b)) {
+      derived[item.name] = a - b;
+    }
+    return derived;
+  }, {});
+}
+
+function formatDate(value) {
+  return new Date(`${value}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function formatValue(type, value) {
+  switch (type) {
+    case 'money': return `KES ${value.toLocaleString('en-KE')}`;
+    case 'percent': return `${value}%`;
+    case 'integer': return value.toLocaleString('en-KE');
+    case 'date': return formatDate(value);
+    default: return String(value);
+  }
+}
+
+// Tiers as text: "14 or more days' notice", then "less than 14 days' notice" for a 0-day tier
+function tierViews(tiers) {
+  return tiers.map((tier, index) => ({
+    noticeDays: String(tier.noticeDays),
+    refundPercent: `${tier.refundPercent}%`,
+    notice: tier.noticeDays > 0 || index === 0
+      ? `${tier.noticeDays} or more days' notice`
+      : `less than ${tiers[index - 1].noticeDays} days' notice`
+  }));
+}
+
+// Placeholder values: formatted values, or blanks to fill in by hand when `blank` is set
+function placeholderView(template, values, { blank }) {
+  const view = {};
+  const derived = derivedValues(template, values);
+  [...template.fields, ...(template.derived || [])].forEach(field => {
+    const value = field.name in derived ? derived[field.name] : values[field.name];
+    if (field.type === 'tiers') {
+      view[field.name] = isEmpty(value)
+        ? (blank ? [{ noticeDays: BLANK, refundPercent: `${BLANK}%`, notice: `${BLANK} days' notice` }] : [])
+        : tierViews(value);
+    } else {
+      view[field.name] = isEmpty(value) ? (blank ? BLANK : '') : formatValue(field.type, value);
+    }
+  });
+  return view;
+}
+
+function fill(text, view) {
+  return Mustache.render(text, view, {}, { escape: value => String(value) }).trim();
+}
+
+// The finished text: title, sections with their paragraph and bullet items, and the
+// parties for the signature block. With `blank`, missing values render as blanks to fill
+// in (the downloadable templates).
+function renderContract(template, values = {}, { blank = false } = {}) {
+  const view = placeholderView(template, values, { blank });
+  return {
+    type: template.type,
+    version: template.version,
+    title: template.title,
+    sections: template.sections.map(section => ({
+      heading: section.heading || '',
+      text: section.text ? fill(section.text, view) : '',
+      items: (section.items || [])
+        .flatMap(item => (typeof item === 'string'
+          ? [fill(item, view)]
+          : view[item.each].map(tier => fill(item.text, tier))))
+        .filter(Boolean)
+    })),
+    parties: ['client', 'artist'].map(role => ({
+      role,
+      label: template.parties[role].label,
+      name: view[template.parties[role].field] || BLANK
+    }))
+  };
+}
+
+module.exports = {
+  contractTypes,
+  getContractTemplate,
+  describeContractTemplate,
+  fillContract,
+  derivedValues,
+  renderContract
+};
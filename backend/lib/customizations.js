@@ -0,0 +1,272 @@
+// Portfolio customizations: colours, a curated font pair, layout, light/dark mode,
+// spacing and section order. Stored on portfolio.customizations and applied by every
+// template through the view in portfolioView.js.
+
+const { safeColor } = require('./html');
+
+const COLOR_KEYS = ['primary', 'accent', 'background'];
+
+// Heading/body pairs that are known to work together; `query` is the Google Fonts css2 family list
+const FONT_PAIRS = {
+  'montserrat-poppins': {
+    label: 'Montserrat & Poppins',
+    heading: 'Montserrat',
+    body: 'Poppins',
+    fallback: 'sans-serif',
+    query: 'family=Montserrat:wght@700&family=Poppins:wght@400;600'
+  },
+  'playfair-lato': {
+    label: 'Playfair Display & Lato',
+    heading: 'Playfair Display',
+    body: 'Lato',
+    fallback: 'serif',
+    query: 'family=Playfair+Display:wght@700&family=Lato:wght@400;700'
+  },
+  'oswald-open-sans': {
+    label: 'Oswald & Open Sans',
+    heading: 'Oswald',
+    body: 'Open Sans',
+    fallback: 'sans-serif',
+    query: 'family=Oswald:wght@600&family=Open+Sans:wght@400;600'
+  },
+  'bebas-inter': {
+    label: 'Bebas Neue & Inter',
+    heading: 'Bebas Neue',
+    body: 'Inter',
+    fallback: 'sans-serif',
+    query: 'family=Bebas+Neue&family=Inter:wght@400;600'
+  },
+  'raleway-roboto': {
+    label: 'Raleway & Roboto',
+    heading: 'Raleway',
+    body: 'Roboto',
+    fallback: 'sans-serif',
+    query: 'family=Raleway:wght@700&family=Roboto:wght@400;500'
+  }
+};
+
+const LAYOUTS = {
+  single: 'Single column',
+  sidebar: 'Sidebar',
+  grid: 'Grid',
+  magazine: 'Magazine'
+};
+
+const MODES = {
+  dark: 'Dark',
+  light: 'Light'
+};
+
+// Multiplier applied to section padding and gaps
+const SPACING = {
+  compact: { label: 'Compact', scale: 0.75 },
+  comfortable: { label: 'Comfortable', scale: 1 },
+  spacious: { label: 'Spacious', scale: 1.35 }
+};
+
+// Text and surface colours for each mode; the background colour is customizable separately
+const PALETTES = {
+  dark: {
+    background: '#0a0a12',
+    text: '#f5f5f7',
+    muted: '#a1a1a6',
+    surface: 'rgba(26, 26, 36, 0.85)',
+    overlay: 'rgba(10, 10, 18, 0.95)'
+  },
+  light: {
+    background: '#f7f7fa',
+    text: '#1a1a24',
+    muted: '#5a5a66',
+    surface: '#ffffff',
+    overlay: 'rgba(255, 255, 255, 0.95)'
+  }
+};
+
+const MAX_SECTION_ORDER = 20;
+
+const DEFAULTS = {
+  fontPair: 'montserrat-poppins',
+  layout: 'single',
+  mode: 'dark',
+  spacing: 'comfortable'
+};
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Older clients send fonts as { heading, body }; map those onto a curated pair
+function findFontPair(fonts) {
+  return Object.keys(FONT_PAIRS).find(id =>
+    FONT_PAIRS[id].heading === fonts.heading && FONT_PAIRS[id].body === fonts.body);
+}
+
+function oneOf(value, options, name, errors) {
+  if (!Object.prototype.hasOwnProperty.call(options, value)) {
+    errors.push(`customizations.${name} must be one of ${Object.keys(options).join(', ')}`);
+    return undefined;
+  }
+  return value;
+}
+
+// Validate customizations from a request. Returns the recognised, valid fields and
+// a list of errors; callers reject the request when there are errors.
+function normalizeCustomizations(input) {
+  const errors = [];
+  const customizations = {};
+
+  if (input === undefined || input === null) {
+    return { customizations, errors };
+  }
+  if (!isPlainObject(input)) {
+    return { customizations, errors: ['customizations must be an object'] };
+  }
+
+  Object.keys(input).forEach(key => {
+    const value = input[key];
+    switch (key) {
+      case 'colors': {
+        if (!isPlainObject(value)) {
+          errors.push('customizations.colors must be an object');
+          break;
+        }
+        const colors = {};
+        COLOR_KEYS.forEach(name => {
+          if (value[name] === undefined || value[name] === '') return;
+          if (!safeColor(value[name], null)) {
+            errors.push(`customizations.colors.${name} must be a hex or rgb() colour`);
+          } else {
+            colors[name] = value[name].trim();
+          }
+        });
+        customizations.colors = colors;
+        break;
+      }
+      case 'fontPair': {
+        const fontPair = oneOf(value, FONT_PAIRS, 'fontPair', errors);
+        if (fontPair) customizations.fontPair = fontPair;
+        break;
+      }
+      case 'fonts': {
+        const fontPair = isPlainObject(value) && findFontPair(value);
+        if (fontPair) {
+          customizations.fontPair = fontPair;
+        } else {
+          errors.push(`customizations.fonts must match one of the font pairs: ${
+            Object.values(FONT_PAIRS).map(pair => `${pair.heading}/${pair.body}`).join(', ')}`);
+        }
+        break;
+      }
+      case 'layout': {
+        const layout = oneOf(value, LAYOUTS, 'layout', errors);
+        if (layout) customizations.layout = layout;
+        break;
+      }
+      case 'mode': {
+        const mode = oneOf(value, MODES, 'mode', errors);
+        if (mode) customizations.mode = mode;
+        break;
+      }
+      case 'spacing': {
+        const spacing = oneOf(value, SPACING, 'spacing', errors);
+        if (spacing) customizations.spacing = spacing;
+        break;
+      }
+      case 'sectionOrder': {
+        if (!Array.isArray(value) || value.length > MAX_SECTION_ORDER ||
+            !value.every(entry => typeof entry === 'string' && /^[\w-]{1,64}$/.test(entry))) {
+          errors.push(`customizations.sectionOrder must be a list of up to ${MAX_SECTION_ORDER} section ids or types`);
+          break;
+        }
+        customizations.sectionOrder = [...new Set(value)];
+        break;
+      }
+      default:
+        errors.push(`customizations.${key} is not a supported customization`);
+    }
+  });
+
+  return { customizations, errors };
+}
+
+// Effective settings for rendering: stored values that are still valid, then the
+// template's defaults (template.json), then the global defaults.
+function resolveCustomizations(template, input) {
+  const { customizations } = normalizeCustomizations(isPlainObject(input) ? input : {});
+  const templateDefaults = (template.customizations && template.customizations.defaults) || {};
+  const settings = { ...DEFAULTS, ...templateDefaults, ...customizations };
+  const palette = PALETTES[settings.mode];
+  const colorOptions = (template.customizations && template.customizations.colors) || {};
+  const requested = customizations.colors || {};
+
+  // A template's default background is designed for dark mode; light mode uses the palette's
+  const fallbacks = {
+    primary: colorOptions.primary ? colorOptions.primary.default : '#B026FF',
+    accent: colorOptions.accent ? colorOptions.accent.default : '#FFD23F',
+    background: settings.mode === 'dark' && colorOptions.background
+      ? colorOptions.background.default
+      : palette.background
+  };
+  const colors = COLOR_KEYS.reduce((resolved, name) => {
+    resolved[name] = safeColor(requested[name], fallbacks[name]);
+    return resolved;
+  }, {});
+
+  return {
+    colors,
+    palette,
+    font: { id: settings.fontPair, ...FONT_PAIRS[settings.fontPair] },
+    layout: settings.layout,
+    mode: settings.mode,
+    spacing: settings.spacing,
+    spacingScale: SPACING[settings.spacing].scale,
+    sectionOrder: customizations.sectionOrder || []
+  };
+}
+
+// Apply sectionOrder: listed sections (by id or type) first, in that order, then the rest as they were
+function orderSections(sections, sectionOrder = []) {
+  const rank = section => {
+    const byId = sectionOrder.indexOf(section.id);
+    if (byId !== -1) return byId;
+    const byType = sectionOrder.indexOf(section.type);
+    return byType === -1 ? sectionOrder.length : byType;
+  };
+  return sections
+    .map((section, index) => ({ section, index, rank: rank(section) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(entry => entry.section);
+}
+
+// The options a template offers, as listed by GET /api/templates
+function describeOptions(template) {
+  const options = template.customizations || {};
+  const defaults = { ...DEFAULTS, ...options.defaults };
+  const list = (entries, label = value => value) => Object.keys(entries).map(id => ({ id, label: label(entries[id]) }));
+
+  return {
+    colors: options.colors || {},
+    fontPair: {
+      default: defaults.fontPair,
+      options: Object.keys(FONT_PAIRS).map(id => ({
+        id,
+        label: FONT_PAIRS[id].label,
+        heading: FONT_PAIRS[id].heading,
+        body: FONT_PAIRS[id].body
+      }))
+    },
+    layout: { default: defaults.layout, options: list(LAYOUTS) },
+    mode: { default: defaults.mode, options: list(MODES) },
+    spacing: { default: defaults.spacing, options: list(SPACING, entry => entry.label) },
+    sectionOrder: { maxItems: MAX_SECTION_ORDER }
+  };
+}
+
+module.exports = {
+  FONT_PAIRS,
+  LAYOUTS,
+  MODES,
+  SPACING,
+  normalizeCustomizations,
+  resolveCustomizations,
+  orderSections,
+  describeOptions
+};
@@ -0,0 +1,316 @@
+// Public artist directory: every artist with at least one listed portfolio (see publishing.js).
+//
+// Search is full text over the artist's name, title, bio and genres and the text of the visible
+// sections of their listed portfolios as published. Query and text are folded the same way
+// (lower case, accents removed, split into words) and every query word must start a word of the
+// entry ("choreo" finds "choreographer"); query words are only ever compared as text. The
+// relevance score adds up, per query word, the weight of the best field it matched, doubled for
+// a whole-word match.
+//
+// Facets (category, experience, city, country, genre) can each take several values; an entry
+// matches if it has any of them. Each facet's counts apply the search and every other facet,
+// but not the facet itself, so the other values stay selectable.
+//
+// Results are ordered by relevance (the default with ?q=), recency of publishing (the default
+// without) or popularity (portfolio views in the last POPULARITY_DAYS days), always with the
+// artist id as the tie-break. A cursor is the position of the last entry returned in that
+// order, so the next page carries on after it even if entries are added in between.
+//
+// Entries are built with toDirectoryArtist, which copies only public profile fields: no email,
+// phone, social links, uploads or owner.
+
+const { CATEGORY_LABELS, EXPERIENCE_LABELS } = require('./artistProfile');
+const { SECTION_TYPES } = require('./sections');
+const { fileUrl, mediaKind } = require('./media');
+const { publicUrl } = require('./slugs');
+
+const SORTS = ['relevance', 'recent', 'popular'];
+const FACETS = ['category', 'experience', 'city', 'country', 'genre'];
+const POPULARITY_DAYS = 30;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_WORDS = 10;
+const MAX_FACET_VALUES = 10;
+const MAX_FACET_LENGTH = 60;
+const BIO_EXCERPT_LENGTH = 300;
+
+const FIELD_WEIGHTS = { name: 8, genres: 5, title: 4, bio: 2, content: 1 };
+
+// "Mũthoni's Afro-Fusion" -> ['muthoni', 's', 'afro', 'fusion']
+function words(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+const facetKey = value => String(value).trim().toLowerCase();
+
+// Text of a published portfolio's visible sections: about text, section titles and the text
+// fields of list items (not file names, links or prices)
+function sectionText(sections) {
+  return (sections || [])
+    .filter(section => section.visible !== false)
+    .flatMap(section => {
+      const spec = SECTION_TYPES[section.type] || {};
+      const textFields = Object.keys(spec.fields || {}).filter(field => spec.fields[field].kind === 'text');
+      return [
+        section.title,
+        section.content,
+        ...(section.items || []).flatMap(item => textFields.map(field => item[field]))
+      ];
+    })
+    .filter(value => typeof value === 'string' && value);
+}
+
+function artistLocation(location) {
+  if (!location || typeof location !== 'object') {
+    return { city: '', country: '' };
+  }
+  const clean = value => (typeof value === 'string' ? value.trim() : '');
+  return { city: clean(location.city), country: clean(location.country) };
+}
+
+function excerpt(text, length) {
+  const value = String(text || '').trim();
+  return value.length > length ? `${value.slice(0, length - 3).trimEnd()}...` : value;
+}
+
+// Public projection of an artist and their listed portfolios (each with its published content)
+function toDirectoryArtist(artist, portfolios) {
+  const photo = (artist.files || []).find(file => file.filename === artist.profilePhoto);
+  const listed = portfolios
+    .map(portfolio => ({
+      id: portfolio.id,
+      title: portfolio.title,
+      description: portfolio.description || '',
+      template: portfolio.template,
+      publicUrl: publicUrl(portfolio.slug),
+      publishedAt: portfolio.publishedAt || null
+    }))
+    .sort((a, b) => String(b.publishedAt).localeCompare(String(a.publishedAt)));
+
+  return {
+    id: artist.id,
+    name: artist.name,
+    title: artist.title || '',
+    category: artist.category,
+    categoryLabel: CATEGORY_LABELS[artist.category] || artist.category,
+    experience: artist.experience,
+    experienceLabel: EXPERIENCE_LABELS[artist.experience] || artist.experience,
+    genres: Array.isArray(artist.genres) ? artist.genres.filter(genre => typeof genre === 'string') : [],
+    location: artistLocation(artist.location),
+    bio: excerpt(artist.bio, BIO_EXCERPT_LENGTH),
+    profilePhotoUrl: photo && mediaKind(photo.mimetype) === 'image' ? fileUrl(photo) : null,
+    portfolios: listed,
+    publishedAt: listed.length > 0 ? listed[0].publishedAt : null
+  };
+}
+
+// Directory entry: the public projection plus what search, facets and sorting work on.
+// `views` maps analytics subjects to recent views (analytics.recentViews).
+function buildEntry(artist, portfolios, views) {
+  const profile = toDirectoryArtist(artist, portfolios);
+  return {
+    profile,
+    views: portfolios.reduce((sum, portfolio) => sum + (views.get(`portfolio:${portfolio.id}`) || 0), 0),
+    words: {
+      name: words(artist.name),
+      genres: words(profile.genres.join(' ')),
+      title: words(artist.title),
+      bio: words(artist.bio),
+      content: words(portfolios.flatMap(portfolio => [
+        portfolio.title,
+        portfolio.description,
+        ...sectionText(portfolio.sections)
+      ]).join(' '))
+    },
+    facets: {
+      category: profile.category ? [profile.category] : [],
+      experience: profile.experience ? [profile.experience] : [],
+      city: profile.location.city ? [profile.location.city] : [],
+      country: profile.location.country ? [profile.location.country] : [],
+      genre: profile.genres
+    }
+  };
+}
+
+function queryList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value]).map(item => (typeof item === 'string' ? item.trim() : '')).filter(Boolean);
+}
+
+function encodeCursor(sort, entry) {
+  return Buffer.from(JSON.stringify([sort, sortValue(sort, entry), entry.profile.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return SORTS.includes(sort) && typeof id === 'string' ? { sort, value, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Directory query string: ?q=, the facets (repeat a parameter for several values), ?sort=,
+// ?limit= and ?cursor= (nextCursor of the previous page)
+function parseDirectoryQuery(query) {
+  const errors = [];
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q.length > MAX_QUERY_LENGTH) {
+    errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  const terms = [...new Set(words(q))];
+  if (terms.length > MAX_QUERY_WORDS) {
+    errors.push(`q must have at most ${MAX_QUERY_WORDS} words`);
+  }
+
+  const filters = {};
+  FACETS.forEach(facet => {
+    const values = queryList(query[facet]);
+    if (values.length > MAX_FACET_VALUES || values.some(value => value.length > MAX_FACET_LENGTH)) {
+      errors.push(`${facet} takes at most ${MAX_FACET_VALUES} values of up to ${MAX_FACET_LENGTH} characters`);
+    }
+    filters[facet] = values.map(facetKey);
+  });
+  if (filters.category.some(value => !Object.hasOwn(CATEGORY_LABELS, value))) {
+    errors.push(`category must be one of ${Object.keys(CATEGORY_LABELS).join(', ')}`);
+  }
+  if (filters.experience.some(value => !Object.hasOwn(EXPERIENCE_LABELS, value))) {
+    errors.push(`experience must be one of ${Object.keys(EXPERIENCE_LABELS).join(', ')}`);
+  }
+
+  const sort = query.sort === undefined ? (terms.length > 0 ? 'relevance' : 'recent') : query.sort;
+  if (!SORTS.includes(sort)) {
+    errors.push(`sort must be one of ${SORTS.join(', ')}`);
+  } else if (sort === 'relevance' && terms.length === 0) {
+    errors.push('sort=relevance needs a search (q)');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+    if (!cursor || cursor.sort !== sort) {
+      errors.push('cursor is not valid for this search');
+    }
+  }
+
+  return { params: { q, terms, filters, sort, limit, cursor }, errors };
+}
+
+// Relevance of an entry for the query words, or 0 if a word matches nowhere
+function score(entry, terms) {
+  let total = 0;
+  for (const term of terms) {
+    let best = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const fieldWords = entry.words[field];
+      if (fieldWords.includes(term)) {
+        best = Math.max(best, weight * 2);
+      } else if (fieldWords.some(word => word.startsWith(term))) {
+        best = Math.max(best, weight);
+      }
+    });
+    if (best === 0) {
+      return 0;
+    }
+    total += best;
+  }
+  return total;
+}
+
+function sortValue(sort, entry) {
+  if (sort === 'relevance') return entry.score;
+  if (sort === 'popular') return entry.views;
+  return entry.profile.publishedAt || '';
+}
+
+// Order for `sort`: the sort value descending, then the id ascending
+function compareEntries(sort, a, b) {
+  const [valueA, valueB] = [a.value, b.value];
+  if (valueA !== valueB) {
+    return valueA > valueB ? -1 : 1;
+  }
+  return a.id.localeCompare(b.id);
+}
+
+const position = (sort, entry) => ({ value: sortValue(sort, entry), id: entry.profile.id });
+
+const matchesFacet = (entry, facet, selected) => selected.length === 0
+  || entry.facets[facet].some(value => selected.includes(facetKey(value)));
+
+function facetLabel(facet, value) {
+  if (facet === 'category') return CATEGORY_LABELS[value] || value;
+  if (facet === 'experience') return EXPERIENCE_LABELS[value] || value;
+  return value;
+}
+
+// Counts per value of each facet. Values that differ only in case are counted together under
+// the spelling seen first.
+function facetCounts(entries, filters) {
+  return FACETS.reduce((facets, facet) => {
+    const counts = new Map();
+    entries
+      .filter(entry => FACETS.every(other => other === facet || matchesFacet(entry, other, filters[other])))
+      .forEach(entry => {
+        new Set(entry.facets[facet].map(value => value.trim())).forEach(value => {
+          const key = facetKey(value);
+          const count = counts.get(key) || { value, count: 0 };
+          count.count += 1;
+          counts.set(key, count);
+        });
+      });
+    facets[facet] = [...counts.values()]
+      .map(({ value, count }) => ({
+        value,
+        label: facetLabel(facet, value),
+        count,
+        selected: filters[facet].includes(facetKey(value))
+      }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    return facets;
+  }, {});
+}
+
+// Run a parsed directory query over the entries
+function searchDirectory(entries, { terms, filters, sort, limit, cursor }) {
+  const found = terms.length === 0
+    ? entries
+    : entries.map(entry => ({ ...entry, score: score(entry, terms) })).filter(entry => entry.score > 0);
+
+  const matching = found
+    .filter(entry => FACETS.every(facet => matchesFacet(entry, facet, filters[facet])))
+    .sort((a, b) => compareEntries(sort, position(sort, a), position(sort, b)));
+
+  const start = cursor ? matching.findIndex(entry => compareEntries(sort, position(sort, entry), cursor) > 0) : 0;
+  const page = start === -1 ? [] : matching.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + limit < matching.length;
+
+  return {
+    artists: page.map(entry => (terms.length > 0 ? { ...entry.profile, score: entry.score } : entry.profile)),
+    facets: facetCounts(found, filters),
+    total: matching.length,
+    sort,
+    nextCursor: hasMore ? encodeCursor(sort, last) : null
+  };
+}
+
+module.exports = {
+  SORTS,
+  FACETS,
+  POPULARITY_DAYS,
+  toDirectoryArtist,
+  buildEntry,
+  parseDirectoryQuery,
+  searchDirectory
+};
@@ -0,0 +1,150 @@
+// Booking enquiries sent from the form on an artist's public portfolio page.
+//
+// Enquiries are stored per artist (the portfolio they came from is kept for reference)
+// and move through the artist's inbox:
+//   new        not opened yet (opening it in the inbox marks it read)
+//   read       opened
+//   responded  the artist has replied
+//   archived   filed away; hidden from the inbox unless asked for
+// The public form carries a hidden honeypot field; submissions that fill it in are
+// accepted like any other but never stored.
+
+const Enquiry = require('../models/Enquiry');
+
+const STATUSES = ['new', 'read', 'responded', 'archived'];
+
+const EVENT_TYPES = [
+  { value: 'performance', label: 'Performance' },
+  { value: 'wedding', label: 'Wedding' },
+  { value: 'corporate', label: 'Corporate event' },
+  { value: 'festival', label: 'Festival' },
+  { value: 'music-video', label: 'Music video' },
+  { value: 'workshop', label: 'Workshop / class' },
+  { value: 'private', label: 'Private event' },
+  { value: 'other', label: 'Other' }
+];
+
+const HONEYPOT_FIELD = 'website';
+const MAX_BUDGET_KES = 100000000;
+const LIMITS = { name: 100, phone: 30, venue: 200, message: 2000 };
+
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Filled-in honeypot: the field is hidden from people, so only bots complete it
+function isSpam(body) {
+  return text(body[HONEYPOT_FIELD]) !== '';
+}
+
+// Validate a booking form submission. Returns the fields to store and a list of errors.
+function normalizeEnquiry(body, now = new Date()) {
+  const errors = [];
+  const enquiry = {
+    name: text(body.name),
+    email: text(body.email).toLowerCase(),
+    phone: text(body.phone),
+    eventType: body.eventType,
+    eventDate: body.eventDate,
+    venue: text(body.venue),
+    budgetKes: null,
+    message: text(body.message)
+  };
+
+  ['name', 'venue', 'message'].forEach(field => {
+    if (!enquiry[field]) {
+      errors.push(`${field} is required`);
+    }
+  });
+  Object.keys(LIMITS).forEach(field => {
+    if (enquiry[field].length > LIMITS[field]) {
+      errors.push(`${field} must be at most ${LIMITS[field]} characters`);
+    }
+  });
+  if (!isValidEmail(enquiry.email)) {
+    errors.push('A valid email is required');
+  }
+  if (enquiry.phone && !/^\+?[\d\s()-]{7,}$/.test(enquiry.phone)) {
+    errors.push('phone must be a phone number');
+  }
+  if (!EVENT_TYPES.some(type => type.value === enquiry.eventType)) {
+    errors.push(`eventType must be one of ${EVENT_TYPES.map(type => type.value).join(', ')}`);
+  }
+
+  const date = typeof enquiry.eventDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(enquiry.eventDate)
+    ? new Date(`${enquiry.eventDate}T00:00:00Z`)
+    : null;
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== enquiry.eventDate) {
+    errors.push('eventDate must be a date (YYYY-MM-DD)');
+  } else if (enquiry.eventDate < now.toISOString().slice(0, 10)) {
+    errors.push('eventDate must not be in the past');
+  }
+
+  if (body.budget !== undefined && body.budget !== null && body.budget !== '') {
+    const budget = Number(body.budget);
+    if (!Number.isInteger(budget) || budget < 0 || budget > MAX_BUDGET_KES) {
+      errors.push(`budget must be a whole number of KES from 0 to ${MAX_BUDGET_KES}`);
+    } else {
+      enquiry.budgetKes = budget;
+    }
+  }
+
+  return { enquiry, errors };
+}
+
+// Fields to change when an enquiry moves to `status`; the first time it is read,
+// responded to or archived is kept
+function statusChanges(enquiry, status, now = new Date()) {
+  const time = now.toISOString();
+  const changes = { status, updatedAt: time };
+  if (status !== 'new' && !enquiry.readAt) {
+    changes.readAt = time;
+  }
+  if (status === 'responded' && !enquiry.respondedAt) {
+    changes.respondedAt = time;
+  }
+  if (status === 'archived' && !enquiry.archivedAt) {
+    changes.archivedAt = time;
+  }
+  return changes;
+}
+
+function countByStatus(enquiries) {
+  return STATUSES.reduce((counts, status) => {
+    counts[status] = enquiries.filter(enquiry => enquiry.status === status).length;
+    return counts;
+  }, {});
+}
+
+function eventTypeLabel(value) {
+  const type = EVENT_TYPES.find(option => option.value === value);
+  return type ? type.label : value;
+}
+
+function toEnquiryView(enquiry) {
+  return {
+    ...enquiry,
+    eventTypeLabel: eventTypeLabel(enquiry.eventType),
+    currency: 'KES'
+  };
+}
+
+async function deleteEnquiries(artistId) {
+  await Enquiry.deleteMany({ artistId });
+}
+
+module.exports = {
+  STATUSES,
+  EVENT_TYPES,
+  HONEYPOT_FIELD,
+  isSpam,
+  normalizeEnquiry,
+  statusChanges,
+  countByStatus,
+  toEnquiryView,
+  deleteEnquiries
+};
@@ -0,0 +1,119 @@
+// Escaping and sanitizing for user-supplied values placed into generated HTML.
+// Every template interpolation of artist or portfolio data goes through one of these.
+
+const MarkdownIt = require('markdown-it');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+const SAFE_SCHEMES = ['http:', 'https:'];
+
+// Text content and attribute values
+function escapeHtml(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+// A link target that is safe to put in href/src, or '' if it isn't.
+// Root-relative paths (our own /uploads URLs) pass; bare domains such as
+// "instagram.com/amani" are treated as https. Anything else (javascript:, data:,
+// vbscript:, protocol-relative //host) is dropped.
+function safeUrl(value, { schemes = SAFE_SCHEMES } = {}) {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+  const url = value.replace(/[\u0000-\u001F\u007F]/g, '').trim();
+  if (!url) {
+    return '';
+  }
+  if (url.startsWith('/')) {
+    return url.startsWith('//') || url.startsWith('/\\') ? '' : url;
+  }
+
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  if (!scheme) {
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+([/?#]|$)/i.test(url) ? safeUrl(`https://${url}`, { schemes }) : '';
+  }
+  if (!schemes.includes(scheme[1].toLowerCase() + ':')) {
+    return '';
+  }
+
+  try {
+    return new URL(url).href;
+  } catch (error) {
+    return '';
+  }
+}
+
+// mailto: link for a single, plain email address
+function mailtoUrl(email) {
+  return typeof email === 'string' && /^[^\s@<>"'`?&]+@[^\s@<>"'`?&]+\.[^\s@<>"'`?&]+$/.test(email.trim())
+    ? `mailto:${email.trim()}`
+    : '';
+}
+
+// tel: link keeping only the characters a dialler understands
+function telUrl(phone) {
+  const digits = typeof phone === 'string' ? phone.replace(/[^\d+]/g, '') : '';
+  return digits.length >= 3 ? `tel:${digits}` : '';
+}
+
+// CSS colour from customizations, limited to hex and rgb()/rgba() so it can't break out of a <style> block
+function safeColor(value, fallback) {
+  if (typeof value !== 'string') {
+    return fallback;
+  }
+  const color = value.trim();
+  return /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color) ||
+    /^rgba?\(\s*[\d.\s,%]+\)$/i.test(color)
+    ? color
+    : fallback;
+}
+
+// Markdown for long-form fields (bio, descriptions). Raw HTML in the source is
+// escaped rather than passed through, single newlines become <br> so plain text
+// keeps its line breaks, and links/images must use an allowed scheme.
+const markdown = new MarkdownIt({ html: false, breaks: true, linkify: true });
+markdown.validateLink = url => Boolean(safeUrl(url));
+
+const defaultLinkOpen = markdown.renderer.rules.link_open ||
+  ((tokens, index, options, env, self) => self.renderToken(tokens, index, options));
+markdown.renderer.rules.link_open = (tokens, index, options, env, self) => {
+  tokens[index].attrSet('target', '_blank');
+  tokens[index].attrSet('rel', 'noopener noreferrer nofollow');
+  return defaultLinkOpen(tokens, index, options, env, self);
+};
+
+function renderMarkdown(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return '';
+  }
+  return markdown.render(text);
+}
+
+// Markdown-it tokens for renderers that don't output HTML (the PDF export), with the same link rules
+function parseMarkdown(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return [];
+  }
+  return markdown.parse(text, {});
+}
+
+module.exports = {
+  escapeHtml,
+  safeUrl,
+  mailtoUrl,
+  telUrl,
+  safeColor,
+  renderMarkdown,
+  parseMarkdown
+};
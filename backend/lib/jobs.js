@@ -0,0 +1,170 @@
+// Background job queue for slow work (PDF export, site generation).
+//
+// Jobs are stored in the `jobs` collection so clients can poll their status
+// (GET /api/jobs/:id) and queued work survives a restart. They run in this process,
+// at most `concurrency` at a time. A job that throws is retried after
+// retryDelayMs × attempt until it has run maxAttempts times, then marked failed;
+// errors with `retryable = false` (e.g. the portfolio was deleted) fail straight away.
+// A failed job can be queued again with retry().
+
+const Job = require('../models/Job');
+
+const STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const handlers = new Map();
+const waiting = [];
+let running = 0;
+let settings = { concurrency: 2, maxAttempts: 3, retryDelayMs: 2000 };
+
+function configure(options = {}) {
+  settings = { ...settings, ...options };
+}
+
+// `handler(payload, { jobId, progress })` does the work and returns the job's result;
+// progress(percent) may be called along the way.
+function register(type, handler) {
+  handlers.set(type, handler);
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function schedule(id, delay = 0) {
+  if (delay > 0) {
+    setTimeout(() => schedule(id), delay).unref();
+    return;
+  }
+  waiting.push(id);
+  drain();
+}
+
+function drain() {
+  while (running < settings.concurrency && waiting.length > 0) {
+    const id = waiting.shift();
+    running += 1;
+    run(id)
+      .catch(error => console.error(`Error running job ${id}:`, error))
+      .finally(() => {
+        running -= 1;
+        drain();
+      });
+  }
+}
+
+async function run(id) {
+  const job = await Job.findById(id);
+  if (!job || job.status !== 'queued') {
+    return;
+  }
+
+  const handler = handlers.get(job.type);
+  const attempts = job.attempts + 1;
+  await Job.findByIdAndUpdate(id, { status: 'running', attempts, progress: 0, startedAt: now(), updatedAt: now() });
+
+  const progress = percent => Job.findByIdAndUpdate(id, {
+    progress: Math.max(0, Math.min(99, Math.round(percent))),
+    updatedAt: now()
+  });
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    const result = await handler(job.payload, { jobId: id, progress });
+    await Job.findByIdAndUpdate(id, {
+      status: 'completed',
+      progress: 100,
+      result: result || null,
+      error: null,
+      completedAt: now(),
+      updatedAt: now()
+    });
+  } catch (error) {
+    console.error(`Job ${id} (${job.type}) failed on attempt ${attempts} of ${job.maxAttempts}:`, error);
+    if (handler && error.retryable !== false && attempts < job.maxAttempts) {
+      const delay = settings.retryDelayMs * attempts;
+      await Job.findByIdAndUpdate(id, {
+        status: 'queued',
+        error: error.message,
+        retryAt: new Date(Date.now() + delay).toISOString(),
+        updatedAt: now()
+      });
+      schedule(id, delay);
+    } else {
+      await Job.findByIdAndUpdate(id, { status: 'failed', error: error.message, failedAt: now(), updatedAt: now() });
+    }
+  }
+}
+
+async function enqueue(type, payload, { ownerId = null } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const job = await Job.create({
+    type,
+    status: 'queued',
+    progress: 0,
+    attempts: 0,
+    maxAttempts: settings.maxAttempts,
+    payload,
+    ownerId,
+    result: null,
+    error: null,
+    createdAt: now(),
+    updatedAt: now()
+  });
+  schedule(job.id);
+  return job;
+}
+
+// Queue a failed job again with a fresh set of attempts; returns null if it isn't failed
+async function retry(id) {
+  const job = await Job.findById(id);
+  if (!job || job.status !== 'failed') {
+    return null;
+  }
+  const queued = await Job.findByIdAndUpdate(id, {
+    status: 'queued',
+    attempts: 0,
+    progress: 0,
+    error: null,
+    failedAt: null,
+    updatedAt: now()
+  });
+  schedule(id);
+  return queued;
+}
+
+// Requeue jobs that were waiting or running when the process stopped; call once after storage connects
+async function resume() {
+  const jobs = [
+    ...await Job.find({ status: 'running' }),
+    ...await Job.find({ status: 'queued' })
+  ].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of jobs) {
+    if (job.status === 'running') {
+      await Job.findByIdAndUpdate(job.id, { status: 'queued', updatedAt: now() });
+    }
+    schedule(job.id);
+  }
+  return jobs.length;
+}
+
+// Job as returned by the API; the payload stays internal
+function toJobView(job) {
+  const { payload, ownerId, ...view } = job;
+  return { ...view, statusUrl: `/api/jobs/${job.id}` };
+}
+
+module.exports = {
+  STATUSES,
+  configure,
+  register,
+  enqueue,
+  retry,
+  resume,
+  toJobView
+};
@@ -0,0 +1,81 @@
+// Outgoing email. A message is { to, subject, text, html, headers } and is delivered by the
+// transport named in config.mail.transport:
+//   console  prints the message; the default, for development
+//   file     writes each message to outboxDir as an .eml file that mail clients can open
+// A real transport (SMTP, an email API) is added with registerTransport(name, factory), where
+// factory(config.mail) returns { send(message) } and send resolves once the message is accepted.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Headers can't carry line breaks; anything after one would become a header of its own
+const headerValue = value => String(value).replace(/[\r\n]+/g, ' ');
+
+// The message as RFC 5322 text: plain text and, if given, HTML alternatives
+function formatMessage(message, from) {
+  const headers = {
+    From: from,
+    To: message.to,
+    Subject: message.subject,
+    Date: new Date().toUTCString(),
+    'Message-ID': `<${crypto.randomUUID()}@katikaname>`,
+    'MIME-Version': '1.0',
+    ...message.headers
+  };
+  const lines = Object.entries(headers).map(([name, value]) => `${name}: ${headerValue(value)}`);
+
+  if (!message.html) {
+    return [...lines, 'Content-Type: text/plain; charset=utf-8', '', message.text].join('\r\n');
+  }
+  const boundary = `katikaname-${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...lines,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    message.html,
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+const transports = {
+  console: ({ from }) => ({
+    async send(message) {
+      console.log(`Email to ${message.to}: ${message.subject}\n${formatMessage({ ...message, html: null }, from)}`);
+    }
+  }),
+
+  file: ({ from, outboxDir }) => ({
+    async send(message) {
+      await fs.ensureDir(outboxDir);
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      await fs.writeFile(path.join(outboxDir, filename), formatMessage(message, from));
+    }
+  })
+};
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+function createTransport(options) {
+  const factory = transports[options.transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${options.transport}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  formatMessage,
+  registerTransport,
+  createTransport
+};
@@ -0,0 +1,82 @@
+// Helpers for the media an artist uploads through multer (stored on artist.files)
+// and the selection of those files shown in their portfolios.
+
+function mediaKind(mimetype = '') {
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  return 'document';
+}
+
+// Public URL of an uploaded file, e.g. /uploads/images/<filename>.
+// `baseUrl` makes the URL absolute for output read outside the app (PDF export).
+function fileUrl(file, baseUrl = '') {
+  const [, ...segments] = file.path.split(/[\\/]/);
+  return `${baseUrl}/uploads/${segments.map(encodeURIComponent).join('/')}`;
+}
+
+function normalizeGallery(gallery) {
+  return gallery.map(item => (typeof item === 'string' ? { filename: item, caption: '' } : {
+    filename: item.filename,
+    caption: typeof item.caption === 'string' ? item.caption.trim() : ''
+  }));
+}
+
+// Check that profilePhoto/gallery refer to the artist's own uploads
+function validateMediaSelection(files, { profilePhoto, gallery }) {
+  const errors = [];
+  const byName = new Map(files.map(file => [file.filename, file]));
+
+  if (profilePhoto !== undefined && profilePhoto !== null && profilePhoto !== '') {
+    const file = byName.get(profilePhoto);
+    if (!file) {
+      errors.push('profilePhoto must be the filename of one of your uploads');
+    } else if (mediaKind(file.mimetype) !== 'image') {
+      errors.push('profilePhoto must be an image');
+    }
+  }
+
+  if (gallery !== undefined) {
+    if (!Array.isArray(gallery)) {
+      errors.push('gallery must be an array');
+    } else {
+      gallery.forEach((item, index) => {
+        const filename = typeof item === 'string' ? item : item && item.filename;
+        if (!byName.has(filename)) {
+          errors.push(`gallery[${index}] must be the filename of one of your uploads`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Default the profile photo to the first uploaded image
+function defaultProfilePhoto(files) {
+  const image = files.find(file => mediaKind(file.mimetype) === 'image');
+  return image ? image.filename : '';
+}
+
+// Renderable description of one of the artist's uploads, or null if it no longer exists.
+// `mediaDir` links to a flat copy of the uploads instead (static site export).
+function resolveUpload(files, filename, { baseUrl = '', mediaDir = null } = {}) {
+  const file = (files || []).find(f => f.filename === filename);
+  if (!file) {
+    return null;
+  }
+  return {
+    url: mediaDir === null ? fileUrl(file, baseUrl) : `${mediaDir}/${encodeURIComponent(file.filename)}`,
+    path: file.path,
+    mimetype: file.mimetype,
+    originalName: file.originalName
+  };
+}
+
+module.exports = {
+  mediaKind,
+  fileUrl,
+  normalizeGallery,
+  validateMediaSelection,
+  defaultProfilePhoto,
+  resolveUpload
+};
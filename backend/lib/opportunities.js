@@ -0,0 +1,301 @@
+// Opportunities board: competitions, auditions, workshops, jobs and gigs posted by organizers.
+//
+// An opportunity's status follows from its dates, so it is worked out whenever it is read
+// instead of being stored:
+//   upcoming      opensOn is still ahead
+//   open          taking applications
+//   closing-soon  the deadline is CLOSING_SOON_DAYS or fewer away
+//   closed        the deadline has passed
+// Dates are calendar days in East Africa Time: an opportunity opens at the start of opensOn
+// and closes at the end of its deadline. Without a deadline it stays open.
+//
+// Unless the organizer turns it off, artists can apply through the platform while an
+// opportunity is open or closing soon (see lib/applications.js). Organizers choose which of
+// APPLICATION_FIELDS applicants must fill in besides attaching a portfolio PDF.
+
+const { safeUrl } = require('./html');
+
+const TYPES = [
+  { value: 'competition', label: 'Competition' },
+  { value: 'audition', label: 'Audition' },
+  { value: 'workshop', label: 'Workshop' },
+  { value: 'job', label: 'Job Opening' },
+  { value: 'gig', label: 'Gig' }
+];
+
+const STATUSES = ['upcoming', 'open', 'closing-soon', 'closed'];
+const ACTIVE_STATUSES = ['upcoming', 'open', 'closing-soon'];
+const APPLYING_STATUSES = ['open', 'closing-soon'];
+
+const APPLICATION_FIELDS = [
+  { value: 'auditionVideo', label: 'Audition video link', kind: 'url' },
+  { value: 'availability', label: 'Availability', kind: 'text' },
+  { value: 'experience', label: 'Relevant experience', kind: 'text' }
+];
+const CLOSING_SOON_DAYS = 7;
+const TIMEZONE_OFFSET = '+03:00'; // East Africa Time, no daylight saving
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIMITS = { title: 120, organizer: 120, description: 5000, location: 120, schedule: 120, compensation: 120 };
+const MAX_TAGS = 8;
+const MAX_TAG_LENGTH = 30;
+const LOCATION_KEY = /^[a-z]+(-[a-z]+)*$/; // words joined by single hyphens: dar-es-salaam
+const LOCATION_KEY_LENGTH = { min: 2, max: 40 };
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+const MAX_QUERY_LENGTH = 100;
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function isDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function isLocationKey(value) {
+  return value.length >= LOCATION_KEY_LENGTH.min && value.length <= LOCATION_KEY_LENGTH.max && LOCATION_KEY.test(value);
+}
+
+const startOfDay = date => new Date(`${date}T00:00:00${TIMEZONE_OFFSET}`);
+const endOfDay = date => new Date(startOfDay(date).getTime() + DAY_MS);
+
+function opportunityStatus(opportunity, now = new Date()) {
+  if (opportunity.opensOn && now < startOfDay(opportunity.opensOn)) {
+    return 'upcoming';
+  }
+  if (!opportunity.deadline) {
+    return 'open';
+  }
+  const closesAt = endOfDay(opportunity.deadline);
+  if (now >= closesAt) {
+    return 'closed';
+  }
+  return closesAt - now <= CLOSING_SOON_DAYS * DAY_MS ? 'closing-soon' : 'open';
+}
+
+function normalizeTags(value, errors) {
+  if (!Array.isArray(value) || value.length > MAX_TAGS) {
+    errors.push(`tags must be a list of at most ${MAX_TAGS} tags`);
+    return [];
+  }
+  const tags = value.map(text);
+  if (tags.some(tag => !tag || tag.length > MAX_TAG_LENGTH)) {
+    errors.push(`each tag must be 1-${MAX_TAG_LENGTH} characters`);
+    return [];
+  }
+  return [...new Set(tags)];
+}
+
+// Validate an opportunity. With `partial` only the fields present are checked and returned
+// (PATCH); otherwise missing optional fields are cleared. Only admins can feature an opportunity.
+function normalizeOpportunity(body, { partial = false, isAdmin = false } = {}) {
+  const errors = [];
+  const fields = {};
+  const has = field => !partial || body[field] !== undefined;
+
+  ['title', 'organizer', 'description', 'location', 'schedule', 'compensation'].forEach(field => {
+    if (!has(field)) return;
+    const value = text(body[field]);
+    if (['title', 'organizer', 'description', 'location'].includes(field) && !value) {
+      errors.push(`${field} is required`);
+    } else if (value.length > LIMITS[field]) {
+      errors.push(`${field} must be at most ${LIMITS[field]} characters`);
+    }
+    fields[field] = value;
+  });
+
+  if (has('type')) {
+    if (!TYPES.some(type => type.value === body.type)) {
+      errors.push(`type must be one of ${TYPES.map(type => type.value).join(', ')}`);
+    }
+    fields.type = body.type;
+  }
+  if (has('locationKey')) {
+    const key = text(body.locationKey).toLowerCase();
+    if (!isLocationKey(key)) {
+      errors.push('locationKey must be a lowercase place name such as nairobi or online');
+    }
+    fields.locationKey = key;
+  }
+
+  ['opensOn', 'deadline'].forEach(field => {
+    if (!has(field)) return;
+    const value = body[field] === undefined || body[field] === '' ? null : body[field];
+    if (value !== null && !isDate(value)) {
+      errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+    fields[field] = value;
+  });
+
+  if (has('tags')) {
+    fields.tags = body.tags === undefined ? [] : normalizeTags(body.tags, errors);
+  }
+  if (has('applyUrl')) {
+    const url = text(body.applyUrl);
+    fields.applyUrl = url ? safeUrl(url, { schemes: ['http:', 'https:', 'mailto:'] }) : '';
+    if (url && !fields.applyUrl) {
+      errors.push('applyUrl must be a web address or a mailto: link');
+    }
+  }
+  if (has('acceptsApplications')) {
+    if (body.acceptsApplications !== undefined && typeof body.acceptsApplications !== 'boolean') {
+      errors.push('acceptsApplications must be true or false');
+    }
+    fields.acceptsApplications = body.acceptsApplications !== false;
+  }
+  if (has('applicationFields')) {
+    const requested = body.applicationFields === undefined ? [] : body.applicationFields;
+    if (!Array.isArray(requested) || requested.some(field => !APPLICATION_FIELDS.some(option => option.value === field))) {
+      errors.push(`applicationFields must be a list of ${APPLICATION_FIELDS.map(field => field.value).join(', ')}`);
+      fields.applicationFields = [];
+    } else {
+      fields.applicationFields = [...new Set(requested)];
+    }
+  }
+  if (isAdmin && body.featured !== undefined) {
+    if (typeof body.featured !== 'boolean') {
+      errors.push('featured must be true or false');
+    }
+    fields.featured = body.featured === true;
+  }
+
+  return { fields, errors };
+}
+
+// Dates must run opensOn, then deadline; checked on the merged record for PATCH
+function checkDates(opportunity) {
+  return opportunity.opensOn && opportunity.deadline && opportunity.opensOn > opportunity.deadline
+    ? ['opensOn must be on or before deadline']
+    : [];
+}
+
+const canManageOpportunity = (user, opportunity) => user.role === 'admin' || opportunity.ownerId === user.id;
+
+// Whether artists can apply through the platform right now
+function isAcceptingApplications(opportunity, now = new Date()) {
+  return opportunity.acceptsApplications !== false && APPLYING_STATUSES.includes(opportunityStatus(opportunity, now));
+}
+
+function typeLabel(value) {
+  const type = TYPES.find(option => option.value === value);
+  return type ? type.label : value;
+}
+
+function toOpportunityView(opportunity, now = new Date()) {
+  const { ownerId, ...rest } = opportunity;
+  return {
+    ...rest,
+    typeLabel: typeLabel(opportunity.type),
+    status: opportunityStatus(opportunity, now),
+    closesAt: opportunity.deadline ? endOfDay(opportunity.deadline).toISOString() : null,
+    acceptsApplications: opportunity.acceptsApplications !== false,
+    applicationFields: opportunity.applicationFields || [],
+    acceptingApplications: isAcceptingApplications(opportunity, now)
+  };
+}
+
+// Case-insensitive search: every word of the query must appear in the title, organizer,
+// description, location or tags
+function matchesQuery(opportunity, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = [
+    opportunity.title,
+    opportunity.organizer,
+    opportunity.description,
+    opportunity.location,
+    ...(opportunity.tags || [])
+  ].join(' ').toLowerCase();
+  return words.every(word => haystack.includes(word));
+}
+
+function listParam(value) {
+  return typeof value === 'string' && value !== '' ? value.split(',').map(item => item.trim()) : [];
+}
+
+// Listing filters from a query string: ?type= and ?status= (comma-separated), ?location=
+// (a locationKey), ?q= (search words), ?featured=true. Without ?status= only opportunities
+// that are not closed are listed; ?status=all lists every one.
+function parseFilters(query) {
+  const errors = [];
+  const filters = {
+    types: listParam(query.type),
+    location: typeof query.location === 'string' && query.location !== '' ? query.location.toLowerCase() : null,
+    statuses: query.status === 'all' ? STATUSES : listParam(query.status),
+    q: typeof query.q === 'string' ? query.q.trim() : '',
+    featured: query.featured === 'true'
+  };
+  if (filters.statuses.length === 0) {
+    filters.statuses = ACTIVE_STATUSES;
+  }
+
+  if (filters.types.some(type => !TYPES.some(option => option.value === type))) {
+    errors.push(`type must be one or more of ${TYPES.map(type => type.value).join(', ')}`);
+  }
+  if (filters.statuses.some(status => !STATUSES.includes(status))) {
+    errors.push(`status must be all or one or more of ${STATUSES.join(', ')}`);
+  }
+  if (filters.location !== null && !isLocationKey(filters.location)) {
+    errors.push('location must be a location key such as nairobi or online');
+  }
+  if (filters.q.length > MAX_QUERY_LENGTH) {
+    errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  return { filters, errors };
+}
+
+function parsePagination(query) {
+  const errors = [];
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push('page must be a positive integer');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    errors.push(`pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  return { page, pageSize, errors };
+}
+
+function matchesFilters(opportunity, filters, now = new Date()) {
+  return (filters.types.length === 0 || filters.types.includes(opportunity.type))
+    && (!filters.location || opportunity.locationKey === filters.location)
+    && filters.statuses.includes(opportunityStatus(opportunity, now))
+    && (!filters.featured || opportunity.featured === true)
+    && (!filters.q || matchesQuery(opportunity, filters.q));
+}
+
+// Listing order: featured first, then the nearest deadline (none last), then newest
+function compareOpportunities(a, b) {
+  if (Boolean(a.featured) !== Boolean(b.featured)) {
+    return a.featured ? -1 : 1;
+  }
+  if (a.deadline !== b.deadline) {
+    if (!a.deadline) return 1;
+    if (!b.deadline) return -1;
+    return a.deadline.localeCompare(b.deadline);
+  }
+  return b.createdAt.localeCompare(a.createdAt);
+}
+
+module.exports = {
+  TYPES,
+  STATUSES,
+  ACTIVE_STATUSES,
+  CLOSING_SOON_DAYS,
+  APPLICATION_FIELDS,
+  opportunityStatus,
+  canManageOpportunity,
+  isAcceptingApplications,
+  normalizeOpportunity,
+  checkDates,
+  toOpportunityView,
+  parseFilters,
+  parsePagination,
+  matchesFilters,
+  compareOpportunities
+};
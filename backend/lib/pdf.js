@@ -0,0 +1,572 @@
+// PDF export. Renders the same data, section order, headings, colours and font pair
+// as the HTML templates, drawn with PDFKit so it runs fully offline: fonts are
+// embedded from the @fontsource packages and images are read from the uploads on disk.
+//
+// Print output is always dark text on white and a single column, whatever the
+// on-screen mode and layout. Each template's template.json may add a "print" block:
+//   header         "banner" (coloured band), "plain" (left-aligned with a rule)
+//                  or "cover" (full first page)
+//   headingAlign   "left" or "center"
+//   headingCase    "none" or "upper"
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs-extra');
+const { getTemplate, DEFAULT_TEMPLATE } = require('./templates');
+const { resolveCustomizations, orderSections } = require('./customizations');
+const {
+  sectionTitle,
+  resolveLabels,
+  resolveSkills,
+  resolveSocialLinks,
+  formatPrice,
+  formatShowDate
+} = require('./portfolioView');
+const { safeUrl, mailtoUrl, telUrl, parseMarkdown } = require('./html');
+
+const MARGIN = 50;
+const FOOTER_SPACE = 30;
+const INK = { text: '#1a1a24', muted: '#5a5a66', rule: '#dddde3', quote: '#f4f4f7' };
+const PRINT_DEFAULTS = { header: 'banner', headingAlign: 'left', headingCase: 'none' };
+const STANDARD_FONTS = { heading: 'Helvetica-Bold', body: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+// PDFKit can only embed JPEG and PNG
+const EMBEDDABLE_IMAGES = ['image/jpeg', 'image/png'];
+
+// Path of a @fontsource latin subset file, trying the weights in order
+function fontFile(family, weights, style = 'normal') {
+  const slug = family.toLowerCase().replace(/\s+/g, '-');
+  for (const weight of weights) {
+    try {
+      return require.resolve(`@fontsource/${slug}/files/${slug}-latin-${weight}-${style}.woff`);
+    } catch (error) {
+      // not published in this weight, try the next one
+    }
+  }
+  return null;
+}
+
+// Register the pair's faces, falling back to the built-in PDF fonts if a file is missing
+function registerFonts(doc, font) {
+  const faces = {
+    heading: fontFile(font.heading, ['700', '600', '400']),
+    body: fontFile(font.body, ['400']),
+    bold: fontFile(font.body, ['700', '600']),
+    italic: fontFile(font.body, ['400'], 'italic')
+  };
+  const fonts = {};
+  Object.keys(faces).forEach(face => {
+    if (faces[face]) {
+      doc.registerFont(face, faces[face]);
+      fonts[face] = face;
+    } else {
+      fonts[face] = STANDARD_FONTS[face];
+    }
+  });
+  // Some body fonts have no italic; keep the same typeface rather than switching to Helvetica
+  if (!faces.italic && faces.body) {
+    fonts.italic = fonts.body;
+  }
+  return fonts;
+}
+
+// Customization colours are hex or rgb()/rgba() (see safeColor); PDFKit wants hex or [r, g, b]
+function pdfColor(value, fallback) {
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value || '');
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].replace(/./g, d => d + d) : hex[1];
+    return `#${digits.slice(0, 6)}`;
+  }
+  const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(value || '');
+  return rgb ? [Number(rgb[1]), Number(rgb[2]), Number(rgb[3])].map(n => Math.min(255, n)) : fallback;
+}
+
+function canEmbed(upload) {
+  return Boolean(upload && upload.path && EMBEDDABLE_IMAGES.includes(upload.mimetype) && fs.existsSync(upload.path));
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+// Start a new page unless `height` more points fit on this one
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+// Inline markdown-it tokens as styled runs of text
+function inlineRuns(children) {
+  const runs = [];
+  let bold = 0;
+  let italic = 0;
+  let link = null;
+
+  children.forEach(token => {
+    switch (token.type) {
+      case 'text':
+      case 'code_inline':
+        runs.push({ text: token.content, bold: bold > 0, italic: italic > 0, link });
+        break;
+      case 'softbreak':
+      case 'hardbreak':
+        runs.push({ text: '\n', bold: false, italic: false, link: null });
+        break;
+      case 'strong_open': bold += 1; break;
+      case 'strong_close': bold -= 1; break;
+      case 'em_open': italic += 1; break;
+      case 'em_close': italic -= 1; break;
+      case 'link_open': link = token.attrGet('href'); break;
+      case 'link_close': link = null; break;
+      case 'image':
+        runs.push({ text: token.content, bold: false, italic: true, link: null });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return runs.filter(run => run.text);
+}
+
+function writeRuns(ctx, runs, { x, size, color, font }) {
+  const { doc, fonts, colors } = ctx;
+  const width = doc.page.width - doc.page.margins.right - x;
+
+  runs.forEach((run, index) => {
+    const face = font || (run.bold ? fonts.bold : run.italic ? fonts.italic : fonts.body);
+    doc.font(face).fontSize(size).fillColor(run.link ? colors.primary : color);
+    const options = { width, link: run.link, underline: Boolean(run.link), continued: index < runs.length - 1 };
+    if (index === 0) {
+      doc.text(run.text, x, doc.y, options);
+    } else {
+      doc.text(run.text, options);
+    }
+  });
+}
+
+// Markdown fields (about text, descriptions) with paragraphs, headings, lists and quotes
+function writeMarkdown(ctx, text, { size = 11, color = INK.text, x = MARGIN } = {}) {
+  const { doc, fonts } = ctx;
+  const tokens = parseMarkdown(text);
+  const lists = [];
+  let marker = null;
+  let heading = null;
+  let quoted = 0;
+
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'bullet_list_open':
+        lists.push({ ordered: false });
+        break;
+      case 'ordered_list_open':
+        lists.push({ ordered: true, next: Number(token.attrGet('start')) || 1 });
+        break;
+      case 'bullet_list_close':
+      case 'ordered_list_close':
+        lists.pop();
+        if (lists.length === 0) doc.moveDown(0.4);
+        break;
+      case 'list_item_open': {
+        const list = lists[lists.length - 1];
+        marker = list.ordered ? `${list.next++}. ` : '• ';
+        break;
+      }
+      case 'heading_open':
+        heading = token.tag;
+        break;
+      case 'heading_close':
+        heading = null;
+        doc.moveDown(0.3);
+        break;
+      case 'blockquote_open':
+        quoted += 1;
+        break;
+      case 'blockquote_close':
+        quoted -= 1;
+        break;
+      case 'paragraph_close':
+        if (!token.hidden) doc.moveDown(0.5);
+        break;
+      case 'hr':
+        ensureSpace(doc, 20);
+        doc.moveTo(x, doc.y + 6).lineTo(doc.page.width - MARGIN, doc.y + 6).lineWidth(0.5).strokeColor(INK.rule).stroke();
+        doc.y += 14;
+        break;
+      case 'fence':
+      case 'code_block':
+        doc.font('Courier').fontSize(size - 1).fillColor(color)
+          .text(token.content.replace(/\n$/, ''), x, doc.y, { width: doc.page.width - MARGIN - x });
+        doc.moveDown(0.5);
+        break;
+      case 'inline': {
+        const runs = inlineRuns(token.children || []);
+        if (marker) {
+          runs.unshift({ text: marker, bold: false, italic: false, link: null });
+          marker = null;
+        }
+        if (runs.length === 0) break;
+        writeRuns(ctx, runs, {
+          x: x + 14 * Math.max(lists.length - 1, 0) + 12 * quoted + (lists.length > 0 ? 6 : 0),
+          size: heading ? size + (heading === 'h1' ? 5 : heading === 'h2' ? 3 : 1) : size,
+          color: quoted ? INK.muted : color,
+          font: heading ? fonts.heading : null
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+}
+
+// Section heading; keeps at least the first lines of the section on the same page
+function writeHeading(ctx, title) {
+  const { doc, fonts, colors, print, spacing } = ctx;
+  const text = print.headingCase === 'upper' ? title.toUpperCase() : title;
+
+  doc.moveDown(spacing);
+  ensureSpace(doc, 90);
+  doc.font(fonts.heading).fontSize(18).fillColor(colors.primary)
+    .text(text, MARGIN, doc.y, { width: contentWidth(doc), align: print.headingAlign });
+
+  const ruleWidth = 60;
+  const ruleX = print.headingAlign === 'center' ? (doc.page.width - ruleWidth) / 2 : MARGIN;
+  doc.rect(ruleX, doc.y + 4, ruleWidth, 3).fill(colors.accent);
+  doc.y += 16;
+}
+
+function writeLinkLine(ctx, label, href, { size = 11 } = {}) {
+  const { doc, fonts, colors } = ctx;
+  doc.font(fonts.body).fontSize(size).fillColor(href ? colors.primary : INK.text)
+    .text(label, MARGIN, doc.y, { width: contentWidth(doc), link: href || null, underline: Boolean(href) });
+}
+
+function writeGallery(ctx, items) {
+  const { doc, fonts } = ctx;
+  const images = items.filter(canEmbed);
+  const gap = 16;
+  const cellWidth = (contentWidth(doc) - gap) / 2;
+  const imageHeight = 160;
+
+  for (let index = 0; index < images.length; index += 2) {
+    const row = images.slice(index, index + 2);
+    const captionHeight = Math.max(...row.map(item => (item.caption
+      ? doc.font(fonts.body).fontSize(9).heightOfString(item.caption, { width: cellWidth })
+      : 0)));
+    ensureSpace(doc, imageHeight + captionHeight + 12);
+
+    const top = doc.y;
+    row.forEach((item, column) => {
+      const x = MARGIN + column * (cellWidth + gap);
+      try {
+        doc.image(item.path, x, top, { fit: [cellWidth, imageHeight], align: 'center', valign: 'center' });
+      } catch (error) {
+        console.error(`Skipping unreadable image ${item.filename} in PDF:`, error.message);
+      }
+      if (item.caption) {
+        doc.font(fonts.body).fontSize(9).fillColor(INK.muted)
+          .text(item.caption, x, top + imageHeight + 4, { width: cellWidth, align: 'center' });
+      }
+    });
+    doc.x = MARGIN;
+    doc.y = top + imageHeight + captionHeight + 16;
+  }
+}
+
+function writeItems(ctx, section) {
+  const { doc, fonts, colors } = ctx;
+  const width = contentWidth(doc);
+  const items = section.items || [];
+
+  switch (section.type) {
+    case 'experience':
+    case 'services':
+      items.forEach(item => {
+        ensureSpace(doc, 50);
+        if (section.type === 'experience' && item.period) {
+          doc.font(fonts.bold).fontSize(9).fillColor(colors.primary).text(item.period, MARGIN, doc.y, { width });
+        }
+        const name = section.type === 'experience' ? item.role : item.name;
+        const detail = section.type === 'experience'
+          ? (item.organization ? ` — ${item.organization}` : '')
+          : (formatPrice(item) ? `   ${formatPrice(item)}` : '');
+        doc.font(fonts.bold).fontSize(12).fillColor(INK.text)
+          .text(name, MARGIN, doc.y, { width, continued: Boolean(detail) });
+        if (detail) {
+          doc.font(fonts.body).fillColor(section.type === 'services' ? colors.primary : INK.muted).text(detail);
+        }
+        if (item.description) {
+          writeMarkdown(ctx, item.description, { size: 10, color: INK.muted });
+        }
+        doc.moveDown(0.6);
+      });
+      break;
+    case 'testimonials':
+      items.forEach(item => {
+        const quote = `“${item.quote}”`;
+        const citation = item.author ? `— ${[item.author, item.source].filter(Boolean).join(', ')}` : '';
+        const textWidth = width - 30;
+        const height = doc.font(fonts.italic).fontSize(11).heightOfString(quote, { width: textWidth }) +
+          (citation ? 18 : 0) + 20;
+        ensureSpace(doc, Math.min(height, 300));
+        const top = doc.y;
+        doc.rect(MARGIN, top, width, height).fill(INK.quote);
+        doc.rect(MARGIN, top, 3, height).fill(colors.accent);
+        doc.font(fonts.italic).fontSize(11).fillColor(INK.text).text(quote, MARGIN + 18, top + 10, { width: textWidth });
+        if (citation) {
+          doc.font(fonts.body).fontSize(9).fillColor(INK.muted).text(citation, MARGIN + 18, doc.y + 4, { width: textWidth });
+        }
+        doc.x = MARGIN;
+        doc.y = top + height + 10;
+      });
+      break;
+    case 'awards':
+      items.forEach(item => {
+        ensureSpace(doc, 20);
+        const detail = [item.issuer, item.year ? `(${item.year})` : ''].filter(Boolean).join(' ');
+        doc.font(fonts.bold).fontSize(11).fillColor(INK.text)
+          .text(item.title, MARGIN, doc.y, { width, continued: Boolean(detail) });
+        if (detail) doc.font(fonts.body).fillColor(INK.muted).text(` — ${detail}`);
+        doc.moveDown(0.3);
+      });
+      break;
+    case 'shows':
+      items.forEach(item => {
+        ensureSpace(doc, 50);
+        doc.font(fonts.bold).fontSize(9).fillColor(colors.primary).text(formatShowDate(item.date), MARGIN, doc.y, { width });
+        doc.font(fonts.bold).fontSize(12).fillColor(INK.text).text(item.title, { width });
+        const venue = [item.venue, item.city].filter(Boolean).join(', ');
+        if (venue) doc.font(fonts.body).fontSize(10).fillColor(INK.muted).text(venue, { width });
+        const tickets = safeUrl(item.ticketUrl);
+        if (tickets) writeLinkLine(ctx, 'Tickets', tickets, { size: 10 });
+        doc.moveDown(0.6);
+      });
+      break;
+    case 'gallery':
+      writeGallery(ctx, items);
+      break;
+    case 'video':
+      items.forEach(item => {
+        const href = safeUrl(item.url);
+        if (!href) return;
+        ensureSpace(doc, 20);
+        writeLinkLine(ctx, `Video: ${item.caption || item.title || 'Watch video'}`, href);
+        doc.moveDown(0.3);
+      });
+      break;
+    case 'press_kit':
+      items.forEach(item => {
+        ensureSpace(doc, 20);
+        writeLinkLine(ctx, item.title || item.filename, safeUrl(item.url));
+        doc.moveDown(0.3);
+      });
+      break;
+    default:
+      break;
+  }
+}
+
+function writeProfilePhoto(doc, photo, cx, cy, radius, borderColor) {
+  if (!canEmbed(photo)) {
+    return false;
+  }
+  try {
+    doc.save();
+    doc.circle(cx, cy, radius).clip();
+    doc.image(photo.path, cx - radius, cy - radius, { cover: [radius * 2, radius * 2], align: 'center', valign: 'center' });
+    doc.restore();
+    doc.circle(cx, cy, radius).lineWidth(3).strokeColor(borderColor).stroke();
+    return true;
+  } catch (error) {
+    doc.restore();
+    console.error('Skipping unreadable profile photo in PDF:', error.message);
+    return false;
+  }
+}
+
+function writeHeader(ctx, data, labels) {
+  const { doc, fonts, colors, print } = ctx;
+  const width = contentWidth(doc);
+  const photo = { path: data.profilePhotoPath, mimetype: data.profilePhotoMimetype };
+  const tagline = [data.experience, data.location || labels.tagline].filter(Boolean).join(' • ');
+
+  if (print.header === 'plain') {
+    const hasPhoto = writeProfilePhoto(doc, photo, MARGIN + 40, MARGIN + 40, 40, colors.primary);
+    const x = hasPhoto ? MARGIN + 100 : MARGIN;
+    doc.font(fonts.heading).fontSize(26).fillColor(INK.text).text(data.name, x, MARGIN + 8, { width: width - (x - MARGIN) });
+    doc.font(fonts.bold).fontSize(13).fillColor(colors.primary).text(data.title, { width: width - (x - MARGIN) });
+    doc.font(fonts.body).fontSize(10).fillColor(INK.muted).text(tagline, { width: width - (x - MARGIN) });
+    const ruleY = Math.max(doc.y, hasPhoto ? MARGIN + 80 : 0) + 12;
+    doc.rect(MARGIN, ruleY, width, 2).fill(colors.primary);
+    doc.x = MARGIN;
+    doc.y = ruleY + 20;
+  } else {
+    const cover = print.header === 'cover';
+    const height = cover ? doc.page.height : (photo && canEmbed(photo) ? 300 : 190);
+    const gradient = doc.linearGradient(0, 0, doc.page.width, height);
+    gradient.stop(0, colors.primary).stop(1, colors.accent);
+    doc.rect(0, 0, doc.page.width, height).fill(gradient);
+
+    let y = cover ? doc.page.height / 2 - 160 : 40;
+    if (writeProfilePhoto(doc, photo, doc.page.width / 2, y + 60, 60, colors.accent)) {
+      y += 140;
+    }
+    doc.font(fonts.heading).fontSize(cover ? 36 : 28).fillColor('#ffffff')
+      .text(data.name, MARGIN, y, { width, align: 'center' });
+    doc.font(fonts.body).fontSize(cover ? 16 : 14).text(data.title, { width, align: 'center' });
+    doc.fontSize(11).text(tagline, { width, align: 'center' });
+
+    if (cover) {
+      if (data.portfolioDescription) {
+        doc.moveDown(2).fontSize(12).text(data.portfolioDescription, MARGIN + 40, doc.y, { width: width - 80, align: 'center' });
+      }
+      doc.addPage();
+      return;
+    }
+    doc.x = MARGIN;
+    doc.y = height + 30;
+  }
+
+  if (data.portfolioDescription) {
+    doc.font(fonts.body).fontSize(11).fillColor(INK.muted)
+      .text(data.portfolioDescription, MARGIN, doc.y, { width, align: print.headingAlign === 'center' ? 'center' : 'left' });
+  }
+}
+
+function writeSkills(ctx, skills, labels) {
+  const { doc, fonts, colors } = ctx;
+  writeHeading(ctx, labels.skills);
+
+  const right = doc.page.width - MARGIN;
+  let x = MARGIN;
+  let y = doc.y;
+  doc.font(fonts.bold).fontSize(10);
+  skills.forEach(skill => {
+    const pillWidth = Math.min(doc.widthOfString(skill) + 24, right - MARGIN);
+    if (x + pillWidth > right) {
+      x = MARGIN;
+      y += 30;
+    }
+    if (y + 24 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      x = MARGIN;
+      y = doc.y;
+    }
+    doc.roundedRect(x, y, pillWidth, 22, 11).fill(colors.primary);
+    doc.fillColor('#ffffff').text(skill, x + 12, y + 6, { width: pillWidth - 22, height: 12, ellipsis: true });
+    x += pillWidth + 8;
+  });
+  doc.x = MARGIN;
+  doc.y = y + 34;
+}
+
+function writeContact(ctx, data, labels) {
+  const { doc, fonts } = ctx;
+  writeHeading(ctx, labels.connect);
+
+  const line = (label, value, href) => {
+    ensureSpace(doc, 20);
+    doc.font(fonts.bold).fontSize(11).fillColor(INK.text).text(`${label}: `, MARGIN, doc.y, { continued: true });
+    doc.font(fonts.body).fillColor(href ? ctx.colors.primary : INK.text).text(value, { link: href || null, underline: Boolean(href) });
+    doc.moveDown(0.3);
+  };
+
+  if (data.email) line('Email', data.email, mailtoUrl(data.email));
+  if (data.phone) line('Phone', data.phone, telUrl(data.phone));
+  if (data.location) line('Location', data.location);
+  resolveSocialLinks(data).forEach(link => line(link.label, link.href, link.href));
+}
+
+// Name and "Page n of N" on every page except a full-page cover
+function writeFooters(ctx, data) {
+  const { doc, fonts, print } = ctx;
+  const range = doc.bufferedPageRange();
+  const first = print.header === 'cover' ? 1 : 0;
+
+  for (let index = range.start + first; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0; // writing inside the margin must not add a page
+    const y = doc.page.height - MARGIN + 4;
+    doc.moveTo(MARGIN, y - 8).lineTo(doc.page.width - MARGIN, y - 8).lineWidth(0.5).strokeColor(INK.rule).stroke();
+    doc.font(fonts.body).fontSize(8).fillColor(INK.muted)
+      .text(data.name, MARGIN, y, { width: contentWidth(doc) / 2, lineBreak: false });
+    doc.text(`Page ${index - range.start + 1 - first} of ${range.count - first}`, doc.page.width / 2, y, {
+      width: contentWidth(doc) / 2,
+      align: 'right',
+      lineBreak: false
+    });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// Build the PDF for buildTemplateData output. Returns the PDFKit document, already
+// ended; pipe it somewhere to consume it.
+function createPortfolioPdf(data, templateId, customizations = {}) {
+  const template = getTemplate(templateId) || getTemplate(DEFAULT_TEMPLATE);
+  const settings = resolveCustomizations(template, customizations || {});
+  const labels = resolveLabels(template);
+  const skills = resolveSkills(data);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN, left: MARGIN, right: MARGIN, bottom: MARGIN + FOOTER_SPACE },
+    bufferPages: true,
+    lang: 'en',
+    displayTitle: true,
+    info: {
+      Title: data.portfolioTitle || `${data.name} Portfolio`,
+      Author: data.name,
+      Subject: data.title ? `${data.title} - Professional Portfolio` : 'Professional Portfolio',
+      Keywords: skills.join(', '),
+      Creator: 'KatikaNaMe Platform'
+    }
+  });
+
+  const ctx = {
+    doc,
+    fonts: registerFonts(doc, settings.font),
+    colors: {
+      primary: pdfColor(settings.colors.primary, '#B026FF'),
+      accent: pdfColor(settings.colors.accent, '#FFD23F')
+    },
+    print: { ...PRINT_DEFAULTS, ...template.print },
+    spacing: settings.spacingScale
+  };
+
+  writeHeader(ctx, data, labels);
+
+  orderSections(data.sections || [], settings.sectionOrder).forEach(section => {
+    writeHeading(ctx, sectionTitle(section, template.sectionHeadings));
+    if (section.content) {
+      writeMarkdown(ctx, section.content);
+    }
+    writeItems(ctx, section);
+  });
+
+  if (skills.length > 0) {
+    writeSkills(ctx, skills, labels);
+  }
+  writeContact(ctx, data, labels);
+  writeFooters(ctx, data);
+
+  doc.end();
+  return doc;
+}
+
+// Write the PDF to `filePath`; resolves once the file is complete
+function writePortfolioPdf(filePath, data, templateId, customizations) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    output.on('finish', () => resolve(filePath));
+    output.on('error', reject);
+    const doc = createPortfolioPdf(data, templateId, customizations);
+    doc.on('error', reject);
+    doc.pipe(output);
+  });
+}
+
+module.exports = {
+  createPortfolioPdf,
+  writePortfolioPdf
+};
@@ -0,0 +1,192 @@
+// View model handed to the Mustache templates. Mustache escapes every {{value}},
+// so fields here are plain text, except the *Html fields (sanitized Markdown, rendered
+// with {{{triple}}} braces) and link targets (checked against the scheme allow-list).
+//
+// Mustache looks a missing key up in the enclosing contexts, so item views always
+// define every key their partial reads, using '' for "not set".
+
+const { SECTION_TYPES } = require('./sections');
+const { safeUrl, mailtoUrl, telUrl, renderMarkdown } = require('./html');
+const { resolveCustomizations, orderSections } = require('./customizations');
+
+const SOCIAL_LINKS = [
+  { platform: 'instagram', label: 'Instagram', icon: 'fab fa-instagram' },
+  { platform: 'youtube', label: 'YouTube', icon: 'fab fa-youtube' },
+  { platform: 'tiktok', label: 'TikTok', icon: 'fab fa-tiktok' },
+  { platform: 'facebook', label: 'Facebook', icon: 'fab fa-facebook' },
+  { platform: 'twitter', label: 'Twitter', icon: 'fab fa-twitter' },
+  { platform: 'website', label: 'Website', icon: 'fas fa-globe' }
+];
+
+const ICON_STYLESHEET_URL = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css';
+
+const DEFAULT_LABELS = {
+  skills: 'Skills',
+  connect: 'Connect With Me',
+  social: 'Social Links',
+  tagline: 'Creative Professional',
+  rights: 'All rights reserved.',
+  downloadPdf: 'Download PDF',
+  booking: 'Book Me'
+};
+
+function formatPrice(item) {
+  if (item.price === null || item.price === undefined) {
+    return '';
+  }
+  return [item.currency, item.price.toLocaleString('en-KE'), item.unit].filter(Boolean).join(' ');
+}
+
+function formatShowDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+// Upload URLs (url on gallery/video/press kit items) are built server-side from
+// stored filenames; only links the artist typed in go through safeUrl.
+function itemView(type, item) {
+  switch (type) {
+    case 'experience':
+      return {
+        period: item.period || '',
+        role: item.role,
+        organization: item.organization || '',
+        descriptionHtml: renderMarkdown(item.description)
+      };
+    case 'services':
+      return {
+        serviceName: item.name,
+        priceLabel: formatPrice(item),
+        descriptionHtml: renderMarkdown(item.description)
+      };
+    case 'testimonials':
+      return {
+        quote: item.quote,
+        citation: item.author ? [item.author, item.source].filter(Boolean).join(', ') : ''
+      };
+    case 'awards':
+      return {
+        awardTitle: item.title,
+        issuer: item.issuer || '',
+        year: item.year ? String(item.year) : ''
+      };
+    case 'shows':
+      return {
+        showTitle: item.title,
+        dateLabel: formatShowDate(item.date),
+        venueLine: [item.venue, item.city].filter(Boolean).join(', '),
+        ticketUrl: safeUrl(item.ticketUrl)
+      };
+    case 'gallery':
+      return { imageUrl: item.url, alt: item.title || '', caption: item.caption || '' };
+    case 'video': {
+      const watchUrl = item.filename ? '' : safeUrl(item.url);
+      if (!item.filename && !watchUrl) {
+        return null;
+      }
+      return { videoUrl: item.filename ? item.url : '', watchUrl, caption: item.caption || '' };
+    }
+    case 'press_kit':
+      return { documentUrl: item.url, label: item.title || item.filename };
+    default:
+      return null;
+  }
+}
+
+// `headings` replaces the default section titles for a template (see template.json)
+function sectionTitle(section, headings = {}) {
+  const useHeading = section.title === SECTION_TYPES[section.type].title && headings[section.type];
+  return useHeading ? headings[section.type] : section.title;
+}
+
+function sectionView(section, headings = {}) {
+  return {
+    id: section.id,
+    type: section.type,
+    title: sectionTitle(section, headings),
+    kind: { [section.type]: true },
+    contentHtml: renderMarkdown(section.content),
+    items: (section.items || []).map(item => itemView(section.type, item)).filter(Boolean)
+  };
+}
+
+function resolveLabels(template) {
+  return { ...DEFAULT_LABELS, ...template.labels };
+}
+
+function resolveSkills(data) {
+  return (Array.isArray(data.skills) ? data.skills : String(data.skills || '').split(','))
+    .map(skill => String(skill).trim())
+    .filter(Boolean);
+}
+
+function resolveSocialLinks(data) {
+  return SOCIAL_LINKS
+    .map(link => ({ ...link, href: safeUrl(data[link.platform]) }))
+    .filter(link => link.href);
+}
+
+// Full view for one template, from the data built by buildTemplateData.
+// Options:
+//   fontStylesheetUrl, iconStylesheetUrl   bundled copies of the CDN stylesheets (static site export)
+//   tracking                               { endpoint, portfolioId } to count views and link clicks (hosted pages)
+//   pdfDownloadUrl                         adds a "Download PDF" link to the footer
+//   booking                                { endpoint, portfolioId, eventTypes } for the booking form
+function buildView(data, template, customizations = {}, options = {}) {
+  const labels = resolveLabels(template);
+  const settings = resolveCustomizations(template, customizations);
+  const skills = resolveSkills(data);
+  const socialLinks = resolveSocialLinks(data);
+
+  return {
+    template: template.id,
+    name: data.name,
+    initial: (data.name || '?').charAt(0),
+    title: data.title,
+    description: data.portfolioDescription || '',
+    location: data.location || '',
+    experience: data.experience || '',
+    tagline: [data.experience, data.location || labels.tagline].filter(Boolean).join(' • '),
+    profilePhoto: data.profilePhoto || '',
+    colors: settings.colors,
+    palette: settings.palette,
+    font: {
+      heading: settings.font.heading,
+      body: settings.font.body,
+      fallback: settings.font.fallback,
+      stylesheetUrl: options.fontStylesheetUrl || `https://fonts.googleapis.com/css2?${settings.font.query}&display=swap`
+    },
+    iconStylesheetUrl: options.iconStylesheetUrl || ICON_STYLESHEET_URL,
+    layout: settings.layout,
+    mode: settings.mode,
+    spacing: settings.spacing,
+    spacingScale: settings.spacingScale,
+    labels,
+    sections: orderSections(data.sections || [], settings.sectionOrder)
+      .map(section => sectionView(section, template.sectionHeadings)),
+    skills,
+    hasSkills: skills.length > 0,
+    socialLinks,
+    hasSocialLinks: socialLinks.length > 0,
+    email: data.email || '',
+    emailHref: mailtoUrl(data.email),
+    phone: data.phone || '',
+    phoneHref: telUrl(data.phone),
+    pdfDownloadUrl: options.pdfDownloadUrl || '',
+    tracking: options.tracking || null,
+    booking: options.booking || null,
+    year: new Date().getFullYear(),
+    styles: template.styles
+  };
+}
+
+module.exports = {
+  buildView,
+  sectionTitle,
+  resolveLabels,
+  resolveSkills,
+  resolveSocialLinks,
+  formatPrice,
+  formatShowDate
+};
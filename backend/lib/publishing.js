@@ -0,0 +1,103 @@
+// Publishing workflow for portfolios.
+//
+//   draft      only the owner sees it (the default for new portfolios)
+//   published  the published snapshot is served at /p/:slug and listed in the directory
+//   unlisted   served at /p/:slug for anyone with the link, but not listed
+//   archived   taken down and kept for the owner
+//
+// Editing a portfolio only changes its draft. Publishing snapshots the draft as a revision
+// (see revisions.js) and points `publishedRevision` at it; public pages only ever render
+// that snapshot. `publishAt` and `unpublishAt` schedule the publish and unpublish actions;
+// a scheduled publish snapshots the draft as it is at that time.
+
+const STATUSES = ['draft', 'published', 'unlisted', 'archived'];
+const VISIBILITIES = ['published', 'unlisted'];
+
+// Fields the directory and public API leave out of a published portfolio
+const PRIVATE_FIELDS = ['generatedFiles', 'publishAt', 'unpublishAt', 'publishVisibility', 'revision', 'pdfUrl'];
+
+// Whether the public page is served
+function isLive(portfolio) {
+  return VISIBILITIES.includes(portfolio.status) && Boolean(portfolio.publishedRevision);
+}
+
+// Whether the portfolio appears in the public directory
+function isListed(portfolio) {
+  return portfolio.status === 'published' && Boolean(portfolio.publishedRevision);
+}
+
+function parseTime(value, name, errors, now) {
+  if (value === null) {
+    return null;
+  }
+  const time = typeof value === 'string' ? new Date(value) : null;
+  if (!time || Number.isNaN(time.getTime())) {
+    errors.push(`${name} must be an ISO 8601 date-time or null`);
+    return undefined;
+  }
+  if (time <= now) {
+    errors.push(`${name} must be in the future`);
+    return undefined;
+  }
+  return time.toISOString();
+}
+
+// Validate a schedule request ({ publishAt, unpublishAt, visibility }); omitted fields keep
+// their current values. Returns the fields to store and a list of errors.
+function normalizeSchedule(body, current = {}, now = new Date()) {
+  const errors = [];
+  const schedule = {};
+
+  if (body.publishAt !== undefined) {
+    schedule.publishAt = parseTime(body.publishAt, 'publishAt', errors, now);
+  }
+  if (body.unpublishAt !== undefined) {
+    schedule.unpublishAt = parseTime(body.unpublishAt, 'unpublishAt', errors, now);
+  }
+  if (body.visibility !== undefined) {
+    if (!VISIBILITIES.includes(body.visibility)) {
+      errors.push(`visibility must be one of ${VISIBILITIES.join(', ')}`);
+    } else {
+      schedule.publishVisibility = body.visibility;
+    }
+  }
+
+  const publishAt = schedule.publishAt !== undefined ? schedule.publishAt : current.publishAt;
+  const unpublishAt = schedule.unpublishAt !== undefined ? schedule.unpublishAt : current.unpublishAt;
+  if (errors.length === 0 && publishAt && unpublishAt && unpublishAt <= publishAt) {
+    errors.push('unpublishAt must be after publishAt');
+  }
+
+  return { schedule, errors };
+}
+
+// Actions whose scheduled time has come, in the order to run them
+function dueActions(portfolio, now = new Date()) {
+  const time = now.toISOString();
+  const actions = [];
+  if (portfolio.publishAt && portfolio.publishAt <= time) {
+    actions.push('publish');
+  }
+  if (portfolio.unpublishAt && portfolio.unpublishAt <= time) {
+    actions.push('unpublish');
+  }
+  return actions;
+}
+
+// A portfolio as the public sees it: `published` is the portfolio with its published
+// snapshot applied (see revisions.applyRevision)
+function toPublicPortfolio(published) {
+  const view = { ...published };
+  PRIVATE_FIELDS.forEach(field => delete view[field]);
+  return view;
+}
+
+module.exports = {
+  STATUSES,
+  VISIBILITIES,
+  isLive,
+  isListed,
+  normalizeSchedule,
+  dueActions,
+  toPublicPortfolio
+};
@@ -0,0 +1,152 @@
+// Portfolio revisions: every save that changes a portfolio's content stores an immutable
+// snapshot of it in the `revisions` collection, numbered 1, 2, 3... per portfolio.
+// The portfolio keeps the number of its latest revision (`revision`) and the revision its
+// public page shows (`publishedRevision`, set by publishing; null while never published).
+// Rolling back copies an old snapshot into the portfolio and so creates a new revision.
+
+const Revision = require('../models/Revision');
+
+// Portfolio fields captured by a revision
+const REVISION_FIELDS = ['template', 'title', 'description', 'sections', 'customizations'];
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function snapshot(portfolio) {
+  return REVISION_FIELDS.reduce((fields, field) => {
+    fields[field] = portfolio[field] === undefined ? null : portfolio[field];
+    return fields;
+  }, {});
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Revisions of a portfolio, newest first
+async function listRevisions(portfolioId) {
+  const revisions = await Revision.find({ portfolioId });
+  return revisions.sort((a, b) => b.number - a.number);
+}
+
+async function getRevision(portfolioId, number) {
+  return Revision.findOne({ portfolioId, number });
+}
+
+// Revisions are numbered one save at a time per portfolio, so concurrent saves can't
+// both take the same number
+const queues = new Map();
+
+function serialized(portfolioId, fn) {
+  const run = (queues.get(portfolioId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  queues.set(portfolioId, tail);
+  tail.then(() => {
+    if (queues.get(portfolioId) === tail) {
+      queues.delete(portfolioId);
+    }
+  });
+  return run;
+}
+
+// Store the portfolio's current content as its next revision and return it, or return
+// null when nothing changed since the latest revision (e.g. only the slug was edited)
+function recordRevision(portfolio, { authorId = null, reason = 'update', restoredFrom = null } = {}) {
+  const content = snapshot(portfolio);
+  return serialized(portfolio.id, async () => {
+    const [latest] = await listRevisions(portfolio.id);
+    if (latest && sameValue(snapshot(latest), content)) {
+      return null;
+    }
+
+    return Revision.create({
+      portfolioId: portfolio.id,
+      number: latest ? latest.number + 1 : 1,
+      ...content,
+      reason,
+      restoredFrom,
+      authorId,
+      createdAt: new Date().toISOString()
+    });
+  });
+}
+
+// Summary for revision lists; the content is fetched one revision at a time
+function toRevisionSummary(revision) {
+  return {
+    number: revision.number,
+    reason: revision.reason,
+    restoredFrom: revision.restoredFrom,
+    authorId: revision.authorId,
+    createdAt: revision.createdAt,
+    title: revision.title,
+    template: revision.template,
+    sectionCount: (revision.sections || []).length
+  };
+}
+
+function toRevisionView(revision) {
+  return { ...toRevisionSummary(revision), ...snapshot(revision) };
+}
+
+// Field-level changes from `before` to `after`, e.g.
+//   { path: 'sections[<id>].items[0].caption', change: 'changed', before: 'Old', after: 'New' }
+// Arrays of objects with an id (sections) are matched by id, other arrays by position.
+function diffValues(before, after, path, changes) {
+  if (sameValue(before, after)) {
+    return changes;
+  }
+  if (before === undefined || before === null) {
+    changes.push({ path, change: 'added', after });
+  } else if (after === undefined || after === null) {
+    changes.push({ path, change: 'removed', before });
+  } else if (isPlainObject(before) && isPlainObject(after)) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    });
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    const keyed = [...before, ...after].every(item => isPlainObject(item) && item.id);
+    if (keyed) {
+      const beforeById = new Map(before.map(item => [item.id, item]));
+      const afterById = new Map(after.map(item => [item.id, item]));
+      new Set([...beforeById.keys(), ...afterById.keys()]).forEach(id => {
+        diffValues(beforeById.get(id), afterById.get(id), `${path}[${id}]`, changes);
+      });
+    } else {
+      for (let index = 0; index < Math.max(before.length, after.length); index += 1) {
+        diffValues(before[index], after[index], `${path}[${index}]`, changes);
+      }
+    }
+  } else {
+    changes.push({ path, change: 'changed', before, after });
+  }
+  return changes;
+}
+
+function diffRevisions(from, to) {
+  return {
+    from: from.number,
+    to: to.number,
+    changes: diffValues(snapshot(from), snapshot(to), '', [])
+  };
+}
+
+// The portfolio as it looked at a revision, for rendering
+function applyRevision(portfolio, revision) {
+  return revision ? { ...portfolio, ...snapshot(revision) } : portfolio;
+}
+
+async function deleteRevisions(portfolioId) {
+  await Revision.deleteMany({ portfolioId });
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  listRevisions,
+  getRevision,
+  recordRevision,
+  toRevisionSummary,
+  toRevisionView,
+  diffRevisions,
+  applyRevision,
+  deleteRevisions
+};
@@ -0,0 +1,274 @@
+// Typed portfolio sections.
+//
+// Every section has { id, type, title, visible, order }. `about` carries `content`;
+// all other types carry `items` whose fields are described in SECTION_TYPES below.
+// List sections also accept the wizard's free-text `content`, parsed like the matching
+// artist profile field.
+
+const { v4: uuidv4 } = require('uuid');
+const { normalizeEntries } = require('./artistProfile');
+const { mediaKind } = require('./media');
+
+const MAX_SECTIONS = 20;
+const MAX_ITEMS = 50;
+
+const isHttpUrl = value => /^https?:\/\//i.test(value);
+
+const text = (required = false) => ({ kind: 'text', required });
+
+const SECTION_TYPES = {
+  about: {
+    title: 'About Me'
+  },
+  experience: {
+    title: 'Experience',
+    entries: 'jobs',
+    fields: { role: text(true), organization: text(), period: text(), description: text() }
+  },
+  services: {
+    title: 'Services',
+    entries: 'services',
+    fields: {
+      name: text(true),
+      description: text(),
+      price: { kind: 'amount' },
+      currency: { kind: 'currency' },
+      unit: text()
+    }
+  },
+  testimonials: {
+    title: 'Testimonials',
+    entries: 'testimonials',
+    fields: { quote: text(true), author: text(), source: text() }
+  },
+  awards: {
+    title: 'Awards',
+    fields: { title: text(true), issuer: text(), year: { kind: 'year' } }
+  },
+  shows: {
+    title: 'Upcoming Shows',
+    fields: { title: text(true), date: { kind: 'date', required: true }, venue: text(), city: text(), ticketUrl: { kind: 'url' } }
+  },
+  gallery: {
+    title: 'Gallery',
+    fields: { filename: { kind: 'upload', media: 'image', required: true }, caption: text() }
+  },
+  video: {
+    title: 'Video Reel',
+    fields: { filename: { kind: 'upload', media: 'video' }, url: { kind: 'url' }, caption: text() },
+    check: item => (item.filename || item.url ? null : 'needs a filename or url')
+  },
+  press_kit: {
+    title: 'Press Kit',
+    fields: { filename: { kind: 'upload', media: 'document', required: true }, caption: text() }
+  }
+};
+
+// "KES 5,000" -> { price: 5000, currency: 'KES' }
+function parsePrice(value) {
+  const amount = String(value || '').replace(/[^\d.]/g, '');
+  const currency = (String(value || '').match(/[A-Za-z]{3}/) || ['KES'])[0].toUpperCase();
+  return { price: amount ? Number(amount) : null, currency };
+}
+
+function normalizeField(name, spec, value, files) {
+  const empty = value === undefined || value === null || value === '';
+  if (empty) {
+    if (spec.required) throw new Error(`${name} is required`);
+    if (spec.kind === 'amount' || spec.kind === 'year') return null;
+    if (spec.kind === 'currency') return 'KES';
+    return '';
+  }
+
+  switch (spec.kind) {
+    case 'text':
+      if (typeof value !== 'string') throw new Error(`${name} must be a string`);
+      return value.trim();
+    case 'amount': {
+      const amount = Number(value);
+      if (!Number.isFinite(amount) || amount < 0) throw new Error(`${name} must be a positive number`);
+      return amount;
+    }
+    case 'currency':
+      if (!/^[A-Za-z]{3}$/.test(value)) throw new Error(`${name} must be a 3-letter currency code`);
+      return value.toUpperCase();
+    case 'year': {
+      const year = Number(value);
+      if (!Number.isInteger(year) || year < 1900 || year > 2100) throw new Error(`${name} must be a year`);
+      return year;
+    }
+    case 'date':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+      }
+      return value;
+    case 'url':
+      if (typeof value !== 'string' || !isHttpUrl(value.trim())) throw new Error(`${name} must be an http(s) URL`);
+      return value.trim();
+    case 'upload': {
+      const file = files.find(f => f.filename === value);
+      if (!file) throw new Error(`${name} must be the filename of one of your uploads`);
+      if (mediaKind(file.mimetype) !== spec.media) throw new Error(`${name} must be a ${spec.media} upload`);
+      return value;
+    }
+    default:
+      return value;
+  }
+}
+
+// Turn the wizard's free-text content into items for list sections
+function itemsFromContent(type, definition, content) {
+  const entries = normalizeEntries(definition.entries, content);
+  if (type === 'services') {
+    return entries.map(({ name, description, price }) => ({ name, description, ...parsePrice(price) }));
+  }
+  return entries;
+}
+
+function normalizeSection(input, index, files) {
+  const label = `sections[${index}]`;
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const definition = SECTION_TYPES[input.type];
+  if (!definition) {
+    throw new Error(`${label}.type must be one of ${Object.keys(SECTION_TYPES).join(', ')}`);
+  }
+  if (input.title !== undefined && typeof input.title !== 'string') {
+    throw new Error(`${label}.title must be a string`);
+  }
+  if (input.visible !== undefined && typeof input.visible !== 'boolean') {
+    throw new Error(`${label}.visible must be true or false`);
+  }
+  if (input.order !== undefined && !Number.isInteger(input.order)) {
+    throw new Error(`${label}.order must be an integer`);
+  }
+  // Ids end up in element ids and URLs, so keep them to a safe alphabet
+  if (input.id !== undefined && (typeof input.id !== 'string' || !/^[\w-]{1,64}$/.test(input.id))) {
+    throw new Error(`${label}.id may only contain letters, numbers, '-' and '_'`);
+  }
+
+  const section = {
+    id: input.id || uuidv4(),
+    type: input.type,
+    title: (input.title || '').trim() || definition.title,
+    visible: input.visible !== false,
+    order: input.order === undefined ? index : input.order
+  };
+
+  if (input.type === 'about') {
+    if (typeof input.content !== 'string' || !input.content.trim()) {
+      throw new Error(`${label}.content is required`);
+    }
+    section.content = input.content.trim();
+    return section;
+  }
+
+  let items = input.items;
+  if (items === undefined && typeof input.content === 'string' && definition.entries) {
+    items = itemsFromContent(input.type, definition, input.content);
+  }
+  if (!Array.isArray(items)) {
+    throw new Error(`${label}.items must be an array`);
+  }
+  if (items.length > MAX_ITEMS) {
+    throw new Error(`${label} can have at most ${MAX_ITEMS} items`);
+  }
+
+  section.items = items.map((item, itemIndex) => {
+    const itemLabel = `${label}.items[${itemIndex}]`;
+    if (typeof item !== 'object' || item === null) {
+      throw new Error(`${itemLabel} must be an object`);
+    }
+    const normalized = Object.entries(definition.fields).reduce((result, [field, spec]) => {
+      result[field] = normalizeField(`${itemLabel}.${field}`, spec, item[field], files);
+      return result;
+    }, {});
+    const problem = definition.check && definition.check(normalized);
+    if (problem) {
+      throw new Error(`${itemLabel} ${problem}`);
+    }
+    return normalized;
+  });
+
+  return section;
+}
+
+// Validate and normalize a sections array. Returns the sections sorted by `order`
+// (renumbered from 0) plus a list of validation errors for the sections that were dropped.
+function normalizeSections(input, { files = [] } = {}) {
+  if (input === undefined || input === null) {
+    return { sections: [], errors: [] };
+  }
+  if (!Array.isArray(input)) {
+    return { sections: [], errors: ['sections must be an array'] };
+  }
+  if (input.length > MAX_SECTIONS) {
+    return { sections: [], errors: [`A portfolio can have at most ${MAX_SECTIONS} sections`] };
+  }
+
+  const errors = [];
+  const sections = [];
+  const ids = new Set();
+  input.forEach((section, index) => {
+    try {
+      const normalized = normalizeSection(section, index, files);
+      if (ids.has(normalized.id)) {
+        throw new Error(`sections[${index}].id "${normalized.id}" is already used by another section`);
+      }
+      ids.add(normalized.id);
+      sections.push(normalized);
+    } catch (error) {
+      errors.push(error instanceof SyntaxError ? `sections[${index}] content must be valid JSON` : error.message);
+    }
+  });
+
+  sections
+    .sort((a, b) => a.order - b.order)
+    .forEach((section, index) => {
+      section.order = index;
+    });
+
+  return { sections, errors };
+}
+
+// Sections implied by the artist profile, used when a portfolio doesn't define its own
+function defaultSections(artist, portfolio = {}) {
+  const sections = [];
+  const add = (type, body) => sections.push({
+    id: type,
+    type,
+    title: SECTION_TYPES[type].title,
+    visible: true,
+    order: sections.length,
+    ...body
+  });
+  const selected = kind => (artist.gallery || [])
+    .filter(({ filename }) => {
+      const file = (artist.files || []).find(f => f.filename === filename);
+      return file && mediaKind(file.mimetype) === kind;
+    })
+    .map(({ filename, caption }) => ({ filename, caption }));
+
+  const about = artist.bio || portfolio.description;
+  if (about) add('about', { content: about });
+  if ((artist.jobs || []).length > 0) add('experience', { items: artist.jobs });
+  if ((artist.services || []).length > 0) {
+    add('services', {
+      items: artist.services.map(({ name, description, price }) => ({ name, description, ...parsePrice(price), unit: '' }))
+    });
+  }
+  if ((artist.testimonials || []).length > 0) add('testimonials', { items: artist.testimonials });
+  if (selected('image').length > 0) add('gallery', { items: selected('image') });
+  if (selected('video').length > 0) add('video', { items: selected('video') });
+  if (selected('document').length > 0) add('press_kit', { items: selected('document') });
+
+  return sections;
+}
+
+module.exports = {
+  SECTION_TYPES,
+  normalizeSections,
+  defaultSections
+};
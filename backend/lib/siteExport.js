@@ -0,0 +1,174 @@
+// Static site export: a ZIP that works on any static host, or straight from disk,
+// without the platform. The page is rendered by the same templates as the hosted copy,
+// but the font and icon stylesheets are bundled instead of loaded from CDNs and upload
+// URLs point at optimized copies of the media in the bundle:
+//
+//   index.html
+//   assets/fonts/fonts.css, *.woff2            the portfolio's font pair (@fontsource)
+//   assets/fontawesome/css/all.min.css, webfonts/   Font Awesome icons
+//   media/<upload filename>                     images resized and recompressed with sharp;
+//                                               videos and documents copied as they are
+//   sitemap.xml, robots.txt                     for the URL the site will be hosted at
+
+const archiver = require('archiver');
+const sharp = require('sharp');
+const fs = require('fs-extra');
+const path = require('path');
+const { buildTemplateData } = require('./templateData');
+const { renderPortfolio, getTemplate, DEFAULT_TEMPLATE } = require('./templates');
+const { resolveCustomizations } = require('./customizations');
+const { escapeHtml } = require('./html');
+
+const MEDIA_DIR = 'media';
+const FONT_AWESOME_DIR = path.dirname(require.resolve('@fortawesome/fontawesome-free/package.json'));
+// Longest side of exported images; larger uploads are scaled down
+const MAX_IMAGE_SIZE = 1600;
+const IMAGE_FORMATS = {
+  'image/jpeg': image => image.jpeg({ quality: 80, mozjpeg: true }),
+  'image/png': image => image.png({ compressionLevel: 9, effort: 8 }),
+  'image/webp': image => image.webp({ quality: 80 })
+};
+
+// Families and weights of a font pair, read from its Google Fonts query
+// ("family=Playfair+Display:wght@700&family=Lato:wght@400;700")
+function fontFaces(font) {
+  return font.query.split('&').map(part => {
+    const [family, axes] = part.replace(/^family=/, '').split(':');
+    return {
+      family: family.replace(/\+/g, ' '),
+      weights: axes ? axes.replace(/^wght@/, '').split(';') : ['400']
+    };
+  });
+}
+
+// @font-face rules for the pair plus the woff2 files they reference
+function fontAssets(font) {
+  const files = [];
+  const rules = [];
+
+  fontFaces(font).forEach(({ family, weights }) => {
+    const slug = family.toLowerCase().replace(/\s+/g, '-');
+    weights.forEach(weight => {
+      let source;
+      try {
+        source = require.resolve(`@fontsource/${slug}/files/${slug}-latin-${weight}-normal.woff2`);
+      } catch (error) {
+        // not published in this weight; the browser synthesizes it from the fallback
+        return;
+      }
+      const name = path.basename(source);
+      files.push({ name: `assets/fonts/${name}`, source });
+      rules.push([
+        '@font-face {',
+        `  font-family: '${family}';`,
+        '  font-style: normal;',
+        `  font-weight: ${weight};`,
+        '  font-display: swap;',
+        `  src: url('${name}') format('woff2');`,
+        '}'
+      ].join('\n'));
+    });
+  });
+
+  return { css: `${rules.join('\n\n')}\n`, files };
+}
+
+// Uploads the page links to, once each
+function referencedUploads(artist, data) {
+  const filenames = new Set(data.profilePhoto ? [artist.profilePhoto] : []);
+  data.sections.forEach(section => {
+    (section.items || []).forEach(item => {
+      if (item.filename) {
+        filenames.add(item.filename);
+      }
+    });
+  });
+  return (artist.files || []).filter(file => filenames.has(file.filename) && fs.existsSync(file.path));
+}
+
+// Resized, recompressed copy of an image, or null to ship the original
+// (other formats, unreadable files, or when recompressing doesn't make it smaller)
+async function optimizeImage(file) {
+  const encode = IMAGE_FORMATS[file.mimetype];
+  if (!encode) {
+    return null;
+  }
+  try {
+    const image = sharp(file.path)
+      .rotate()
+      .resize({ width: MAX_IMAGE_SIZE, height: MAX_IMAGE_SIZE, fit: 'inside', withoutEnlargement: true });
+    const optimized = await encode(image).toBuffer();
+    const { size } = await fs.stat(file.path);
+    return optimized.length < size ? optimized : null;
+  } catch (error) {
+    console.error(`Could not optimize ${file.filename} for export:`, error.message);
+    return null;
+  }
+}
+
+function sitemapXml(siteUrl, lastModified) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    '  <url>',
+    `    <loc>${escapeHtml(siteUrl)}</loc>`,
+    `    <lastmod>${new Date(lastModified).toISOString().slice(0, 10)}</lastmod>`,
+    '  </url>',
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function robotsTxt(siteUrl) {
+  return `User-agent: *\nAllow: /\n\nSitemap: ${new URL('sitemap.xml', siteUrl).href}\n`;
+}
+
+// Write the bundle for a portfolio to `output` (e.g. the HTTP response).
+// `siteUrl` is the absolute URL index.html will be served from, used by the sitemap.
+async function writeSiteBundle(output, artist, portfolio, { siteUrl }) {
+  const data = buildTemplateData(artist, portfolio, { mediaDir: MEDIA_DIR });
+  const template = getTemplate(portfolio.template) || getTemplate(DEFAULT_TEMPLATE);
+  const { font } = resolveCustomizations(template, portfolio.customizations);
+  const fonts = fontAssets(font);
+
+  const html = renderPortfolio(data, portfolio.template, portfolio.customizations, {
+    fontStylesheetUrl: 'assets/fonts/fonts.css',
+    iconStylesheetUrl: 'assets/fontawesome/css/all.min.css'
+  });
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    archive.on('warning', reject);
+    output.on('close', resolve);
+    output.on('error', reject);
+  });
+  archive.pipe(output);
+
+  archive.append(html, { name: 'index.html' });
+  archive.append(fonts.css, { name: 'assets/fonts/fonts.css' });
+  fonts.files.forEach(file => archive.file(file.source, { name: file.name }));
+  archive.file(path.join(FONT_AWESOME_DIR, 'css/all.min.css'), { name: 'assets/fontawesome/css/all.min.css' });
+  archive.directory(path.join(FONT_AWESOME_DIR, 'webfonts'), 'assets/fontawesome/webfonts');
+  archive.file(path.join(FONT_AWESOME_DIR, 'LICENSE.txt'), { name: 'assets/fontawesome/LICENSE.txt' });
+
+  for (const file of referencedUploads(artist, data)) {
+    const name = `${MEDIA_DIR}/${file.filename}`;
+    const optimized = await optimizeImage(file);
+    if (optimized) {
+      archive.append(optimized, { name });
+    } else {
+      archive.file(file.path, { name });
+    }
+  }
+
+  archive.append(sitemapXml(siteUrl, portfolio.updatedAt || Date.now()), { name: 'sitemap.xml' });
+  archive.append(robotsTxt(siteUrl), { name: 'robots.txt' });
+
+  await archive.finalize();
+  return finished;
+}
+
+module.exports = {
+  writeSiteBundle
+};
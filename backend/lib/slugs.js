@@ -0,0 +1,184 @@
+// Vanity URLs for portfolios, served at /p/:slug.
+//
+// Every slug a portfolio has used is kept in the `slugs` collection: its current slug
+// and the ones it replaced, which answer with a 301 redirect to the current one. Old
+// slugs stay reserved for their portfolio, so shared links can't be taken over by
+// someone else, and the owner can switch back to one. A portfolio's slugs are released
+// when it is deleted.
+
+const Slug = require('../models/Slug');
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 60;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Names the platform uses, or might, for its own pages
+const RESERVED_SLUGS = new Set([
+  'about', 'account', 'admin', 'api', 'app', 'assets', 'auth', 'contact', 'dashboard',
+  'edit', 'help', 'katikaname', 'login', 'logout', 'new', 'p', 'pdfs', 'portfolios',
+  'preview', 'register', 'settings', 'signup', 'static', 'support', 'uploads', 'www'
+]);
+
+function publicUrl(slug) {
+  return `/p/${slug}`;
+}
+
+// Best-effort slug from free text such as an artist name ("Amani Wanjirũ" -> "amani-wanjiru")
+function slugify(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_LENGTH)
+    .replace(/^-+|-+$/g, '');
+}
+
+// Format rules only; see checkSlug for availability
+function validateSlug(slug) {
+  if (typeof slug !== 'string') {
+    return ['slug must be a string'];
+  }
+  if (slug.length < MIN_LENGTH || slug.length > MAX_LENGTH) {
+    return [`slug must be ${MIN_LENGTH}-${MAX_LENGTH} characters long`];
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    return ['slug may only contain lowercase letters, digits and single hyphens between them'];
+  }
+  if (RESERVED_SLUGS.has(slug)) {
+    return [`slug "${slug}" is reserved`];
+  }
+  return [];
+}
+
+// Errors for using `slug` on the given portfolio (omit portfolioId for a new one)
+async function checkSlug(slug, portfolioId = null) {
+  const errors = validateSlug(slug);
+  if (errors.length > 0) {
+    return errors;
+  }
+  const record = await Slug.findOne({ slug });
+  return record && record.portfolioId !== portfolioId ? [`slug "${slug}" is already taken`] : [];
+}
+
+// First free slug derived from `text`: "amani", then "amani-2", "amani-3", ...
+async function uniqueSlug(text, portfolioId = null) {
+  let base = slugify(text).slice(0, MAX_LENGTH - 4).replace(/-+$/, '');
+  if (base.length < MIN_LENGTH || RESERVED_SLUGS.has(base)) {
+    base = [base, 'portfolio'].filter(Boolean).join('-');
+  }
+
+  for (let n = 1; ; n += 1) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    if ((await checkSlug(candidate, portfolioId)).length === 0) {
+      return candidate;
+    }
+  }
+}
+
+// Slug changes are applied one at a time, so two portfolios can't both claim a free slug
+let queue = Promise.resolve();
+
+function serialized(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function slugTakenError(slug) {
+  const error = new Error(`slug "${slug}" is already taken`);
+  error.code = 'SLUG_TAKEN';
+  return error;
+}
+
+// Make `slug` the portfolio's current slug, keeping the previous one as a redirect. Throws a
+// SLUG_TAKEN error if another portfolio holds it (checkSlug gives the early answer for
+// requests). Resolves to the change, which revertSlug undoes if the caller's own write fails.
+function assignSlug(portfolioId, slug) {
+  return serialized(async () => {
+    const now = new Date().toISOString();
+    const existing = await Slug.findOne({ slug });
+    if (existing && existing.portfolioId !== portfolioId) {
+      throw slugTakenError(slug);
+    }
+    const previous = await Slug.findOne({ portfolioId, current: true });
+    const change = { portfolioId, slug, previous: previous ? previous.slug : null, created: !existing };
+    if (previous && previous.slug === slug) {
+      return change;
+    }
+    if (previous) {
+      await Slug.findByIdAndUpdate(previous.id, { current: false, retiredAt: now });
+    }
+
+    if (existing) {
+      await Slug.findByIdAndUpdate(existing.id, { current: true, retiredAt: null });
+    } else {
+      try {
+        await Slug.create({ slug, portfolioId, current: true, createdAt: now, retiredAt: null });
+      } catch (error) {
+        throw error.code === 'DUPLICATE_KEY' ? slugTakenError(slug) : error;
+      }
+    }
+    return change;
+  });
+}
+
+// Put back the slugs as they were before assignSlug made `change`
+function revertSlug(change) {
+  return serialized(async () => {
+    const { portfolioId, slug, previous, created } = change;
+    if (previous === slug) {
+      return;
+    }
+    const record = await Slug.findOne({ slug });
+    if (record && record.portfolioId === portfolioId) {
+      if (created) {
+        await Slug.findByIdAndDelete(record.id);
+      } else {
+        await Slug.findByIdAndUpdate(record.id, { current: false, retiredAt: new Date().toISOString() });
+      }
+    }
+    const restored = previous && await Slug.findOne({ slug: previous });
+    if (restored && restored.portfolioId === portfolioId) {
+      await Slug.findByIdAndUpdate(restored.id, { current: true, retiredAt: null });
+    }
+  });
+}
+
+// Portfolio a slug belongs to and the slug it should be served under, or null
+async function resolveSlug(slug) {
+  const record = await Slug.findOne({ slug });
+  if (!record) {
+    return null;
+  }
+  if (record.current) {
+    return { portfolioId: record.portfolioId, slug };
+  }
+  const current = await Slug.findOne({ portfolioId: record.portfolioId, current: true });
+  return current ? { portfolioId: record.portfolioId, slug: current.slug } : null;
+}
+
+// Slugs a portfolio has used, current first, then most recently retired
+async function slugHistory(portfolioId) {
+  const records = await Slug.find({ portfolioId });
+  return records
+    .sort((a, b) => Number(b.current) - Number(a.current) || (b.retiredAt || '').localeCompare(a.retiredAt || ''))
+    .map(({ slug, current, createdAt, retiredAt }) => ({ slug, url: publicUrl(slug), current, createdAt, retiredAt }));
+}
+
+async function releaseSlugs(portfolioId) {
+  await Slug.deleteMany({ portfolioId });
+}
+
+module.exports = {
+  publicUrl,
+  slugify,
+  validateSlug,
+  checkSlug,
+  uniqueSlug,
+  assignSlug,
+  revertSlug,
+  resolveSlug,
+  slugHistory,
+  releaseSlugs
+};
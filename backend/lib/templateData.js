@@ -0,0 +1,75 @@
+// Flatten an artist and portfolio into the view data the HTML templates render.
+
+const { EXPERIENCE_LABELS, CATEGORY_LABELS, SOCIAL_PLATFORMS, formatLocation } = require('./artistProfile');
+const { normalizeSections, defaultSections } = require('./sections');
+const { resolveUpload } = require('./media');
+
+// Attach URLs to upload references and drop what can't be shown any more
+function resolveSection(section, files, options) {
+  if (!section.items) {
+    return section;
+  }
+
+  let items = section.items.map(item => {
+    if (!item.filename) {
+      return item;
+    }
+    const upload = resolveUpload(files, item.filename, options);
+    return upload ? { ...item, ...upload, title: item.caption || upload.originalName } : null;
+  }).filter(Boolean);
+
+  if (section.type === 'shows') {
+    const today = new Date().toISOString().slice(0, 10);
+    items = items.filter(show => show.date >= today).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  return { ...section, items };
+}
+
+// Visible sections in display order. Stored sections were validated on save, but
+// uploads may have been deleted since, so they are normalized again leniently here.
+function resolveSections(artist, portfolio, options) {
+  const files = artist.files || [];
+  const sections = portfolio.sections && portfolio.sections.length > 0
+    ? normalizeSections(portfolio.sections, { files }).sections
+    : defaultSections(artist, portfolio);
+
+  return sections
+    .filter(section => section.visible)
+    .map(section => resolveSection(section, files, options))
+    .filter(section => !section.items || section.items.length > 0);
+}
+
+// `mediaBaseUrl` prefixes upload URLs for renderers that don't load pages over HTTP;
+// `mediaDir` points them at a bundled copy of the uploads (see siteExport.js)
+function buildTemplateData(artist, portfolio = {}, { mediaBaseUrl = '', mediaDir = null } = {}) {
+  const socialLinks = artist.socialLinks || {};
+  const mediaOptions = { baseUrl: mediaBaseUrl, mediaDir };
+  const profilePhoto = resolveUpload(artist.files, artist.profilePhoto, mediaOptions);
+
+  return {
+    name: artist.name,
+    email: artist.email,
+    phone: artist.phone || '',
+    title: artist.title || CATEGORY_LABELS[artist.category] || 'Creative Professional',
+    category: CATEGORY_LABELS[artist.category] || '',
+    experience: EXPERIENCE_LABELS[artist.experience] || '',
+    location: formatLocation(artist.location),
+    skills: artist.genres || [],
+    profilePhoto: profilePhoto ? profilePhoto.url : '',
+    profilePhotoPath: profilePhoto ? profilePhoto.path : '',
+    profilePhotoMimetype: profilePhoto ? profilePhoto.mimetype : '',
+    sections: resolveSections(artist, portfolio, mediaOptions),
+    ...SOCIAL_PLATFORMS.reduce((links, platform) => {
+      links[platform] = socialLinks[platform] || '';
+      return links;
+    }, {}),
+    portfolioTitle: portfolio.title || '',
+    portfolioDescription: portfolio.description || ''
+  };
+}
+
+module.exports = {
+  buildTemplateData,
+  resolveSections
+};
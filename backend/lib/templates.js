@@ -0,0 +1,137 @@
+// File-based portfolio template registry.
+//
+// Every directory under backend/templates/ containing a template.json is a template:
+//   template.json      name, description, colour options and customization defaults,
+//                      labels, section headings, PDF print settings (see pdf.js)
+//   template.mustache  page body, rendered inside templates/layout.mustache
+//   style.css          optional, appended to the shared templates/base.css
+//   thumbnail.svg      optional preview image
+//   partials/          optional overrides of the shared templates/partials/*.mustache
+//
+// Templates are read once, on first use.
+
+const fs = require('fs-extra');
+const path = require('path');
+const Mustache = require('mustache');
+const { buildView } = require('./portfolioView');
+const { describeOptions } = require('./customizations');
+const { escapeHtml } = require('./html');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const DEFAULT_TEMPLATE = 'modern';
+
+let registry = null;
+
+function readOptional(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+}
+
+function readPartials(dir) {
+  if (!fs.existsSync(dir)) {
+    return {};
+  }
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.mustache'))
+    .reduce((partials, file) => {
+      partials[path.basename(file, '.mustache')] = fs.readFileSync(path.join(dir, file), 'utf8');
+      return partials;
+    }, {});
+}
+
+function loadTemplate(id, shared) {
+  const dir = path.join(TEMPLATES_DIR, id);
+  const manifest = fs.readJsonSync(path.join(dir, 'template.json'));
+  const thumbnailPath = path.join(dir, 'thumbnail.svg');
+
+  return {
+    id,
+    name: manifest.name || id,
+    description: manifest.description || '',
+    customizations: manifest.customizations || {},
+    labels: manifest.labels || {},
+    sectionHeadings: manifest.sectionHeadings || {},
+    print: manifest.print || {},
+    thumbnailPath: fs.existsSync(thumbnailPath) ? thumbnailPath : null,
+    styles: [shared.styles, readOptional(path.join(dir, 'style.css'))].join('\n'),
+    partials: {
+      ...shared.partials,
+      ...readPartials(path.join(dir, 'partials')),
+      body: fs.readFileSync(path.join(dir, 'template.mustache'), 'utf8')
+    }
+  };
+}
+
+function loadRegistry() {
+  const shared = {
+    styles: fs.readFileSync(path.join(TEMPLATES_DIR, 'base.css'), 'utf8'),
+    partials: readPartials(path.join(TEMPLATES_DIR, 'partials'))
+  };
+  const templates = new Map();
+
+  fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(TEMPLATES_DIR, entry.name, 'template.json')))
+    .map(entry => entry.name)
+    .sort()
+    .forEach(id => templates.set(id, loadTemplate(id, shared)));
+
+  return {
+    layout: fs.readFileSync(path.join(TEMPLATES_DIR, 'layout.mustache'), 'utf8'),
+    templates
+  };
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadRegistry();
+  }
+  return registry;
+}
+
+function templateIds() {
+  return [...getRegistry().templates.keys()];
+}
+
+function hasTemplate(id) {
+  return getRegistry().templates.has(id);
+}
+
+function getTemplate(id) {
+  return getRegistry().templates.get(id) || null;
+}
+
+// Public description of a template, as listed by GET /api/templates
+function describeTemplate(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    thumbnailUrl: template.thumbnailPath ? `/api/templates/${template.id}/thumbnail.svg` : null,
+    customizations: describeOptions(template)
+  };
+}
+
+function listTemplates() {
+  return [...getRegistry().templates.values()].map(describeTemplate);
+}
+
+// Render a full HTML page from buildTemplateData output. Unknown template ids fall
+// back to the default template so portfolios survive a template being removed.
+// `options` are passed through to buildView.
+function renderPortfolio(data, templateId, customizations = {}, options = {}) {
+  const { layout, templates } = getRegistry();
+  const template = templates.get(templateId) || templates.get(DEFAULT_TEMPLATE);
+  // escapeHtml leaves '/' and '=' alone, so URLs stay readable in the generated source
+  return Mustache.render(layout, buildView(data, template, customizations || {}, options), template.partials, {
+    escape: escapeHtml
+  });
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  templateIds,
+  hasTemplate,
+  getTemplate,
+  describeTemplate,
+  listTemplates,
+  renderPortfolio
+};
@@ -0,0 +1,71 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/User');
+
+function signToken(user) {
+  return jwt.sign({ sub: user.id, role: user.role }, config.auth.jwtSecret, {
+    expiresIn: config.auth.jwtExpiresIn
+  });
+}
+
+// Attach req.user when a valid Bearer token is present. Invalid or expired tokens
+// are passed on as JsonWebTokenError/TokenExpiredError for the error handler.
+async function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next();
+  }
+
+  try {
+    const payload = jwt.verify(token, config.auth.jwtSecret);
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+// Only the owning account or an admin may modify an artist and their portfolios
+function canManageArtist(user, artist) {
+  if (!user || !artist) {
+    return false;
+  }
+  return user.role === 'admin' || artist.ownerId === user.id;
+}
+
+function toPublicUser(user) {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+module.exports = {
+  signToken,
+  authenticate,
+  requireAuth,
+  requireAdmin,
+  canManageArtist,
+  toPublicUser
+};
@@ -0,0 +1,3 @@
+const { model } = require('../storage');
+
+module.exports = model('contracts');
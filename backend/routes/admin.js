@@ -0,0 +1,31 @@
+const express = require('express');
+const { verifyCredentials } = require('./auth');
+const { signToken, toPublicUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/login:
+ *   post:
+ *     summary: Log in with an admin account
+ *     tags: [Admin]
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const user = await verifyCredentials(req.body.email, req.body.password);
+    if (!user || user.role !== 'admin') {
+      return res.status(401).json({ error: 'Invalid admin credentials' });
+    }
+
+    res.json({
+      token: signToken(user),
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error logging in admin:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+module.exports = router;
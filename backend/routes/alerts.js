@@ -0,0 +1,244 @@
+const express = require('express');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const { requireAuth } = require('../middleware/auth');
+const { escapeHtml } = require('../lib/html');
+const {
+  MAX_SAVED_SEARCHES,
+  normalizeSavedSearch,
+  toSavedSearchView,
+  unsubscribe,
+  clearPendingEmails
+} = require('../lib/alerts');
+
+const router = express.Router();
+
+const PAGE_SIZE = 25;
+
+// Saved search for a route only its owner may use; sends the 404 and returns null otherwise
+async function findOwnSearch(req, res) {
+  const search = await SavedSearch.findById(req.params.id);
+  if (!search || search.userId !== req.user.id) {
+    res.status(404).json({ error: 'Saved search not found' });
+    return null;
+  }
+  return search;
+}
+
+function unsubscribePage(title, text) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+    <style>body { max-width: 560px; margin: 4rem auto; padding: 0 1.25rem; font: 16px/1.6 Helvetica, Arial, sans-serif; color: #1a1a24; }</style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(text)}</p>
+</body>
+</html>`;
+}
+
+/**
+ * @swagger
+ * /api/alerts/searches:
+ *   get:
+ *     summary: Your saved opportunity searches, newest first
+ *     tags: [Alerts]
+ */
+router.get('/searches', requireAuth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.user.id });
+    searches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json(searches.map(toSavedSearchView));
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/searches:
+ *   post:
+ *     summary: Save an opportunity search - { name, filters { type, location, status, q } as for GET /api/opportunities, emailDigest (default true) }
+ *     tags: [Alerts]
+ */
+router.post('/searches', requireAuth, async (req, res) => {
+  try {
+    const { fields, errors } = normalizeSavedSearch(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+    if (await SavedSearch.countDocuments({ userId: req.user.id }) >= MAX_SAVED_SEARCHES) {
+      return res.status(409).json({ error: `You can save at most ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const now = new Date().toISOString();
+    const search = await SavedSearch.create({
+      ...fields,
+      userId: req.user.id,
+      createdAt: now,
+      updatedAt: now
+    });
+    res.status(201).json({ message: 'Search saved', search: toSavedSearchView(search) });
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/searches/{id}:
+ *   patch:
+ *     summary: Rename a saved search, change its filters or turn its emails on or off
+ *     tags: [Alerts]
+ */
+router.patch('/searches/:id', requireAuth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    const { fields, errors } = normalizeSavedSearch(req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const updated = await SavedSearch.findByIdAndUpdate(search.id, { ...fields, updatedAt: new Date().toISOString() });
+    if (fields.emailDigest === false) {
+      await clearPendingEmails({ savedSearchId: search.id });
+    }
+    res.json({ message: 'Saved search updated', search: toSavedSearchView(updated) });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/searches/{id}:
+ *   delete:
+ *     summary: Delete a saved search; notifications already in your feed are kept
+ *     tags: [Alerts]
+ */
+router.delete('/searches/:id', requireAuth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    await clearPendingEmails({ savedSearchId: search.id });
+    await SavedSearch.findByIdAndDelete(search.id);
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/notifications:
+ *   get:
+ *     summary: Your notification feed, newest first, with the unread count; ?unread=true for unread only; ?page= for 25 at a time
+ *     tags: [Alerts]
+ */
+router.get('/notifications', requireAuth, async (req, res) => {
+  try {
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: 'Validation failed', details: ['page must be a positive integer'] });
+    }
+
+    const all = await Notification.find({ userId: req.user.id });
+    const matching = all
+      .filter(notification => req.query.unread !== 'true' || !notification.readAt)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.json({
+      notifications: matching.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+      unreadCount: all.filter(notification => !notification.readAt).length,
+      page,
+      pageCount: Math.max(1, Math.ceil(matching.length / PAGE_SIZE)),
+      total: matching.length
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/notifications/read:
+ *   post:
+ *     summary: Mark notifications read - { ids } for some, or all of them without ids
+ *     tags: [Alerts]
+ */
+router.post('/notifications/read', requireAuth, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({ error: 'Validation failed', details: ['ids must be a list of notification ids'] });
+    }
+
+    const now = new Date().toISOString();
+    const unread = (await Notification.find({ userId: req.user.id }))
+      .filter(notification => !notification.readAt && (!ids || ids.includes(notification.id)));
+    for (const notification of unread) {
+      await Notification.findByIdAndUpdate(notification.id, { readAt: now });
+    }
+    res.json({ message: 'Notifications marked read', updated: unread.length });
+  } catch (error) {
+    console.error('Error updating notifications:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/unsubscribe/{token}:
+ *   get:
+ *     summary: Unsubscribe link from an alert email; stops emails for one saved search or all of them
+ *     tags: [Alerts]
+ *   post:
+ *     summary: One-click unsubscribe (List-Unsubscribe-Post) for the same link
+ *     tags: [Alerts]
+ */
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const searches = await unsubscribe(req.params.token);
+    res.set('X-Robots-Tag', 'noindex');
+    if (!searches) {
+      return res.status(404).send(unsubscribePage('Link not valid', 'This unsubscribe link is not valid. Check that you copied the whole link.'));
+    }
+    res.send(unsubscribePage(
+      'You are unsubscribed',
+      searches.length === 1
+        ? `You will no longer get emails for your saved search "${searches[0].name}".`
+        : 'You will no longer get opportunity alert emails. Your saved searches and in-app notifications are kept.'
+    ));
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).send(unsubscribePage('Something went wrong', 'Please try the link again later.'));
+  }
+});
+
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const searches = await unsubscribe(req.params.token);
+    if (!searches) {
+      return res.status(404).json({ error: 'Unsubscribe link not valid' });
+    }
+    res.json({ message: 'Unsubscribed', searches: searches.length });
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const Portfolio = require('../models/Portfolio');
+const { requireAdmin } = require('../middleware/auth');
+const { isLive } = require('../lib/publishing');
+const analytics = require('../lib/analytics');
+
+const router = express.Router();
+
+const PAGE_PATTERN = /^[a-z0-9-]{1,40}$/;
+// Events pages may send; downloads are counted by the server when the PDF is served
+const CLIENT_EVENT_TYPES = ['view', 'click'];
+
+const trackingLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120,
+  message: {
+    error: 'Too many tracking requests, please slow down.',
+    retryAfter: 1
+  }
+});
+
+// navigator.sendBeacon posts text/plain, so the JSON event may arrive as a string
+function parseEvent(body) {
+  if (typeof body !== 'string') {
+    return body || {};
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @swagger
+ * /api/analytics/events:
+ *   post:
+ *     summary: Record a page view or link click from a published portfolio ({ portfolioId }) or a platform page ({ page })
+ *     tags: [Analytics]
+ */
+router.post('/events', trackingLimiter, express.text({ type: 'text/plain', limit: '2kb' }), async (req, res) => {
+  try {
+    const event = parseEvent(req.body);
+    const errors = [];
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      return res.status(400).json({ error: 'Validation failed', details: ['body must be a JSON object'] });
+    }
+    if (!CLIENT_EVENT_TYPES.includes(event.type)) {
+      errors.push(`type must be one of ${CLIENT_EVENT_TYPES.join(', ')}`);
+    }
+    if (Boolean(event.portfolioId) === Boolean(event.page)) {
+      errors.push('exactly one of portfolioId or page is required');
+    } else if (event.page && !PAGE_PATTERN.test(event.page)) {
+      errors.push('page must be a short lowercase name');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    let subject = analytics.pageSubject(event.page);
+    if (event.portfolioId) {
+      const portfolio = typeof event.portfolioId === 'string' && await Portfolio.findById(event.portfolioId);
+      if (!portfolio || !isLive(portfolio)) {
+        return res.status(404).json({ error: 'Portfolio not found' });
+      }
+      subject = analytics.portfolioSubject(portfolio.id);
+    }
+
+    await analytics.recordEvent({
+      subject,
+      type: event.type,
+      target: event.target,
+      referrer: event.referrer
+    }, analytics.requestContext(req));
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error recording analytics event:', error);
+    res.status(500).json({ error: 'Failed to record event' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/pages/{page}:
+ *   get:
+ *     summary: Daily views, visitors, referrers and clicks for a platform page such as the homepage (admin only)
+ *     tags: [Analytics]
+ */
+router.get('/pages/:page', requireAdmin, async (req, res) => {
+  try {
+    const days = analytics.parseDays(req.query.days);
+    if (!PAGE_PATTERN.test(req.params.page) || !days) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [`page must be a short lowercase name and days an integer from 1 to ${analytics.MAX_DAYS}`]
+      });
+    }
+    res.json({ page: req.params.page, ...await analytics.summarize(analytics.pageSubject(req.params.page), { days }) });
+  } catch (error) {
+    console.error('Error fetching page analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const fs = require('fs-extra');
+const { pipeline } = require('stream');
+const Application = require('../models/Application');
+const Artist = require('../models/Artist');
+const Opportunity = require('../models/Opportunity');
+const { requireAuth, canManageArtist } = require('../middleware/auth');
+const { slugify } = require('../lib/slugs');
+const { canManageOpportunity } = require('../lib/opportunities');
+const {
+  STATUSES,
+  REVIEW_STATUSES,
+  canTransition,
+  normalizeNote,
+  applicationPdfPath,
+  statusChange,
+  countByStatus,
+  toApplicationView
+} = require('../lib/applications');
+
+const router = express.Router();
+
+// Application with the opportunity it was sent to, and whether the requester is on the
+// applicant's side (manages the artist) or the organizer's. Sends the 404 and returns null
+// if they are on neither.
+async function findApplication(req, res) {
+  const application = await Application.findById(req.params.id);
+  const [artist, opportunity] = application
+    ? await Promise.all([Artist.findById(application.artistId), Opportunity.findById(application.opportunityId)])
+    : [];
+  const isApplicant = Boolean(artist) && canManageArtist(req.user, artist);
+  const isOrganizer = Boolean(opportunity) && canManageOpportunity(req.user, opportunity);
+  if (!isApplicant && !isOrganizer) {
+    res.status(404).json({ error: 'Application not found' });
+    return null;
+  }
+  return { application, opportunity, isApplicant, isOrganizer };
+}
+
+/**
+ * @swagger
+ * /api/applications:
+ *   get:
+ *     summary: Applications sent by ?artistId= or all your artists, newest first, with the status of each; ?status= to filter
+ *     tags: [Applications]
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { artistId, status } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [`status must be one of ${STATUSES.join(', ')}`]
+      });
+    }
+
+    let artistIds;
+    if (artistId !== undefined) {
+      const artist = await Artist.findById(artistId);
+      if (!artist) {
+        return res.status(404).json({ error: 'Artist not found' });
+      }
+      if (!canManageArtist(req.user, artist)) {
+        return res.status(403).json({ error: 'You do not have permission to view these applications' });
+      }
+      artistIds = [artist.id];
+    } else {
+      artistIds = (await Artist.find({ ownerId: req.user.id })).map(artist => artist.id);
+    }
+
+    const all = [];
+    for (const id of artistIds) {
+      all.push(...await Application.find({ artistId: id }));
+    }
+    const matching = all
+      .filter(application => !status || application.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const applications = [];
+    for (const application of matching) {
+      applications.push(toApplicationView(application, await Opportunity.findById(application.opportunityId)));
+    }
+    res.json({ applications, counts: countByStatus(all) });
+  } catch (error) {
+    console.error('Error fetching applications:', error);
+    res.status(500).json({ error: 'Failed to fetch applications' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   get:
+ *     summary: Get an application you sent, or one sent to an opportunity you posted
+ *     tags: [Applications]
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const found = await findApplication(req, res);
+    if (!found) return;
+
+    res.json(toApplicationView(found.application, found.opportunity));
+  } catch (error) {
+    console.error('Error fetching application:', error);
+    res.status(500).json({ error: 'Failed to fetch application' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   patch:
+ *     summary: Review an application to an opportunity you posted - { status (shortlisted, accepted, rejected), note }; the note is shown to the applicant
+ *     tags: [Applications]
+ */
+router.patch('/:id', requireAuth, async (req, res) => {
+  try {
+    const { status, note: rawNote } = req.body || {};
+    const errors = [];
+    if (!REVIEW_STATUSES.includes(status)) {
+      errors.push(`status must be one of ${REVIEW_STATUSES.join(', ')}`);
+    }
+    const note = normalizeNote(rawNote, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const found = await findApplication(req, res);
+    if (!found) return;
+    const { application, opportunity, isOrganizer } = found;
+    if (!isOrganizer) {
+      return res.status(403).json({ error: 'Only the organizer can review this application' });
+    }
+    if (!canTransition(application, status)) {
+      return res.status(409).json({ error: `This application is ${application.status} and cannot be marked ${status}` });
+    }
+
+    const updated = await Application.findByIdAndUpdate(application.id, statusChange(application, status, 'organizer', note));
+    res.json({ message: `Application marked ${status}`, application: toApplicationView(updated, opportunity) });
+  } catch (error) {
+    console.error('Error updating application:', error);
+    res.status(500).json({ error: 'Failed to update application' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw an application you sent that has not been accepted or rejected
+ *     tags: [Applications]
+ */
+router.post('/:id/withdraw', requireAuth, async (req, res) => {
+  try {
+    const found = await findApplication(req, res);
+    if (!found) return;
+    const { application, opportunity, isApplicant } = found;
+    if (!isApplicant) {
+      return res.status(403).json({ error: 'Only the applicant can withdraw this application' });
+    }
+    if (!canTransition(application, 'withdrawn')) {
+      return res.status(409).json({ error: `This application is ${application.status} and cannot be withdrawn` });
+    }
+
+    const updated = await Application.findByIdAndUpdate(application.id, statusChange(application, 'withdrawn', 'applicant'));
+    res.json({ message: 'Application withdrawn', application: toApplicationView(updated, opportunity) });
+  } catch (error) {
+    console.error('Error withdrawing application:', error);
+    res.status(500).json({ error: 'Failed to withdraw application' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/portfolio.pdf:
+ *   get:
+ *     summary: Download the portfolio PDF attached to an application
+ *     tags: [Applications]
+ */
+router.get('/:id/portfolio.pdf', requireAuth, async (req, res) => {
+  try {
+    const found = await findApplication(req, res);
+    if (!found) return;
+
+    const file = applicationPdfPath(found.application.id);
+    if (!await fs.pathExists(file)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    res.type('pdf');
+    res.attachment(`${slugify(found.application.artist.name) || 'artist'}-portfolio.pdf`);
+    pipeline(fs.createReadStream(file), res, error => {
+      if (error) {
+        console.error('Error sending application attachment:', error);
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading application attachment:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Artist = require('../models/Artist');
+const { signToken, requireAuth, toPublicUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PASSWORD_MIN_LENGTH = 8;
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+async function createUser({ email, password, name, role = 'artist' }) {
+  const now = new Date().toISOString();
+  return User.create({
+    email: normalizeEmail(email),
+    name: name || '',
+    role,
+    passwordHash: await bcrypt.hash(password, 10),
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+// Look up an account by email and password; resolves to null on any mismatch
+async function verifyCredentials(email, password) {
+  const user = await User.findOne({ email: normalizeEmail(email) });
+  if (!user || typeof password !== 'string' || !(await bcrypt.compare(password, user.passwordHash))) {
+    return null;
+  }
+  return user;
+}
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Create an account and return a session token
+ *     tags: [Auth]
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    const errors = [];
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email))) {
+      errors.push('A valid email is required');
+    }
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+      errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    if (await User.findOne({ email: normalizeEmail(email) })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = await createUser({ email, password, name });
+
+    res.status(201).json({
+      message: 'Account created successfully',
+      token: signToken(user),
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error registering account:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Exchange email and password for a session token
+ *     tags: [Auth]
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const user = await verifyCredentials(req.body.email, req.body.password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({
+      token: signToken(user),
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the signed-in account and the artist profiles it owns
+ *     tags: [Auth]
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      user: toPublicUser(req.user),
+      artists: await Artist.find({ ownerId: req.user.id })
+    });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({ error: 'Failed to fetch account' });
+  }
+});
+
+// Create the configured admin account on startup if it doesn't exist yet
+async function ensureAdminAccount({ adminEmail, adminPassword }) {
+  if (!adminEmail || !adminPassword) {
+    return;
+  }
+  const existing = await User.findOne({ email: normalizeEmail(adminEmail) });
+  if (existing) {
+    if (existing.role !== 'admin') {
+      await User.findByIdAndUpdate(existing.id, { role: 'admin', updatedAt: new Date().toISOString() });
+    }
+    return;
+  }
+  await createUser({ email: adminEmail, password: adminPassword, name: 'Administrator', role: 'admin' });
+  console.log(`Created admin account ${normalizeEmail(adminEmail)}`);
+}
+
+module.exports = router;
+module.exports.verifyCredentials = verifyCredentials;
+module.exports.ensureAdminAccount = ensureAdminAccount;
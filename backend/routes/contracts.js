@@ -0,0 +1,583 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const fs = require('fs-extra');
+const { pipeline } = require('stream');
+const config = require('../config');
+const Contract = require('../models/Contract');
+const Artist = require('../models/Artist');
+const { requireAuth, canManageArtist } = require('../middleware/auth');
+const {
+  contractTypes,
+  getContractTemplate,
+  describeContractTemplate,
+  fillContract,
+  derivedValues,
+  renderContract
+} = require('../lib/contracts');
+const { createContractPdf } = require('../lib/contractPdf');
+const signing = require('../lib/contractSigning');
+
+const router = express.Router();
+
+const { contractReference } = signing;
+
+// Signing links are public; limit how fast they can be tried
+const signingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: {
+    error: 'Too many signing requests, please try again later.',
+    retryAfter: 15
+  }
+});
+
+function toContractView(contract) {
+  const { signingTokenHash, ...rest } = contract;
+  const template = getContractTemplate(contract.type, contract.version);
+  return {
+    ...rest,
+    reference: contractReference(contract),
+    derived: template ? derivedValues(template, contract.values) : {},
+    audit: contract.audit || [],
+    pdfUrl: `/api/contracts/${contract.id}/contract.pdf`
+  };
+}
+
+// Audit trail actor for a signed-in user: 'artist' for the artist's owner, 'admin' otherwise
+const accountActor = (req, ownerId) => (req.user.id === ownerId ? 'artist' : 'admin');
+
+// Contract for a route only its artist's owner or an admin may use; sends the 404 and
+// returns null otherwise
+async function findManagedContract(req, res) {
+  const contract = await Contract.findById(req.params.id);
+  const artist = contract && await Artist.findById(contract.artistId);
+  if (!canManageArtist(req.user, artist)) {
+    res.status(404).json({ error: 'Contract not found' });
+    return null;
+  }
+  return { contract, artist };
+}
+
+function sendPdf(res, rendered, filename, options) {
+  res.type('pdf');
+  res.attachment(filename);
+  createContractPdf(rendered, options).pipe(res);
+}
+
+// The contract's PDF: the sealed file once countersigned; otherwise rendered from the
+// text frozen when it was sent (with the signatures so far), or from the draft's values
+async function sendContractPdf(res, contract) {
+  const filename = `${contract.type}-contract-${contractReference(contract)}.pdf`;
+  if (contract.sealedAt) {
+    const file = signing.sealedPdfPath(contract);
+    if (!await fs.pathExists(file)) {
+      console.error(`Sealed PDF missing for contract ${contract.id}`);
+      return res.status(404).json({ error: 'Signed contract file not found' });
+    }
+    res.type('pdf');
+    res.attachment(filename);
+    // The response is already under way if reading fails, so it can only be cut short
+    return pipeline(fs.createReadStream(file), res, error => {
+      if (error) {
+        console.error('Error sending sealed contract PDF:', error);
+      }
+    });
+  }
+  const document = contract.document
+    || renderContract(getContractTemplate(contract.type, contract.version), contract.values);
+  sendPdf(res, document, filename, {
+    reference: contractReference(contract),
+    date: new Date(contract.sentAt || contract.updatedAt),
+    signatures: contract.signatures,
+    documentHash: contract.documentHash,
+    audit: contract.audit
+  });
+}
+
+// Contract behind a signing link; sends the 404 and returns null if the link is unknown or was replaced
+async function findSigningContract(req, res) {
+  const contract = await signing.findBySigningToken(req.params.token);
+  if (!contract) {
+    res.status(404).json({ error: 'Signing link not found' });
+    return null;
+  }
+  return contract;
+}
+
+/**
+ * @swagger
+ * /api/contracts/templates:
+ *   get:
+ *     summary: List the contract types with their current version and fields
+ *     tags: [Contracts]
+ */
+router.get('/templates', (req, res) => {
+  res.json(contractTypes().map(type => describeContractTemplate(getContractTemplate(type))));
+});
+
+/**
+ * @swagger
+ * /api/contracts/templates/{type}:
+ *   get:
+ *     summary: Fields and rules of a contract type (current version, or ?version=)
+ *     tags: [Contracts]
+ */
+router.get('/templates/:type', (req, res) => {
+  const version = req.query.version === undefined ? null : Number(req.query.version);
+  const template = getContractTemplate(req.params.type, version);
+  if (!template) {
+    return res.status(404).json({ error: 'Contract template not found' });
+  }
+  res.json(describeContractTemplate(template));
+});
+
+/**
+ * @swagger
+ * /api/contracts/templates/{type}/blank.pdf:
+ *   get:
+ *     summary: Download a contract type as a blank PDF to fill in by hand
+ *     tags: [Contracts]
+ */
+router.get('/templates/:type/blank.pdf', (req, res) => {
+  try {
+    const template = getContractTemplate(req.params.type);
+    if (!template) {
+      return res.status(404).json({ error: 'Contract template not found' });
+    }
+    sendPdf(res, renderContract(template, {}, { blank: true }), `${template.type}-contract-template-katikaname.pdf`);
+  } catch (error) {
+    console.error('Error generating blank contract:', error);
+    res.status(500).json({ error: 'Failed to generate contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/sign/{token}:
+ *   get:
+ *     summary: The contract behind a signing link, for the client; opening it marks a sent contract as viewed
+ *     tags: [Contracts]
+ */
+router.get('/sign/:token', signingLimiter, async (req, res) => {
+  try {
+    const contract = await findSigningContract(req, res);
+    if (!contract) return;
+    const viewed = await signing.recordView(contract, req);
+    res.json(signing.toSigningView(viewed, req.params.token));
+  } catch (error) {
+    console.error('Error fetching contract to sign:', error);
+    res.status(500).json({ error: 'Failed to fetch contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/sign/{token}:
+ *   post:
+ *     summary: Sign as the client ({ name, method typed|drawn, image (PNG data URL, drawn only), consent true })
+ *     tags: [Contracts]
+ */
+router.post('/sign/:token', signingLimiter, async (req, res) => {
+  try {
+    const contract = await findSigningContract(req, res);
+    if (!contract) return;
+
+    const { signature, errors } = signing.normalizeSignature(req.body || {}, req);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const updated = await signing.withContract(contract.id, current => {
+      if (!['sent', 'viewed'].includes(current.status)) {
+        throw signing.contractStatusError(`This contract cannot be signed; it is ${current.status}`);
+      }
+      return Contract.findByIdAndUpdate(current.id, {
+        status: 'signed',
+        signatures: { ...current.signatures, client: { ...signature, documentHash: current.documentHash } },
+        signedAt: signature.signedAt,
+        audit: signing.appendAudit(current, signing.auditEntry('signed', 'client', req, `${signature.method} signature as ${signature.name}`))
+      });
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Signing link not found' });
+    }
+    res.json({ message: 'Contract signed successfully', contract: signing.toSigningView(updated, req.params.token) });
+  } catch (error) {
+    if (error.code === 'CONTRACT_STATUS') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error signing contract:', error);
+    res.status(500).json({ error: 'Failed to sign contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/sign/{token}/contract.pdf:
+ *   get:
+ *     summary: Download the contract behind a signing link as a PDF
+ *     tags: [Contracts]
+ */
+router.get('/sign/:token/contract.pdf', signingLimiter, async (req, res) => {
+  try {
+    const contract = await findSigningContract(req, res);
+    if (!contract) return;
+    await sendContractPdf(res, contract);
+  } catch (error) {
+    console.error('Error generating contract PDF:', error);
+    res.status(500).json({ error: 'Failed to generate contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts:
+ *   post:
+ *     summary: Fill in a contract ({ type, artistId, values }); values missing from the request come from the artist's profile or the template's defaults
+ *     tags: [Contracts]
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { type, artistId, values = {} } = req.body || {};
+    const template = getContractTemplate(type);
+    if (!template) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [`type must be one of ${contractTypes().join(', ')}`]
+      });
+    }
+    const artist = await Artist.findById(artistId);
+    if (!artist) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to create contracts for this artist' });
+    }
+
+    const filled = fillContract(template, values, artist);
+    if (filled.errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: filled.errors });
+    }
+
+    const now = new Date().toISOString();
+    const contract = await Contract.create({
+      artistId: artist.id,
+      ownerId: artist.ownerId,
+      type: template.type,
+      version: template.version,
+      title: template.title,
+      values: filled.values,
+      status: 'draft',
+      audit: [signing.auditEntry('created', accountActor(req, artist.ownerId), req)],
+      createdAt: now,
+      updatedAt: now
+    });
+    res.status(201).json({ message: 'Contract created successfully', contract: toContractView(contract) });
+  } catch (error) {
+    console.error('Error creating contract:', error);
+    res.status(500).json({ error: 'Failed to create contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts:
+ *   get:
+ *     summary: List contracts for ?artistId= or all your artists, newest first
+ *     tags: [Contracts]
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    let artistIds;
+    if (req.query.artistId !== undefined) {
+      const artist = await Artist.findById(req.query.artistId);
+      if (!artist) {
+        return res.status(404).json({ error: 'Artist not found' });
+      }
+      if (!canManageArtist(req.user, artist)) {
+        return res.status(403).json({ error: 'You do not have permission to view these contracts' });
+      }
+      artistIds = [artist.id];
+    } else {
+      artistIds = (await Artist.find({ ownerId: req.user.id })).map(artist => artist.id);
+    }
+
+    const contracts = [];
+    for (const id of artistIds) {
+      contracts.push(...await Contract.find({ artistId: id }));
+    }
+    contracts.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json(contracts.map(toContractView));
+  } catch (error) {
+    console.error('Error fetching contracts:', error);
+    res.status(500).json({ error: 'Failed to fetch contracts' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/{id}:
+ *   get:
+ *     summary: Get a contract with its values
+ *     tags: [Contracts]
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const managed = await findManagedContract(req, res);
+    if (!managed) return;
+    res.json(toContractView(managed.contract));
+  } catch (error) {
+    console.error('Error fetching contract:', error);
+    res.status(500).json({ error: 'Failed to fetch contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/{id}:
+ *   put:
+ *     summary: Replace a draft contract's values ({ values }); it keeps its template version
+ *     tags: [Contracts]
+ */
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const managed = await findManagedContract(req, res);
+    if (!managed) return;
+    const { contract, artist } = managed;
+    const filled = fillContract(getContractTemplate(contract.type, contract.version), (req.body || {}).values || {}, artist);
+    if (filled.errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: filled.errors });
+    }
+
+    const updated = await signing.withContract(contract.id, current => {
+      if (current.status !== 'draft') {
+        throw signing.contractStatusError(`Only draft contracts can be edited; this contract is ${current.status}`);
+      }
+      return Contract.findByIdAndUpdate(current.id, {
+        values: filled.values,
+        audit: signing.appendAudit(current, signing.auditEntry('updated', accountActor(req, current.ownerId), req)),
+        updatedAt: new Date().toISOString()
+      });
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    res.json({ message: 'Contract updated successfully', contract: toContractView(updated) });
+  } catch (error) {
+    if (error.code === 'CONTRACT_STATUS') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error updating contract:', error);
+    res.status(500).json({ error: 'Failed to update contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/{id}:
+ *   delete:
+ *     summary: Delete a draft contract
+ *     tags: [Contracts]
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const managed = await findManagedContract(req, res);
+    if (!managed) return;
+    // A draft may have been sent since it was looked up, so its status is checked in turn
+    const deleted = await signing.withContract(managed.contract.id, async current => {
+      if (current.status !== 'draft') {
+        throw signing.contractStatusError(`Only draft contracts can be deleted; this contract is ${current.status}`);
+      }
+      await Contract.findByIdAndDelete(current.id);
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    res.json({ message: 'Contract deleted successfully' });
+  } catch (error) {
+    if (error.code === 'CONTRACT_STATUS') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error deleting contract:', error);
+    res.status(500).json({ error: 'Failed to delete contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/{id}/send:
+ *   post:
+ *     summary: Send a contract for signature. Freezes a draft's text and returns a new signing link; sending again replaces the old link
+ *     tags: [Contracts]
+ */
+router.post('/:id/send', requireAuth, async (req, res) => {
+  try {
+    const managed = await findManagedContract(req, res);
+    if (!managed) return;
+    const { token, tokenHash } = signing.createSigningToken();
+    const updated = await signing.withContract(managed.contract.id, contract => {
+      if (!['draft', 'sent', 'viewed'].includes(contract.status)) {
+        throw signing.contractStatusError(`This contract cannot be sent; it is ${contract.status}`);
+      }
+
+      let { document, documentHash } = contract;
+      if (!document) {
+        document = renderContract(getContractTemplate(contract.type, contract.version), contract.values);
+        documentHash = signing.documentHash(document);
+      }
+      const now = new Date().toISOString();
+      return Contract.findByIdAndUpdate(contract.id, {
+        document,
+        documentHash,
+        status: 'sent',
+        signingTokenHash: tokenHash,
+        sentTo: contract.values.clientEmail || null,
+        sentAt: now,
+        audit: signing.appendAudit(contract, signing.auditEntry(
+          contract.status === 'draft' ? 'sent' : 'resent',
+          accountActor(req, contract.ownerId),
+          req,
+          contract.status === 'draft' ? null : 'previous signing link revoked'
+        )),
+        updatedAt: now
+      });
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const url = signing.signingUrl(token);
+    res.json({
+      message: 'Contract sent for signature',
+      signingUrl: url,
+      signingLink: `${config.publicUrl}${url}`,
+      contract: toContractView(updated)
+    });
+  } catch (error) {
+    if (error.code === 'CONTRACT_STATUS') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error sending contract:', error);
+    res.status(500).json({ error: 'Failed to send contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/{id}/countersign:
+ *   post:
+ *     summary: Countersign a contract the client has signed ({ name, method, image, consent }); seals the final PDF
+ *     tags: [Contracts]
+ */
+router.post('/:id/countersign', requireAuth, async (req, res) => {
+  try {
+    const managed = await findManagedContract(req, res);
+    if (!managed) return;
+    const { signature, errors } = signing.normalizeSignature(req.body || {}, req);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const updated = await signing.withContract(managed.contract.id, async contract => {
+      if (contract.status !== 'signed') {
+        throw signing.contractStatusError(`Only contracts signed by the client can be countersigned; this contract is ${contract.status}`);
+      }
+
+      const actor = accountActor(req, contract.ownerId);
+      const countersigned = {
+        ...contract,
+        status: 'countersigned',
+        signatures: { ...contract.signatures, artist: { ...signature, documentHash: contract.documentHash } },
+        countersignedAt: signature.signedAt,
+        audit: signing.appendAudit(contract, signing.auditEntry('countersigned', actor, req, `${signature.method} signature as ${signature.name}`))
+      };
+      const sealedPdfHash = await signing.writeSealedPdf(countersigned, createContractPdf(countersigned.document, {
+        reference: contractReference(contract),
+        date: new Date(contract.sentAt),
+        signatures: countersigned.signatures,
+        documentHash: contract.documentHash,
+        audit: countersigned.audit
+      }));
+
+      const now = new Date().toISOString();
+      return Contract.findByIdAndUpdate(contract.id, {
+        status: countersigned.status,
+        signatures: countersigned.signatures,
+        countersignedAt: countersigned.countersignedAt,
+        sealedAt: now,
+        sealedPdfHash,
+        audit: [...countersigned.audit, signing.auditEntry('sealed', actor, req, `PDF SHA-256 ${sealedPdfHash}`)],
+        updatedAt: now
+      });
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    res.json({ message: 'Contract countersigned and sealed', contract: toContractView(updated) });
+  } catch (error) {
+    if (error.code === 'CONTRACT_STATUS') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error countersigning contract:', error);
+    res.status(500).json({ error: 'Failed to countersign contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/{id}/cancel:
+ *   post:
+ *     summary: Cancel a contract that is not yet countersigned ({ reason }); its signing link stops working
+ *     tags: [Contracts]
+ */
+router.post('/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const managed = await findManagedContract(req, res);
+    if (!managed) return;
+    const reason = typeof (req.body || {}).reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    const updated = await signing.withContract(managed.contract.id, contract => {
+      if (['countersigned', 'cancelled'].includes(contract.status)) {
+        throw signing.contractStatusError(`This contract cannot be cancelled; it is ${contract.status}`);
+      }
+      const now = new Date().toISOString();
+      return Contract.findByIdAndUpdate(contract.id, {
+        status: 'cancelled',
+        signingTokenHash: null,
+        cancelledAt: now,
+        audit: signing.appendAudit(contract, signing.auditEntry('cancelled', accountActor(req, contract.ownerId), req, reason || null)),
+        updatedAt: now
+      });
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    res.json({ message: 'Contract cancelled', contract: toContractView(updated) });
+  } catch (error) {
+    if (error.code === 'CONTRACT_STATUS') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error cancelling contract:', error);
+    res.status(500).json({ error: 'Failed to cancel contract' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contracts/{id}/contract.pdf:
+ *   get:
+ *     summary: Download the contract as a PDF; the sealed PDF once it is countersigned
+ *     tags: [Contracts]
+ */
+router.get('/:id/contract.pdf', requireAuth, async (req, res) => {
+  try {
+    const managed = await findManagedContract(req, res);
+    if (!managed) return;
+    await sendContractPdf(res, managed.contract);
+  } catch (error) {
+    console.error('Error generating contract PDF:', error);
+    res.status(500).json({ error: 'Failed to generate contract' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const Enquiry = require('../models/Enquiry');
+const Artist = require('../models/Artist');
+const Portfolio = require('../models/Portfolio');
+const { requireAuth, canManageArtist } = require('../middleware/auth');
+const { isLive } = require('../lib/publishing');
+const {
+  STATUSES,
+  isSpam,
+  normalizeEnquiry,
+  statusChanges,
+  countByStatus,
+  toEnquiryView
+} = require('../lib/enquiries');
+
+const router = express.Router();
+
+const PAGE_SIZE = 25;
+
+// A visitor may send a few enquiries an hour, enough to contact several artists
+const enquiryLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    error: 'Too many booking requests, please try again later.',
+    retryAfter: 60
+  }
+});
+
+// Enquiry for a route only its artist's owner or an admin may use; sends the 404 and
+// returns null otherwise
+async function findManagedEnquiry(req, res) {
+  const enquiry = await Enquiry.findById(req.params.id);
+  const artist = enquiry && await Artist.findById(enquiry.artistId);
+  if (!canManageArtist(req.user, artist)) {
+    res.status(404).json({ error: 'Enquiry not found' });
+    return null;
+  }
+  return enquiry;
+}
+
+/**
+ * @swagger
+ * /api/enquiries:
+ *   post:
+ *     summary: Send a booking enquiry from a published portfolio (name, email, phone, eventType, eventDate, venue, budget in KES, message)
+ *     tags: [Enquiries]
+ */
+router.post('/', enquiryLimiter, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const portfolio = typeof body.portfolioId === 'string' && await Portfolio.findById(body.portfolioId);
+    if (!portfolio || !isLive(portfolio)) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    // Answer bots as though the enquiry was sent, whatever else they filled in, so they
+    // can't tell they were caught or use the validation errors to refine their posts
+    if (isSpam(body)) {
+      return res.status(201).json({ message: 'Booking request sent' });
+    }
+    const { enquiry, errors } = normalizeEnquiry(body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const now = new Date().toISOString();
+    await Enquiry.create({
+      ...enquiry,
+      artistId: portfolio.artistId,
+      portfolioId: portfolio.id,
+      status: 'new',
+      readAt: null,
+      respondedAt: null,
+      archivedAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+    res.status(201).json({ message: 'Booking request sent' });
+  } catch (error) {
+    console.error('Error saving enquiry:', error);
+    res.status(500).json({ error: 'Failed to send booking request' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/enquiries:
+ *   get:
+ *     summary: Booking inbox, newest first, for ?artistId= or all your artists; archived enquiries only with ?status=archived; ?page= for 25 at a time
+ *     tags: [Enquiries]
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { artistId, status } = req.query;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const errors = [];
+    if (status !== undefined && !STATUSES.includes(status)) {
+      errors.push(`status must be one of ${STATUSES.join(', ')}`);
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push('page must be a positive integer');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    let artistIds;
+    if (artistId !== undefined) {
+      const artist = await Artist.findById(artistId);
+      if (!artist) {
+        return res.status(404).json({ error: 'Artist not found' });
+      }
+      if (!canManageArtist(req.user, artist)) {
+        return res.status(403).json({ error: 'You do not have permission to view this inbox' });
+      }
+      artistIds = [artist.id];
+    } else {
+      artistIds = (await Artist.find({ ownerId: req.user.id })).map(artist => artist.id);
+    }
+
+    const all = [];
+    for (const id of artistIds) {
+      all.push(...await Enquiry.find({ artistId: id }));
+    }
+    const matching = all
+      .filter(enquiry => (status ? enquiry.status === status : enquiry.status !== 'archived'))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.json({
+      enquiries: matching.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map(toEnquiryView),
+      counts: countByStatus(all),
+      page,
+      pageCount: Math.max(1, Math.ceil(matching.length / PAGE_SIZE)),
+      total: matching.length
+    });
+  } catch (error) {
+    console.error('Error fetching enquiries:', error);
+    res.status(500).json({ error: 'Failed to fetch enquiries' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/enquiries/{id}:
+ *   get:
+ *     summary: Open an enquiry; new enquiries are marked read
+ *     tags: [Enquiries]
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    let enquiry = await findManagedEnquiry(req, res);
+    if (!enquiry) return;
+
+    if (enquiry.status === 'new') {
+      enquiry = await Enquiry.findByIdAndUpdate(enquiry.id, statusChanges(enquiry, 'read'));
+    }
+    res.json(toEnquiryView(enquiry));
+  } catch (error) {
+    console.error('Error fetching enquiry:', error);
+    res.status(500).json({ error: 'Failed to fetch enquiry' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/enquiries/{id}:
+ *   patch:
+ *     summary: Move an enquiry to another status (new, read, responded, archived)
+ *     tags: [Enquiries]
+ */
+router.patch('/:id', requireAuth, async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [`status must be one of ${STATUSES.join(', ')}`]
+      });
+    }
+
+    const enquiry = await findManagedEnquiry(req, res);
+    if (!enquiry) return;
+
+    const updated = await Enquiry.findByIdAndUpdate(enquiry.id, statusChanges(enquiry, status));
+    res.json({ message: `Enquiry marked ${status}`, enquiry: toEnquiryView(updated) });
+  } catch (error) {
+    console.error('Error updating enquiry:', error);
+    res.status(500).json({ error: 'Failed to update enquiry' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/enquiries/{id}:
+ *   delete:
+ *     summary: Delete an enquiry
+ *     tags: [Enquiries]
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const enquiry = await findManagedEnquiry(req, res);
+    if (!enquiry) return;
+
+    await Enquiry.findByIdAndDelete(enquiry.id);
+    res.json({ message: 'Enquiry deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting enquiry:', error);
+    res.status(500).json({ error: 'Failed to delete enquiry' });
+  }
+});
+
+module.exports = router;
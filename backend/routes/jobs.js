@@ -0,0 +1,85 @@
+const express = require('express');
+const Job = require('../models/Job');
+const { requireAuth } = require('../middleware/auth');
+const { STATUSES, retry, toJobView } = require('../lib/jobs');
+
+const router = express.Router();
+
+const canSeeJob = (user, job) => user.role === 'admin' || job.ownerId === user.id;
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List your background jobs, newest first, optionally filtered by ?status=
+ *     tags: [Jobs]
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [`status must be one of ${STATUSES.join(', ')}`]
+      });
+    }
+
+    const filter = { ownerId: req.user.id };
+    if (status) {
+      filter.status = status;
+    }
+    const jobs = await Job.find(filter);
+    jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json(jobs.slice(0, 50).map(toJobView));
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Status, progress and result URL of a background job
+ *     tags: [Jobs]
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job || !canSeeJob(req.user, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(toJobView(job));
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/retry:
+ *   post:
+ *     summary: Queue a failed job again
+ *     tags: [Jobs]
+ */
+router.post('/:id/retry', requireAuth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job || !canSeeJob(req.user, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const queued = await retry(job.id);
+    if (!queued) {
+      return res.status(409).json({ error: `Only failed jobs can be retried; this job is ${job.status}` });
+    }
+    res.status(202).json({ message: 'Job queued for retry', job: toJobView(queued) });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+module.exports = router;
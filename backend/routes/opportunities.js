@@ -0,0 +1,347 @@
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const Opportunity = require('../models/Opportunity');
+const Application = require('../models/Application');
+const Artist = require('../models/Artist');
+const Portfolio = require('../models/Portfolio');
+const { requireAuth, canManageArtist } = require('../middleware/auth');
+const { isLive } = require('../lib/publishing');
+const { publicUrl } = require('../lib/slugs');
+const {
+  TYPES,
+  STATUSES,
+  APPLICATION_FIELDS,
+  canManageOpportunity,
+  isAcceptingApplications,
+  normalizeOpportunity,
+  checkDates,
+  toOpportunityView,
+  parseFilters,
+  parsePagination,
+  matchesFilters,
+  compareOpportunities
+} = require('../lib/opportunities');
+const applications = require('../lib/applications');
+const { deleteNotifications } = require('../lib/alerts');
+
+const router = express.Router();
+
+// "dar-es-salaam" -> "Dar Es Salaam"; keys stored before they had to be hyphen-separated
+// words may have empty segments
+const locationLabel = key => key.split('-').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+
+// Opportunity for a route only its organizer or an admin may use; sends the 404 and
+// returns null otherwise
+async function findManagedOpportunity(req, res) {
+  const opportunity = await Opportunity.findById(req.params.id);
+  if (!opportunity || !canManageOpportunity(req.user, opportunity)) {
+    res.status(404).json({ error: 'Opportunity not found' });
+    return null;
+  }
+  return opportunity;
+}
+
+/**
+ * @swagger
+ * /api/opportunities:
+ *   get:
+ *     summary: Search the opportunities board. Filters ?type=, ?location=, ?status= (default all but closed; all for every one), ?q=, ?featured=true; ?page= and ?pageSize= (default 12)
+ *     tags: [Opportunities]
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { filters, errors: filterErrors } = parseFilters(req.query);
+    const { page, pageSize, errors: pageErrors } = parsePagination(req.query);
+    const errors = [...filterErrors, ...pageErrors];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const now = new Date();
+    const matching = (await Opportunity.find())
+      .filter(opportunity => matchesFilters(opportunity, filters, now))
+      .sort(compareOpportunities);
+
+    res.json({
+      opportunities: matching.slice((page - 1) * pageSize, page * pageSize).map(opportunity => toOpportunityView(opportunity, now)),
+      page,
+      pageSize,
+      pageCount: Math.max(1, Math.ceil(matching.length / pageSize)),
+      total: matching.length
+    });
+  } catch (error) {
+    console.error('Error fetching opportunities:', error);
+    res.status(500).json({ error: 'Failed to fetch opportunities' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opportunities/options:
+ *   get:
+ *     summary: Opportunity types and statuses, and the locations in use, for filter menus
+ *     tags: [Opportunities]
+ */
+router.get('/options', async (req, res) => {
+  try {
+    const keys = new Set((await Opportunity.find()).map(opportunity => opportunity.locationKey));
+    res.json({
+      types: TYPES,
+      statuses: STATUSES,
+      applicationFields: APPLICATION_FIELDS,
+      locations: [...keys].sort().map(key => ({ value: key, label: locationLabel(key) }))
+    });
+  } catch (error) {
+    console.error('Error fetching opportunity options:', error);
+    res.status(500).json({ error: 'Failed to fetch opportunity options' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opportunities/mine:
+ *   get:
+ *     summary: Opportunities you posted, including closed ones, newest first
+ *     tags: [Opportunities]
+ */
+router.get('/mine', requireAuth, async (req, res) => {
+  try {
+    const opportunities = await Opportunity.find({ ownerId: req.user.id });
+    opportunities.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json(opportunities.map(opportunity => toOpportunityView(opportunity)));
+  } catch (error) {
+    console.error('Error fetching opportunities:', error);
+    res.status(500).json({ error: 'Failed to fetch opportunities' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opportunities/{id}:
+ *   get:
+ *     summary: Get an opportunity
+ *     tags: [Opportunities]
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const opportunity = await Opportunity.findById(req.params.id);
+    if (!opportunity) {
+      return res.status(404).json({ error: 'Opportunity not found' });
+    }
+    res.json(toOpportunityView(opportunity));
+  } catch (error) {
+    console.error('Error fetching opportunity:', error);
+    res.status(500).json({ error: 'Failed to fetch opportunity' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opportunities:
+ *   post:
+ *     summary: Post an opportunity (title, type, organizer, description, location, locationKey, schedule, compensation, opensOn, deadline, tags, applyUrl, acceptsApplications, applicationFields; featured for admins)
+ *     tags: [Opportunities]
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { fields, errors } = normalizeOpportunity(req.body || {}, { isAdmin: req.user.role === 'admin' });
+    errors.push(...checkDates(fields));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const now = new Date().toISOString();
+    const opportunity = await Opportunity.create({
+      featured: false,
+      ...fields,
+      ownerId: req.user.id,
+      createdAt: now,
+      updatedAt: now
+    });
+    res.status(201).json({ message: 'Opportunity posted successfully', opportunity: toOpportunityView(opportunity) });
+  } catch (error) {
+    console.error('Error creating opportunity:', error);
+    res.status(500).json({ error: 'Failed to post opportunity' });
+  }
+});
+
+// PUT replaces every field, PATCH only the ones sent
+const updateOpportunity = ({ partial }) => async (req, res) => {
+  try {
+    const opportunity = await findManagedOpportunity(req, res);
+    if (!opportunity) return;
+
+    const { fields, errors } = normalizeOpportunity(req.body || {}, { partial, isAdmin: req.user.role === 'admin' });
+    errors.push(...checkDates({ ...opportunity, ...fields }));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const updated = await Opportunity.findByIdAndUpdate(opportunity.id, {
+      ...fields,
+      updatedAt: new Date().toISOString()
+    });
+    res.json({ message: 'Opportunity updated successfully', opportunity: toOpportunityView(updated) });
+  } catch (error) {
+    console.error('Error updating opportunity:', error);
+    res.status(500).json({ error: 'Failed to update opportunity' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/opportunities/{id}:
+ *   put:
+ *     summary: Replace an opportunity you posted
+ *     tags: [Opportunities]
+ *   patch:
+ *     summary: Change some fields of an opportunity you posted, e.g. { deadline } to extend or close it early
+ *     tags: [Opportunities]
+ */
+router.put('/:id', requireAuth, updateOpportunity({ partial: false }));
+router.patch('/:id', requireAuth, updateOpportunity({ partial: true }));
+
+/**
+ * @swagger
+ * /api/opportunities/{id}:
+ *   delete:
+ *     summary: Delete an opportunity you posted, with the applications sent to it
+ *     tags: [Opportunities]
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const opportunity = await findManagedOpportunity(req, res);
+    if (!opportunity) return;
+
+    await applications.deleteApplications({ opportunityId: opportunity.id });
+    await deleteNotifications({ opportunityId: opportunity.id });
+    await Opportunity.findByIdAndDelete(opportunity.id);
+    res.json({ message: 'Opportunity deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting opportunity:', error);
+    res.status(500).json({ error: 'Failed to delete opportunity' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opportunities/{id}/applications:
+ *   post:
+ *     summary: Apply as one of your artists (artistId, portfolioId, pdf - a filename from the portfolio's generatedFiles, default the latest PDF - answers to the opportunity's applicationFields, message)
+ *     tags: [Applications]
+ */
+router.post('/:id/applications', requireAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const opportunity = await Opportunity.findById(req.params.id);
+    if (!opportunity) {
+      return res.status(404).json({ error: 'Opportunity not found' });
+    }
+    if (!isAcceptingApplications(opportunity)) {
+      return res.status(409).json({ error: 'This opportunity is not taking applications' });
+    }
+
+    const artist = typeof body.artistId === 'string' && await Artist.findById(body.artistId);
+    if (!artist) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to apply as this artist' });
+    }
+    const portfolio = typeof body.portfolioId === 'string' && await Portfolio.findById(body.portfolioId);
+    if (!portfolio || portfolio.artistId !== artist.id) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { fields, errors } = applications.normalizeApplication(body, opportunity);
+    const pdf = applications.portfolioPdf(portfolio, body.pdf);
+    const source = pdf && path.join('generated/pdfs', pdf.filename);
+    if (!pdf || !await fs.pathExists(source)) {
+      errors.push(body.pdf === undefined
+        ? 'Generate a PDF of this portfolio before applying'
+        : 'pdf must be one of the portfolio\'s generated PDFs');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const previous = await Application.find({ opportunityId: opportunity.id, artistId: artist.id });
+    if (previous.some(applications.isActive)) {
+      return res.status(409).json({ error: 'This artist has already applied to this opportunity' });
+    }
+
+    // The attachment is copied first, so an application is never stored without it
+    const id = uuidv4();
+    const attachmentPath = applications.applicationPdfPath(id);
+    await fs.copy(source, attachmentPath);
+
+    const now = new Date().toISOString();
+    let application;
+    try {
+      application = await Application.create({
+        id,
+        opportunityId: opportunity.id,
+        artistId: artist.id,
+        portfolioId: portfolio.id,
+        applicantId: req.user.id,
+        artist: { name: artist.name, category: artist.category, email: artist.email, phone: artist.phone },
+        portfolioUrl: isLive(portfolio) ? publicUrl(portfolio.slug) : null,
+        attachment: { filename: pdf.filename, revision: pdf.revision, generatedAt: pdf.generatedAt },
+        ...fields,
+        status: 'submitted',
+        history: [{ status: 'submitted', by: 'applicant', at: now }],
+        createdAt: now,
+        updatedAt: now
+      });
+    } catch (error) {
+      await fs.remove(attachmentPath);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Application sent',
+      application: applications.toApplicationView(application, opportunity)
+    });
+  } catch (error) {
+    console.error('Error applying to opportunity:', error);
+    res.status(500).json({ error: 'Failed to send application' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/opportunities/{id}/applications:
+ *   get:
+ *     summary: Applicants to an opportunity you posted, oldest first, with counts by status; ?status= to filter
+ *     tags: [Applications]
+ */
+router.get('/:id/applications', requireAuth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !applications.STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [`status must be one of ${applications.STATUSES.join(', ')}`]
+      });
+    }
+
+    const opportunity = await findManagedOpportunity(req, res);
+    if (!opportunity) return;
+
+    const all = await Application.find({ opportunityId: opportunity.id });
+    const matching = all
+      .filter(application => !status || application.status === status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({
+      applications: matching.map(application => applications.toApplicationView(application)),
+      counts: applications.countByStatus(all)
+    });
+  } catch (error) {
+    console.error('Error fetching applications:', error);
+    res.status(500).json({ error: 'Failed to fetch applications' });
+  }
+});
+
+module.exports = router;
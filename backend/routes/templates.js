@@ -0,0 +1,62 @@
+const express = require('express');
+const { listTemplates, getTemplate, describeTemplate } = require('../lib/templates');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/templates:
+ *   get:
+ *     summary: List the portfolio templates with their preview thumbnails and customization options
+ *     tags: [Templates]
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json(listTemplates());
+  } catch (error) {
+    console.error('Error loading templates:', error);
+    res.status(500).json({ error: 'Failed to load templates' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   get:
+ *     summary: Get one portfolio template
+ *     tags: [Templates]
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const template = getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(describeTemplate(template));
+  } catch (error) {
+    console.error('Error loading template:', error);
+    res.status(500).json({ error: 'Failed to load template' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates/{id}/thumbnail.svg:
+ *   get:
+ *     summary: Preview thumbnail of a portfolio template
+ *     tags: [Templates]
+ */
+router.get('/:id/thumbnail.svg', (req, res) => {
+  try {
+    const template = getTemplate(req.params.id);
+    if (!template || !template.thumbnailPath) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+    res.type('image/svg+xml').sendFile(template.thumbnailPath);
+  } catch (error) {
+    console.error('Error loading template thumbnail:', error);
+    res.status(500).json({ error: 'Failed to load thumbnail' });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,107 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
+const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
-const pdf = require('html-pdf');
 const fs = require('fs-extra');
 const path = require('path');
+const config = require('./config');
+const store = require('./storage');
+const Artist = require('./models/Artist');
+const Portfolio = require('./models/Portfolio');
+const { authenticate, requireAuth, canManageArtist } = require('./middleware/auth');
+const { normalizeEntries, CATEGORY_LABELS, EXPERIENCE_LABELS } = require('./lib/artistProfile');
+const { buildTemplateData } = require('./lib/templateData');
+const { normalizeSections } = require('./lib/sections');
+const { normalizeGallery, validateMediaSelection, defaultProfilePhoto } = require('./lib/media');
+const { safeUrl } = require('./lib/html');
+const { normalizeCustomizations } = require('./lib/customizations');
+const { DEFAULT_TEMPLATE, renderPortfolio, hasTemplate, templateIds } = require('./lib/templates');
+const { createPortfolioPdf, writePortfolioPdf } = require('./lib/pdf');
+const { writeSiteBundle } = require('./lib/siteExport');
+const slugs = require('./lib/slugs');
+const revisions = require('./lib/revisions');
+const publishing = require('./lib/publishing');
+const analytics = require('./lib/analytics');
+const { EVENT_TYPES: BOOKING_EVENT_TYPES, deleteEnquiries } = require('./lib/enquiries');
+const contractSigning = require('./lib/contractSigning');
+const { deleteApplications } = require('./lib/applications');
+const alerts = require('./lib/alerts');
+const mail = require('./lib/mail');
+const contractAnalysis = require('./lib/contractAnalysis');
+const directory = require('./lib/directory');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const templateRoutes = require('./routes/templates');
+const jobRoutes = require('./routes/jobs');
+const analyticsRoutes = require('./routes/analytics');
+const enquiryRoutes = require('./routes/enquiries');
+const contractRoutes = require('./routes/contracts');
+const opportunityRoutes = require('./routes/opportunities');
+const applicationRoutes = require('./routes/applications');
+const alertRoutes = require('./routes/alerts');
+const jobs = require('./lib/jobs');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
+app.use(authenticate);
+
+// Rate limit credential endpoints
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 requests per windowMs for auth
+  message: {
+    error: 'Too many authentication attempts, please try again later.',
+    retryAfter: 15
+  }
+});
+
+// Previews render a full page per request; keep an editor's live updates well within this
+const previewLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: {
+    error: 'Too many preview requests, please slow down.',
+    retryAfter: 1
+  }
+});
+
+// Signing pages are public and every new viewer is written to the contract's audit trail
+const signingPageLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: 'Too many requests for this signing link, please try again later.'
+});
+
+// The contract checker is public and parses uploaded PDFs
+const analysisLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    error: 'Too many contract checks, please try again later.',
+    retryAfter: 15
+  }
+});
+
+app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/register', authLimiter);
+app.use('/api/admin/login', authLimiter);
+
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/enquiries', enquiryRoutes);
+app.use('/api/contracts', contractRoutes);
+app.use('/api/opportunities', opportunityRoutes);
+app.use('/api/applications', applicationRoutes);
+app.use('/api/alerts', alertRoutes);
 
 // Ensure directories exist
 const ensureDirectories = () => {
@@ -22,7 +111,8 @@ const ensureDirectories = () => {
     'uploads/pdfs',
     'generated/portfolios',
     'generated/pdfs',
-    'data'
+    'generated/contracts',
+    'generated/applications'
   ];
   
   dirs.forEach(dir => {
@@ -32,10 +122,6 @@ const ensureDirectories = () => {
 
 ensureDirectories();
 
-// In-memory storage (replace with database in production)
-let artists = [];
-let portfolios = [];
-
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -71,361 +157,351 @@ const upload = multer({
   }
 });
 
-// Utility function to generate portfolio HTML
-function generatePortfolioHTML(data, template, customizations = {}) {
-  const skillsList = Array.isArray(data.skills) ? data.skills : (data.skills || '').split(',').map(s => s.trim());
-  const year = new Date().getFullYear();
-  
-  const colors = customizations.colors || {
-    primary: '#B026FF',
-    accent: '#FFD23F',
-    background: '#0a0a12'
+// Routes
+
+// Parse a field that may arrive as a JSON string (multipart) or as a plain value (JSON body)
+function parseJsonField(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (typeof value === 'string') {
+    return JSON.parse(value);
+  }
+  return value;
+}
+
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Validate artist fields; with `partial` only the fields present are checked
+function validateArtistInput(body, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || body.name !== undefined) {
+    if (body.name !== undefined && typeof body.name !== 'string') {
+      errors.push('name must be a string');
+    } else if (!body.name || !body.name.trim()) {
+      errors.push('Name is required');
+    }
+  }
+  if (!partial || body.email !== undefined) {
+    if (!isValidEmail(body.email)) {
+      errors.push('A valid email is required');
+    }
+  }
+
+  ['title', 'phone', 'bio'].forEach(field => {
+    if (body[field] !== undefined && typeof body[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  });
+
+  // Empty means "not chosen" and gets the default (see artistFieldsFromBody)
+  [['category', CATEGORY_LABELS], ['experience', EXPERIENCE_LABELS]].forEach(([field, labels]) => {
+    const value = body[field];
+    if (value !== undefined && value !== '' && !(typeof value === 'string' && Object.hasOwn(labels, value))) {
+      errors.push(`${field} must be one of ${Object.keys(labels).join(', ')}`);
+    }
+  });
+
+  ['jobs', 'services', 'testimonials'].forEach(field => {
+    if (body[field] === undefined) return;
+    try {
+      normalizeEntries(field, body[field]);
+    } catch (error) {
+      errors.push(error instanceof SyntaxError ? `${field} must be valid JSON` : error.message);
+    }
+  });
+
+  ['genres', 'location', 'socialLinks'].forEach(field => {
+    if (body[field] === undefined) return;
+    try {
+      const value = parseJsonField(body[field], null);
+      if (field === 'genres' && value !== null && !Array.isArray(value)) {
+        errors.push('genres must be an array');
+      } else if (field === 'genres' && value !== null && value.some(genre => typeof genre !== 'string')) {
+        errors.push('genres must be a list of strings');
+      }
+      if (field !== 'genres' && value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+        errors.push(`${field} must be an object`);
+      } else if (field === 'location' && value) {
+        ['city', 'country'].forEach(part => {
+          if (value[part] !== undefined && value[part] !== null && typeof value[part] !== 'string') {
+            errors.push(`location.${part} must be a string`);
+          }
+        });
+      }
+      if (field === 'socialLinks' && value && typeof value === 'object') {
+        Object.keys(value).forEach(platform => {
+          if (value[platform] && !safeUrl(value[platform])) {
+            errors.push(`socialLinks.${platform} must be an http(s) URL`);
+          }
+        });
+      }
+    } catch (error) {
+      errors.push(`${field} must be valid JSON`);
+    }
+  });
+
+  return errors;
+}
+
+// Validate portfolio fields; with `partial` only the fields present are checked
+function validatePortfolioInput(body, { partial = false } = {}) {
+  const errors = [];
+
+  if (body.template !== undefined && !hasTemplate(body.template)) {
+    errors.push(`template must be one of ${templateIds().join(', ')}`);
+  }
+  if (body.title !== undefined && (typeof body.title !== 'string' || !body.title.trim())) {
+    errors.push('title must be a non-empty string');
+  }
+  if (body.customizations !== undefined) {
+    errors.push(...normalizeCustomizations(body.customizations).errors);
+  }
+  if (body.slug !== undefined) {
+    errors.push(...slugs.validateSlug(body.slug));
+  }
+  if (!partial && !body.artistId) {
+    errors.push('artistId is required');
+  }
+
+  return errors;
+}
+
+// Editable artist fields from a validated request body. With `partial` only the fields
+// present are returned; otherwise missing fields get their defaults.
+function artistFieldsFromBody(body, { partial = false } = {}) {
+  const parsers = {
+    name: value => value,
+    email: value => value,
+    title: value => value || '',
+    phone: value => value || '',
+    bio: value => value || '',
+    category: value => value || 'multi_disciplinary',
+    experience: value => value || 'beginner',
+    genres: value => parseJsonField(value, []),
+    location: value => parseJsonField(value, {}),
+    socialLinks: value => parseJsonField(value, {}),
+    jobs: value => normalizeEntries('jobs', value),
+    services: value => normalizeEntries('services', value),
+    testimonials: value => normalizeEntries('testimonials', value)
   };
 
-  let html = '';
-  
-  switch(template) {
-    case 'modern':
-      html = generateModernTemplate(data, skillsList, colors);
-      break;
-    case 'classic':
-      html = generateClassicTemplate(data, skillsList, colors);
-      break;
-    case 'artistic':
-      html = generateArtisticTemplate(data, skillsList, colors);
-      break;
-    default:
-      html = generateModernTemplate(data, skillsList, colors);
-  }
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${data.name} - ${data.title}</title>
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
-    <link href="https://fonts.googleapis.com/css2?family=Poppins:wght@400;600&family=Montserrat:wght@700&display=swap" rel="stylesheet">
-    <style>
-        :root {
-            --primary: ${colors.primary};
-            --accent: ${colors.accent};
-            --background: ${colors.background};
-            --light: #f5f5f7;
-            --text-gray: #a1a1a6;
-        }
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: 'Poppins', sans-serif;
-            background-color: var(--background);
-            color: var(--light);
-            line-height: 1.6;
-        }
-        .container { max-width: 1200px; margin: 0 auto; padding: 0 20px; }
-        header {
-            background: linear-gradient(135deg, var(--primary), var(--accent));
-            color: white;
-            padding: 4rem 0;
-            text-align: center;
-        }
-        .profile-img {
-            width: 180px;
-            height: 180px;
-            border-radius: 50%;
-            object-fit: cover;
-            border: 5px solid var(--accent);
-            margin-bottom: 2rem;
-        }
-        h1 { font-family: 'Montserrat', sans-serif; font-size: 2.5rem; margin-bottom: 1rem; }
-        h2 { color: var(--accent); margin: 2rem 0 1rem; }
-        section { padding: 2rem 0; }
-        .skills { display: flex; flex-wrap: wrap; gap: 10px; }
-        .skill {
-            background: var(--primary);
-            color: white;
-            padding: 0.5rem 1rem;
-            border-radius: 20px;
-            font-size: 0.9rem;
-        }
-        .social-links { display: flex; gap: 15px; margin-top: 1rem; }
-        .social-links a {
-            color: var(--accent);
-            font-size: 1.5rem;
-            text-decoration: none;
-            transition: color 0.3s;
-        }
-        .social-links a:hover {
-            color: var(--primary);
-        }
-        footer { text-align: center; padding: 2rem 0; color: var(--text-gray); }
-        .section-content { white-space: pre-line; }
-    </style>
-</head>
-<body>
-    ${html}
-</body>
-</html>`;
+  return Object.keys(parsers).reduce((fields, field) => {
+    if (!partial || body[field] !== undefined) {
+      fields[field] = parsers[field](body[field]);
+    }
+    return fields;
+  }, {});
 }
 
-function generateModernTemplate(data, skillsList, colors) {
-  return `
-    <header>
-        <div class="container">
-            <img src="https://images.unsplash.com/photo-1583864697784-a0efc8379f70?ixlib=rb-4.0.3&auto=format&fit=crop&w=600&q=80" alt="${data.name}" class="profile-img">
-            <h1>${data.name}</h1>
-            <h3>${data.title}</h3>
-            <p>${data.experience} • ${data.location || 'Creative Professional'}</p>
-        </div>
-    </header>
-
-    <main class="container">
-        <section>
-            <h2>About Me</h2>
-            <div class="section-content">${data.aboutMe}</div>
-        </section>
-
-        ${data.jobs ? `
-        <section>
-            <h2>Experience</h2>
-            <div class="section-content">${data.jobs}</div>
-        </section>
-        ` : ''}
-
-        <section>
-            <h2>Skills</h2>
-            <div class="skills">
-                ${skillsList.map(skill => `<span class="skill">${skill}</span>`).join('')}
-            </div>
-        </section>
-
-        ${data.services ? `
-        <section>
-            <h2>Services</h2>
-            <div class="section-content">${data.services}</div>
-        </section>
-        ` : ''}
-
-        ${data.testimonials ? `
-        <section>
-            <h2>Testimonials</h2>
-            <div class="section-content" style="font-style: italic;">${data.testimonials}</div>
-        </section>
-        ` : ''}
-
-        <section>
-            <h2>Connect With Me</h2>
-            <div class="social-links">
-                ${data.instagram ? `<a href="${data.instagram}" target="_blank"><i class="fab fa-instagram"></i></a>` : ''}
-                ${data.youtube ? `<a href="${data.youtube}" target="_blank"><i class="fab fa-youtube"></i></a>` : ''}
-                ${data.tiktok ? `<a href="${data.tiktok}" target="_blank"><i class="fab fa-tiktok"></i></a>` : ''}
-                ${data.facebook ? `<a href="${data.facebook}" target="_blank"><i class="fab fa-facebook"></i></a>` : ''}
-                ${data.twitter ? `<a href="${data.twitter}" target="_blank"><i class="fab fa-twitter"></i></a>` : ''}
-                ${data.website ? `<a href="${data.website}" target="_blank"><i class="fas fa-globe"></i></a>` : ''}
-            </div>
-            <div style="margin-top: 1rem;">
-                <p>Email: <a href="mailto:${data.email}" style="color: var(--accent);">${data.email}</a></p>
-                ${data.phone ? `<p>Phone: ${data.phone}</p>` : ''}
-            </div>
-        </section>
-    </main>
-
-    <footer>
-        <p>&copy; ${new Date().getFullYear()} ${data.name}. All rights reserved.</p>
-    </footer>`;
+function mapUploadedFiles(files) {
+  return files ? files.map(file => ({
+    filename: file.filename,
+    originalName: file.originalname,
+    path: file.path,
+    mimetype: file.mimetype
+  })) : [];
 }
 
-function generateClassicTemplate(data, skillsList, colors) {
-  return `
-    <div class="container">
-        <header style="background: none; color: inherit; padding: 2rem 0; text-align: left; border-bottom: 2px solid var(--primary);">
-            <div style="display: flex; align-items: center; gap: 2rem;">
-                <img src="https://images.unsplash.com/photo-1583864697784-a0efc8379f70?ixlib=rb-4.0.3&auto=format&fit=crop&w=600&q=80" 
-                     alt="${data.name}" 
-                     style="width: 120px; height: 120px; border-radius: 50%; object-fit: cover; border: 3px solid var(--primary);">
-                <div>
-                    <h1 style="margin-bottom: 0.5rem;">${data.name}</h1>
-                    <h3 style="color: var(--primary); margin-bottom: 0.5rem;">${data.title}</h3>
-                    <p>${data.location || ''}</p>
-                </div>
-            </div>
-        </header>
-
-        <main style="display: grid; grid-template-columns: 2fr 1fr; gap: 3rem; margin-top: 2rem;">
-            <div>
-                <section>
-                    <h2>About Me</h2>
-                    <div class="section-content">${data.aboutMe}</div>
-                </section>
-
-                ${data.jobs ? `
-                <section>
-                    <h2>Experience</h2>
-                    <div class="section-content">${data.jobs}</div>
-                </section>
-                ` : ''}
-
-                ${data.services ? `
-                <section>
-                    <h2>Services</h2>
-                    <div class="section-content">${data.services}</div>
-                </section>
-                ` : ''}
-            </div>
-
-            <div>
-                <section>
-                    <h2>Contact</h2>
-                    <p><strong>Email:</strong><br><a href="mailto:${data.email}" style="color: var(--accent);">${data.email}</a></p>
-                    ${data.phone ? `<p><strong>Phone:</strong><br>${data.phone}</p>` : ''}
-                    
-                    <div style="margin-top: 1rem;">
-                        <h3>Social Links</h3>
-                        <div class="social-links">
-                            ${data.instagram ? `<a href="${data.instagram}" target="_blank"><i class="fab fa-instagram"></i></a>` : ''}
-                            ${data.youtube ? `<a href="${data.youtube}" target="_blank"><i class="fab fa-youtube"></i></a>` : ''}
-                            ${data.tiktok ? `<a href="${data.tiktok}" target="_blank"><i class="fab fa-tiktok"></i></a>` : ''}
-                        </div>
-                    </div>
-                </section>
-
-                <section>
-                    <h2>Skills</h2>
-                    <div class="skills">
-                        ${skillsList.map(skill => `<span class="skill">${skill}</span>`).join('')}
-                    </div>
-                </section>
-
-                ${data.testimonials ? `
-                <section>
-                    <h2>Testimonials</h2>
-                    <div class="section-content" style="font-size: 0.9rem; font-style: italic;">${data.testimonials}</div>
-                </section>
-                ` : ''}
-            </div>
-        </main>
-    </div>
-
-    <footer>
-        <p>&copy; ${new Date().getFullYear()} ${data.name}. All rights reserved.</p>
-    </footer>`;
+// Remove files multer stored for a request that was rejected
+async function discardUploads(files) {
+  for (const file of files || []) {
+    await fs.remove(file.path);
+  }
 }
 
-function generateArtisticTemplate(data, skillsList, colors) {
-  return `
-    <header style="background: linear-gradient(135deg, ${colors.primary}, #540d6e, ${colors.accent}); background-size: 400% 400%; animation: gradient 15s ease infinite; min-height: 100vh; display: flex; align-items: center; justify-content: center; text-align: center;">
-        <style>
-            @keyframes gradient {
-                0% { background-position: 0% 50%; }
-                50% { background-position: 100% 50%; }
-                100% { background-position: 0% 50%; }
-            }
-        </style>
-        <div class="container">
-            <img src="https://images.unsplash.com/photo-1583864697784-a0efc8379f70?ixlib=rb-4.0.3&auto=format&fit=crop&w=600&q=80" 
-                 alt="${data.name}" 
-                 class="profile-img"
-                 style="border: 5px solid ${colors.accent}; box-shadow: 0 0 30px rgba(255, 210, 63, 0.5);">
-            <h1 style="font-size: 3.5rem; text-shadow: 2px 2px 4px rgba(0,0,0,0.5);">${data.name}</h1>
-            <h3 style="font-size: 1.5rem; margin-bottom: 1rem;">${data.title}</h3>
-            <p style="font-size: 1.1rem;">${data.experience} Artist • ${data.location || 'Creative Visionary'}</p>
-        </div>
-    </header>
-
-    <main class="container">
-        <section style="text-align: center; padding: 4rem 0;">
-            <h2 style="font-size: 2.5rem; margin-bottom: 2rem;">My Artistic Journey</h2>
-            <div class="section-content" style="font-size: 1.1rem; line-height: 1.8; max-width: 800px; margin: 0 auto;">
-                ${data.aboutMe}
-            </div>
-        </section>
-
-        ${data.jobs ? `
-        <section style="background: rgba(176, 38, 255, 0.1); padding: 3rem; border-radius: 20px; margin: 2rem 0;">
-            <h2 style="text-align: center; font-size: 2rem;">Performance History</h2>
-            <div class="section-content" style="font-size: 1.1rem;">${data.jobs}</div>
-        </section>
-        ` : ''}
-
-        <section style="text-align: center;">
-            <h2 style="font-size: 2rem;">Artistic Skills</h2>
-            <div class="skills" style="justify-content: center; margin-top: 2rem;">
-                ${skillsList.map(skill => `<span class="skill" style="background: linear-gradient(135deg, ${colors.primary}, ${colors.accent}); font-size: 1rem; padding: 0.75rem 1.5rem;">${skill}</span>`).join('')}
-            </div>
-        </section>
-
-        ${data.testimonials ? `
-        <section style="text-align: center; padding: 4rem 0;">
-            <h2 style="font-size: 2rem;">Voices of Appreciation</h2>
-            <div class="section-content" style="font-style: italic; font-size: 1.1rem; max-width: 800px; margin: 0 auto; background: rgba(255, 210, 63, 0.1); padding: 2rem; border-radius: 15px;">
-                ${data.testimonials}
-            </div>
-        </section>
-        ` : ''}
-
-        <section style="text-align: center; padding: 3rem 0;">
-            <h2 style="font-size: 2rem;">Let's Create Together</h2>
-            <div class="social-links" style="justify-content: center; margin: 2rem 0;">
-                ${data.instagram ? `<a href="${data.instagram}" target="_blank" style="font-size: 2rem; margin: 0 1rem;"><i class="fab fa-instagram"></i></a>` : ''}
-                ${data.youtube ? `<a href="${data.youtube}" target="_blank" style="font-size: 2rem; margin: 0 1rem;"><i class="fab fa-youtube"></i></a>` : ''}
-                ${data.tiktok ? `<a href="${data.tiktok}" target="_blank" style="font-size: 2rem; margin: 0 1rem;"><i class="fab fa-tiktok"></i></a>` : ''}
-            </div>
-            <div>
-                <p style="font-size: 1.1rem;">Email: <a href="mailto:${data.email}" style="color: var(--accent); font-weight: bold;">${data.email}</a></p>
-                ${data.phone ? `<p style="font-size: 1.1rem;">Phone: ${data.phone}</p>` : ''}
-            </div>
-        </section>
-    </main>
-
-    <footer style="background: rgba(10, 10, 18, 0.8); padding: 2rem 0;">
-        <p>&copy; ${new Date().getFullYear()} ${data.name}. All artistic rights reserved.</p>
-    </footer>`;
+// The portfolio with its published snapshot applied, or null if nothing is live (see lib/publishing.js)
+async function publishedContent(portfolio) {
+  if (!publishing.isLive(portfolio)) {
+    return null;
+  }
+  const revision = await revisions.getRevision(portfolio.id, portfolio.publishedRevision);
+  return revision ? revisions.applyRevision(portfolio, revision) : null;
 }
 
-// Routes
+// Render options for a hosted page: views and link clicks go to the analytics collector,
+// the footer links to the PDF download, which is counted when served, and the booking
+// form posts to the artist's enquiry inbox
+function hostedPageOptions(portfolio) {
+  return {
+    tracking: { endpoint: '/api/analytics/events', portfolioId: portfolio.id },
+    pdfDownloadUrl: `${slugs.publicUrl(portfolio.slug)}/portfolio.pdf`,
+    booking: { endpoint: '/api/enquiries', portfolioId: portfolio.id, eventTypes: BOOKING_EVENT_TYPES }
+  };
+}
+
+// Render a portfolio's published snapshot to generated/portfolios/<id>.html and return its URL.
+// Portfolios that aren't live have no hosted copy, so the file is removed and null returned.
+async function writePortfolioFile(portfolio, artist) {
+  const htmlFilePath = path.join('generated/portfolios', `${portfolio.id}.html`);
+  const published = await publishedContent(portfolio);
+  if (!published) {
+    await fs.remove(htmlFilePath);
+    return null;
+  }
+
+  const htmlContent = renderPortfolio(
+    buildTemplateData(artist, published),
+    published.template,
+    published.customizations,
+    hostedPageOptions(portfolio)
+  );
+  await fs.writeFile(htmlFilePath, htmlContent);
+
+  return `/portfolios/${portfolio.id}.html`;
+}
+
+// Artist as seen by the requester. The owner or an admin gets the full record; anyone else only
+// sees artists with a live portfolio, through the directory's allow-listed public profile (no
+// contact details, social links, uploads or owner) with their publicly listed portfolios.
+// Resolves to null when the artist is hidden from the requester. `portfolios` are the artist's
+// portfolios when the caller already has them.
+async function artistView(artist, user, portfolios = null) {
+  if (canManageArtist(user, artist)) {
+    return artist;
+  }
+  const own = portfolios || await Portfolio.find({ artistId: artist.id });
+  if (!own.some(publishing.isLive)) {
+    return null;
+  }
+  const listed = [];
+  for (const portfolio of own.filter(publishing.isListed)) {
+    const published = await publishedContent(portfolio);
+    if (published) {
+      listed.push(published);
+    }
+  }
+  return directory.toDirectoryArtist(artist, listed);
+}
+
+// Artist summary embedded in portfolio responses
+function portfolioArtistSummary(artist, user) {
+  return canManageArtist(user, artist)
+    ? { name: artist.name, email: artist.email }
+    : { name: artist.name };
+}
+
+// Remove a portfolio's generated HTML and PDF files
+async function removePortfolioFiles(portfolio) {
+  await fs.remove(path.join('generated/portfolios', `${portfolio.id}.html`));
+  await fs.remove(path.join('generated/pdfs', `${portfolio.id}.pdf`));
+  for (const file of portfolio.generatedFiles || []) {
+    if (file.format === 'pdf') {
+      await fs.remove(path.join('generated/pdfs', file.filename));
+    }
+  }
+}
+
+// Number of generated files kept in portfolio.generatedFiles; older PDFs are deleted
+const GENERATED_FILES_KEPT = 10;
+
+// Add a finished export to the portfolio's generatedFiles history
+async function recordGeneratedFile(portfolioId, file, fields = {}) {
+  const portfolio = await Portfolio.findById(portfolioId);
+  if (!portfolio) {
+    return;
+  }
+  const history = [file, ...(portfolio.generatedFiles || [])];
+  for (const dropped of history.slice(GENERATED_FILES_KEPT)) {
+    if (dropped.format === 'pdf') {
+      await fs.remove(path.join('generated/pdfs', dropped.filename));
+    }
+  }
+  await Portfolio.findByIdAndUpdate(portfolioId, {
+    ...fields,
+    generatedFiles: history.slice(0, GENERATED_FILES_KEPT)
+  });
+}
+
+// Portfolio and artist a generation job works on; gone records fail the job without retrying
+async function loadJobPortfolio(portfolioId) {
+  const portfolio = await Portfolio.findById(portfolioId);
+  const artist = portfolio && await Artist.findById(portfolio.artistId);
+  if (!portfolio || !artist) {
+    const error = new Error('Portfolio no longer exists');
+    error.retryable = false;
+    throw error;
+  }
+  return { portfolio, artist };
+}
+
+// Background generation jobs, queued by the generate-pdf and generate-web routes
+jobs.register('portfolio-pdf', async ({ portfolioId }, { jobId, progress }) => {
+  const { portfolio, artist } = await loadJobPortfolio(portfolioId);
+  await progress(10);
+
+  // Each export gets its own file so earlier downloads in the history keep working.
+  // PDF images are embedded from disk, but links to videos and documents must work outside the app.
+  const filename = `${portfolio.id}-${Date.now()}.pdf`;
+  await writePortfolioPdf(
+    path.join('generated/pdfs', filename),
+    buildTemplateData(artist, portfolio, { mediaBaseUrl: config.publicUrl }),
+    portfolio.template,
+    portfolio.customizations
+  );
+  await progress(90);
+
+  const file = {
+    format: 'pdf',
+    filename,
+    url: `/pdfs/${filename}`,
+    revision: portfolio.revision,
+    jobId,
+    generatedAt: new Date().toISOString()
+  };
+  await recordGeneratedFile(portfolio.id, file, { pdfUrl: file.url });
+  return { portfolioId: portfolio.id, format: 'pdf', filename, url: file.url };
+});
+
+jobs.register('portfolio-web', async ({ portfolioId }, { jobId, progress }) => {
+  const { portfolio, artist } = await loadJobPortfolio(portfolioId);
+  await progress(10);
+
+  const htmlUrl = await writePortfolioFile(portfolio, artist);
+  if (!htmlUrl) {
+    const error = new Error('Only published or unlisted portfolios have a hosted site');
+    error.retryable = false;
+    throw error;
+  }
+  await progress(90);
+
+  const file = {
+    format: 'html',
+    filename: `${portfolio.id}.html`,
+    url: htmlUrl,
+    revision: portfolio.publishedRevision || portfolio.revision,
+    jobId,
+    generatedAt: new Date().toISOString()
+  };
+  await recordGeneratedFile(portfolio.id, file, { htmlUrl });
+  return { portfolioId: portfolio.id, format: 'html', filename: file.filename, url: htmlUrl, publicUrl: portfolio.publicUrl };
+});
 
 // Create artist profile
-app.post('/api/artists', upload.array('files', 10), async (req, res) => {
+app.post('/api/artists', requireAuth, upload.array('files', 10), async (req, res) => {
   try {
-    const {
-      name,
-      email,
-      bio,
-      category,
-      experience,
-      genres,
-      location,
-      socialLinks
-    } = req.body;
-
-    // Validate required fields
-    if (!name || !email) {
-      return res.status(400).json({ error: 'Name and email are required' });
+    const errors = validateArtistInput(req.body);
+    if (errors.length > 0) {
+      await discardUploads(req.files);
+      return res.status(400).json({ error: 'Validation failed', details: errors });
     }
 
-    const artist = {
-      id: uuidv4(),
-      name,
-      email,
-      bio: bio || '',
-      category: category || 'multi_disciplinary',
-      experience: experience || 'beginner',
-      genres: genres ? JSON.parse(genres) : [],
-      location: location ? JSON.parse(location) : {},
-      socialLinks: socialLinks ? JSON.parse(socialLinks) : {},
-      files: req.files ? req.files.map(file => ({
-        filename: file.filename,
-        originalName: file.originalname,
-        path: file.path,
-        mimetype: file.mimetype
-      })) : [],
+    // Start with the first image as profile photo and everything else in the gallery
+    const files = mapUploadedFiles(req.files);
+    const profilePhoto = defaultProfilePhoto(files);
+
+    const artist = await Artist.create({
+      ownerId: req.user.id,
+      ...artistFieldsFromBody(req.body),
+      files,
+      profilePhoto,
+      gallery: normalizeGallery(files.map(file => file.filename).filter(filename => filename !== profilePhoto)),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
-
-    artists.push(artist);
-    
-    // Save to file (in production, use database)
-    await fs.writeJson('data/artists.json', artists);
+    });
 
     res.status(201).json({
       message: 'Artist profile created successfully',
@@ -437,22 +513,219 @@ app.post('/api/artists', upload.array('files', 10), async (req, res) => {
   }
 });
 
-// Get all artists
-app.get('/api/artists', (req, res) => {
-  res.json(artists);
+// Get all artists: every field of your own, the public profile of others with a live portfolio
+app.get('/api/artists', async (req, res) => {
+  try {
+    const [allArtists, allPortfolios] = await Promise.all([Artist.find(), Portfolio.find()]);
+    const views = [];
+    for (const artist of allArtists) {
+      const view = await artistView(artist, req.user, allPortfolios.filter(portfolio => portfolio.artistId === artist.id));
+      if (view) {
+        views.push(view);
+      }
+    }
+    res.json(views);
+  } catch (error) {
+    console.error('Error fetching artists:', error);
+    res.status(500).json({ error: 'Failed to fetch artists' });
+  }
+});
+
+// Public artist directory: artists with a listed portfolio, searched, faceted and sorted
+// as described in lib/directory.js
+app.get('/api/artists/directory', async (req, res) => {
+  try {
+    const { params, errors } = directory.parseDirectoryQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const [allArtists, allPortfolios, views] = await Promise.all([
+      Artist.find(),
+      Portfolio.find(),
+      analytics.recentViews({ days: directory.POPULARITY_DAYS })
+    ]);
+    const listedByArtist = new Map();
+    for (const portfolio of allPortfolios.filter(publishing.isListed)) {
+      const published = await publishedContent(portfolio);
+      if (!published) continue;
+      listedByArtist.set(portfolio.artistId, [...(listedByArtist.get(portfolio.artistId) || []), published]);
+    }
+    const entries = allArtists
+      .filter(artist => listedByArtist.has(artist.id))
+      .map(artist => directory.buildEntry(artist, listedByArtist.get(artist.id), views));
+
+    res.json(directory.searchDirectory(entries, params));
+  } catch (error) {
+    console.error('Error searching artist directory:', error);
+    res.status(500).json({ error: 'Failed to search artist directory' });
+  }
 });
 
 // Get artist by ID
-app.get('/api/artists/:id', (req, res) => {
-  const artist = artists.find(a => a.id === req.params.id);
-  if (!artist) {
-    return res.status(404).json({ error: 'Artist not found' });
+app.get('/api/artists/:id', async (req, res) => {
+  try {
+    const artist = await Artist.findById(req.params.id);
+    if (!artist) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    const view = await artistView(artist, req.user);
+    if (!view) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    res.json(view);
+  } catch (error) {
+    console.error('Error fetching artist:', error);
+    res.status(500).json({ error: 'Failed to fetch artist' });
+  }
+});
+
+// Update artist profile (PUT replaces editable fields, PATCH merges them)
+const updateArtist = ({ partial }) => async (req, res) => {
+  try {
+    const existing = await Artist.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    if (!canManageArtist(req.user, existing)) {
+      await discardUploads(req.files);
+      return res.status(403).json({ error: 'You do not have permission to modify this artist' });
+    }
+
+    // New uploads are appended to the existing files and can be picked in the same request
+    const files = [...(existing.files || []), ...mapUploadedFiles(req.files)];
+
+    const errors = validateArtistInput(req.body, { partial });
+    let gallery;
+    try {
+      gallery = parseJsonField(req.body.gallery, undefined);
+    } catch (error) {
+      errors.push('gallery must be valid JSON');
+    }
+    errors.push(...validateMediaSelection(files, { profilePhoto: req.body.profilePhoto, gallery }));
+
+    if (errors.length > 0) {
+      // Don't keep uploads from a rejected request
+      await discardUploads(req.files);
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const changes = artistFieldsFromBody(req.body, { partial });
+
+    // The media selection only changes when it is sent, for PUT as well as PATCH
+    changes.files = files;
+    if (req.body.profilePhoto !== undefined) {
+      changes.profilePhoto = req.body.profilePhoto || '';
+    } else if (!existing.profilePhoto) {
+      changes.profilePhoto = defaultProfilePhoto(files);
+    }
+    if (gallery !== undefined) {
+      changes.gallery = normalizeGallery(gallery);
+    }
+    changes.updatedAt = new Date().toISOString();
+
+    const artist = await Artist.findByIdAndUpdate(existing.id, changes);
+
+    // Artist details are rendered into every portfolio, so regenerate them all
+    const artistPortfolios = await Portfolio.find({ artistId: artist.id });
+    for (const portfolio of artistPortfolios) {
+      await writePortfolioFile(portfolio, artist);
+    }
+
+    res.json({
+      message: 'Artist profile updated successfully',
+      artist
+    });
+  } catch (error) {
+    console.error('Error updating artist:', error);
+    res.status(500).json({ error: 'Failed to update artist profile' });
+  }
+};
+
+app.put('/api/artists/:id', requireAuth, upload.array('files', 10), updateArtist({ partial: false }));
+app.patch('/api/artists/:id', requireAuth, upload.array('files', 10), updateArtist({ partial: true }));
+
+// Delete one of an artist's uploads and drop it from their media selection
+app.delete('/api/artists/:id/files/:filename', requireAuth, async (req, res) => {
+  try {
+    const existing = await Artist.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    if (!canManageArtist(req.user, existing)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this artist' });
+    }
+
+    const file = (existing.files || []).find(f => f.filename === req.params.filename);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await fs.remove(file.path);
+
+    const files = existing.files.filter(f => f.filename !== file.filename);
+    const artist = await Artist.findByIdAndUpdate(existing.id, {
+      files,
+      profilePhoto: existing.profilePhoto === file.filename ? defaultProfilePhoto(files) : existing.profilePhoto,
+      gallery: (existing.gallery || []).filter(item => item.filename !== file.filename),
+      updatedAt: new Date().toISOString()
+    });
+
+    const artistPortfolios = await Portfolio.find({ artistId: artist.id });
+    for (const portfolio of artistPortfolios) {
+      await writePortfolioFile(portfolio, artist);
+    }
+
+    res.json({
+      message: 'File deleted successfully',
+      artist
+    });
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+// Delete artist profile along with their portfolios and uploaded files
+app.delete('/api/artists/:id', requireAuth, async (req, res) => {
+  try {
+    const artist = await Artist.findById(req.params.id);
+    if (!artist) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this artist' });
+    }
+
+    const artistPortfolios = await Portfolio.find({ artistId: artist.id });
+    for (const portfolio of artistPortfolios) {
+      await removePortfolioFiles(portfolio);
+      await slugs.releaseSlugs(portfolio.id);
+      await revisions.deleteRevisions(portfolio.id);
+      await analytics.deleteAnalytics(analytics.portfolioSubject(portfolio.id));
+    }
+    for (const file of artist.files || []) {
+      await fs.remove(file.path);
+    }
+    await deleteEnquiries(artist.id);
+    await contractSigning.deleteContracts(artist.id);
+    await deleteApplications({ artistId: artist.id });
+
+    await Portfolio.deleteMany({ artistId: artist.id });
+    await Artist.findByIdAndDelete(artist.id);
+
+    res.json({
+      message: 'Artist profile deleted successfully',
+      deletedPortfolios: artistPortfolios.map(p => p.id)
+    });
+  } catch (error) {
+    console.error('Error deleting artist:', error);
+    res.status(500).json({ error: 'Failed to delete artist profile' });
   }
-  res.json(artist);
 });
 
 // Create portfolio
-app.post('/api/portfolios', async (req, res) => {
+app.post('/api/portfolios', requireAuth, async (req, res) => {
   try {
     const {
       artistId,
@@ -460,166 +733,1118 @@ app.post('/api/portfolios', async (req, res) => {
       title,
       description,
       sections,
-      customizations
+      customizations,
+      slug
     } = req.body;
 
-    const artist = artists.find(a => a.id === artistId);
+    const errors = validatePortfolioInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const artist = await Artist.findById(artistId);
     if (!artist) {
       return res.status(404).json({ error: 'Artist not found' });
     }
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this artist' });
+    }
+
+    const normalized = normalizeSections(sections, { files: artist.files });
+    if (normalized.errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: normalized.errors });
+    }
+
+    if (slug !== undefined) {
+      const [taken] = await slugs.checkSlug(slug);
+      if (taken) {
+        return res.status(409).json({ error: taken });
+      }
+    }
 
     const portfolio = {
       id: uuidv4(),
       artistId,
-      template: template || 'modern',
+      template: template || DEFAULT_TEMPLATE,
       title: title || `${artist.name} Portfolio`,
       description: description || artist.bio,
-      sections: sections || [],
-      customizations: customizations || {},
+      sections: normalized.sections,
+      customizations: normalizeCustomizations(customizations).customizations,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    portfolios.push(portfolio);
-    
-    // Save to file
-    await fs.writeJson('data/portfolios.json', portfolios);
-
-    // Generate HTML file
-    const htmlContent = generatePortfolioHTML(
-      {
-        ...artist,
-        ...portfolio,
-        skills: artist.genres
-      },
-      portfolio.template,
-      portfolio.customizations
-    );
+    // Without a slug of their own, portfolios get one from the artist name
+    portfolio.slug = slug || await slugs.uniqueSlug(artist.name);
+    portfolio.publicUrl = slugs.publicUrl(portfolio.slug);
 
-    const htmlFilePath = path.join('generated/portfolios', `${portfolio.id}.html`);
-    await fs.writeFile(htmlFilePath, htmlContent);
+    // Reserved first so no one else can take it, and released again if the create fails
+    const slugChange = await slugs.assignSlug(portfolio.id, portfolio.slug);
+    let created;
+    try {
+      const revision = await revisions.recordRevision(portfolio, { authorId: req.user.id, reason: 'create' });
+      portfolio.revision = revision.number;
+      portfolio.status = 'draft';
+      portfolio.publishedRevision = null;
 
-    portfolio.htmlUrl = `/portfolios/${portfolio.id}.html`;
+      // Generate HTML file
+      portfolio.htmlUrl = await writePortfolioFile(portfolio, artist);
+
+      created = await Portfolio.create(portfolio);
+    } catch (error) {
+      await slugs.revertSlug(slugChange);
+      throw error;
+    }
 
     res.status(201).json({
       message: 'Portfolio created successfully',
-      portfolio
+      portfolio: created
     });
   } catch (error) {
+    if (error.code === 'SLUG_TAKEN') {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Error creating portfolio:', error);
     res.status(500).json({ error: 'Failed to create portfolio' });
   }
 });
 
-// Generate PDF
-app.post('/api/portfolios/:id/generate-pdf', async (req, res) => {
+// Update portfolio (PUT replaces editable fields, PATCH merges them)
+const updatePortfolio = ({ partial }) => async (req, res) => {
   try {
-    const portfolio = portfolios.find(p => p.id === req.params.id);
-    if (!portfolio) {
+    const existing = await Portfolio.findById(req.params.id);
+    if (!existing) {
       return res.status(404).json({ error: 'Portfolio not found' });
     }
 
-    const artist = artists.find(a => a.id === portfolio.artistId);
+    const artist = await Artist.findById(existing.artistId);
     if (!artist) {
       return res.status(404).json({ error: 'Artist not found' });
     }
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this portfolio' });
+    }
 
-    const htmlContent = generatePortfolioHTML(
-      {
-        ...artist,
-        ...portfolio,
-        skills: artist.genres
-      },
-      portfolio.template,
-      portfolio.customizations
-    );
+    const errors = validatePortfolioInput(req.body, { partial: true });
+    const normalized = normalizeSections(req.body.sections, { files: artist.files });
+    errors.push(...normalized.errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
 
-    const pdfOptions = {
-      format: 'A4',
-      border: {
-        top: '0.5in',
-        right: '0.5in',
-        bottom: '0.5in',
-        left: '0.5in'
-      }
-    };
+    const {
+      template,
+      title,
+      description,
+      sections,
+      customizations,
+      slug
+    } = req.body;
 
-    const pdfFilePath = path.join('generated/pdfs', `${portfolio.id}.pdf`);
+    if (slug !== undefined) {
+      const [taken] = await slugs.checkSlug(slug, existing.id);
+      if (taken) {
+        return res.status(409).json({ error: taken });
+      }
+    }
 
-    await new Promise((resolve, reject) => {
-      pdf.create(htmlContent, pdfOptions).toFile(pdfFilePath, (err, res) => {
-        if (err) reject(err);
-        else resolve(res);
+    const portfolio = { ...existing };
+    if (partial) {
+      if (template !== undefined) portfolio.template = template;
+      if (title !== undefined) portfolio.title = title;
+      if (description !== undefined) portfolio.description = description;
+      if (sections !== undefined) portfolio.sections = normalized.sections;
+      if (customizations !== undefined) {
+        // Re-normalizing the merged object also drops stored keys that are no longer supported
+        portfolio.customizations = normalizeCustomizations({
+          ...portfolio.customizations,
+          ...normalizeCustomizations(customizations).customizations
+        }).customizations;
+      }
+    } else {
+      Object.assign(portfolio, {
+        template: template || DEFAULT_TEMPLATE,
+        title: title || `${artist.name} Portfolio`,
+        description: description || artist.bio,
+        sections: normalized.sections,
+        customizations: normalizeCustomizations(customizations).customizations
       });
-    });
+    }
+
+    // The slug is an address rather than content, so PUT without one keeps the current slug.
+    // A new slug is reserved first and put back if saving the portfolio fails.
+    let slugChange = null;
+    if (slug !== undefined && slug !== existing.slug) {
+      slugChange = await slugs.assignSlug(portfolio.id, slug);
+      portfolio.slug = slug;
+      portfolio.publicUrl = slugs.publicUrl(slug);
+    }
+
+    let updated;
+    try {
+      const revision = await revisions.recordRevision(portfolio, { authorId: req.user.id, reason: 'update' });
+      if (revision) {
+        portfolio.revision = revision.number;
+      }
 
-    portfolio.pdfUrl = `/pdfs/${portfolio.id}.pdf`;
+      portfolio.updatedAt = new Date().toISOString();
+      portfolio.htmlUrl = await writePortfolioFile(portfolio, artist);
+      updated = await Portfolio.findByIdAndUpdate(portfolio.id, portfolio);
+    } catch (error) {
+      if (slugChange) {
+        await slugs.revertSlug(slugChange);
+      }
+      throw error;
+    }
 
     res.json({
-      message: 'PDF generated successfully',
-      downloadUrl: portfolio.pdfUrl
+      message: 'Portfolio updated successfully',
+      portfolio: updated
     });
   } catch (error) {
-    console.error('Error generating PDF:', error);
-    res.status(500).json({ error: 'Failed to generate PDF' });
+    if (error.code === 'SLUG_TAKEN') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error updating portfolio:', error);
+    res.status(500).json({ error: 'Failed to update portfolio' });
   }
-});
-
-// Serve generated files
-app.use('/portfolios', express.static('generated/portfolios'));
-app.use('/pdfs', express.static('generated/pdfs'));
-app.use('/uploads', express.static('uploads'));
+};
 
-// Get all portfolios
-app.get('/api/portfolios', (req, res) => {
-  const portfoliosWithArtists = portfolios.map(portfolio => {
-    const artist = artists.find(a => a.id === portfolio.artistId);
-    return {
-      ...portfolio,
-      artist: artist ? { name: artist.name, email: artist.email } : null
-    };
-  });
-  res.json(portfoliosWithArtists);
-});
+app.put('/api/portfolios/:id', requireAuth, updatePortfolio({ partial: false }));
+app.patch('/api/portfolios/:id', requireAuth, updatePortfolio({ partial: true }));
 
-// Get portfolio by ID
-app.get('/api/portfolios/:id', (req, res) => {
-  const portfolio = portfolios.find(p => p.id === req.params.id);
-  if (!portfolio) {
-    return res.status(404).json({ error: 'Portfolio not found' });
-  }
+// Update a single section: toggle visibility, rename, move or replace its content
+app.patch('/api/portfolios/:id/sections/:sectionId', requireAuth, async (req, res) => {
+  try {
+    const existing = await Portfolio.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
 
-  const artist = artists.find(a => a.id === portfolio.artistId);
-  res.json({
-    ...portfolio,
-    artist: artist ? { name: artist.name, email: artist.email } : null
-  });
-});
+    const artist = await Artist.findById(existing.artistId);
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this portfolio' });
+    }
 
-// Load initial data
-async function loadInitialData() {
-  try {
-    if (await fs.pathExists('data/artists.json')) {
-      artists = await fs.readJson('data/artists.json');
+    const sections = [...(existing.sections || [])];
+    const index = sections.findIndex(section => section.id === req.params.sectionId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Section not found' });
     }
-    if (await fs.pathExists('data/portfolios.json')) {
-      portfolios = await fs.readJson('data/portfolios.json');
+
+    const { type, id, order, ...changes } = req.body;
+    if (order !== undefined && (!Number.isInteger(order) || order < 0)) {
+      return res.status(400).json({ error: 'Validation failed', details: ['order must be a non-negative integer'] });
     }
-  } catch (error) {
-    console.log('No existing data found, starting fresh...');
-  }
-}
 
-// Start server
-app.listen(PORT, async () => {
-  await loadInitialData();
-  console.log(`Server running on http://localhost:${PORT}`);
+    // Move the section to its new position, then let normalization renumber the rest
+    const [section] = sections.splice(index, 1);
+    sections.splice(order === undefined ? index : Math.min(order, sections.length), 0, { ...section, ...changes });
+
+    const normalized = normalizeSections(sections.map((s, position) => ({ ...s, order: position })), { files: artist.files });
+    if (normalized.errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: normalized.errors });
+    }
+
+    const portfolio = {
+      ...existing,
+      sections: normalized.sections,
+      updatedAt: new Date().toISOString()
+    };
+    const revision = await revisions.recordRevision(portfolio, { authorId: req.user.id, reason: 'section' });
+    if (revision) {
+      portfolio.revision = revision.number;
+    }
+    portfolio.htmlUrl = await writePortfolioFile(portfolio, artist);
+
+    res.json({
+      message: 'Section updated successfully',
+      portfolio: await Portfolio.findByIdAndUpdate(portfolio.id, portfolio)
+    });
+  } catch (error) {
+    console.error('Error updating section:', error);
+    res.status(500).json({ error: 'Failed to update section' });
+  }
+});
+
+// Delete portfolio and its generated files
+app.delete('/api/portfolios/:id', requireAuth, async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findById(req.params.id);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const artist = await Artist.findById(portfolio.artistId);
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this portfolio' });
+    }
+
+    await removePortfolioFiles(portfolio);
+    await slugs.releaseSlugs(portfolio.id);
+    await revisions.deleteRevisions(portfolio.id);
+    await analytics.deleteAnalytics(analytics.portfolioSubject(portfolio.id));
+    await Portfolio.findByIdAndDelete(portfolio.id);
+
+    res.json({ message: 'Portfolio deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting portfolio:', error);
+    res.status(500).json({ error: 'Failed to delete portfolio' });
+  }
+});
+
+// Queue a PDF export or site regeneration for a portfolio; poll the returned job for the result
+const queueGeneration = ({ type, label }) => async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findById(req.params.id);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const artist = await Artist.findById(portfolio.artistId);
+    if (!artist) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to modify this portfolio' });
+    }
+
+    const job = await jobs.enqueue(type, { portfolioId: portfolio.id }, { ownerId: req.user.id });
+
+    res.status(202).json({
+      message: `${label} queued`,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error(`Error queueing ${label}:`, error);
+    res.status(500).json({ error: `Failed to queue ${label}` });
+  }
+};
+
+app.post('/api/portfolios/:id/generate-pdf', requireAuth, queueGeneration({ type: 'portfolio-pdf', label: 'PDF generation' }));
+app.post('/api/portfolios/:id/generate-web', requireAuth, queueGeneration({ type: 'portfolio-web', label: 'Site generation' }));
+
+// Download the portfolio as a self-contained static site (see lib/siteExport.js).
+// `siteUrl` is where the owner will host index.html; the sitemap and robots.txt point there.
+// It defaults to the portfolio's hosted page under config.publicUrl.
+app.get('/api/portfolios/:id/export.zip', requireAuth, async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findById(req.params.id);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const artist = await Artist.findById(portfolio.artistId);
+    if (!artist) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to export this portfolio' });
+    }
+
+    const siteUrl = req.query.siteUrl === undefined
+      ? `${config.publicUrl}${portfolio.publicUrl}`
+      : safeUrl(req.query.siteUrl);
+    if (!/^https?:\/\//.test(siteUrl)) {
+      return res.status(400).json({ error: 'Validation failed', details: ['siteUrl must be an absolute http(s) URL'] });
+    }
+
+    res.attachment(`${portfolio.slug}-portfolio.zip`);
+    await writeSiteBundle(res, artist, portfolio, { siteUrl });
+  } catch (error) {
+    console.error('Error exporting portfolio:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to export portfolio' });
+  }
+});
+
+// Preview unsaved changes with the production templates; nothing is stored or written.
+// `artistId` or `portfolioId` overlays the draft on a stored record (owner or admin only),
+// so the preview can show that artist's uploads.
+app.post('/api/preview', previewLimiter, async (req, res) => {
+  try {
+    const { artistId, portfolioId } = req.body;
+    const artistDraft = req.body.artist || {};
+    const portfolioDraft = req.body.portfolio || {};
+
+    if (typeof artistDraft !== 'object' || Array.isArray(artistDraft) ||
+        typeof portfolioDraft !== 'object' || Array.isArray(portfolioDraft)) {
+      return res.status(400).json({ error: 'Validation failed', details: ['artist and portfolio must be objects'] });
+    }
+
+    let storedPortfolio = {};
+    if (portfolioId) {
+      storedPortfolio = await Portfolio.findById(portfolioId);
+      if (!storedPortfolio) {
+        return res.status(404).json({ error: 'Portfolio not found' });
+      }
+    }
+
+    let storedArtist = {};
+    if (storedPortfolio.artistId || artistId) {
+      storedArtist = await Artist.findById(storedPortfolio.artistId || artistId);
+      if (!storedArtist) {
+        return res.status(404).json({ error: 'Artist not found' });
+      }
+      if (!canManageArtist(req.user, storedArtist)) {
+        return res.status(403).json({ error: 'You do not have permission to preview this artist' });
+      }
+    }
+
+    const files = storedArtist.files || [];
+    const errors = [
+      ...validateArtistInput(artistDraft, { partial: true }),
+      ...validatePortfolioInput(portfolioDraft, { partial: true })
+    ];
+    let gallery;
+    try {
+      gallery = parseJsonField(artistDraft.gallery, undefined);
+    } catch (error) {
+      errors.push('gallery must be valid JSON');
+    }
+    errors.push(...validateMediaSelection(files, { profilePhoto: artistDraft.profilePhoto, gallery }));
+
+    const normalized = portfolioDraft.sections === undefined
+      ? { sections: storedPortfolio.sections || [], errors: [] }
+      : normalizeSections(portfolioDraft.sections, { files });
+    errors.push(...normalized.errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const artist = { ...storedArtist, ...artistFieldsFromBody(artistDraft, { partial: true }) };
+    if (artistDraft.profilePhoto !== undefined) {
+      artist.profilePhoto = artistDraft.profilePhoto || '';
+    }
+    if (gallery !== undefined) {
+      artist.gallery = normalizeGallery(gallery);
+    }
+
+    const portfolio = { ...storedPortfolio, sections: normalized.sections };
+    ['template', 'title', 'description'].forEach(field => {
+      if (portfolioDraft[field] !== undefined) {
+        portfolio[field] = portfolioDraft[field];
+      }
+    });
+    if (portfolioDraft.customizations !== undefined) {
+      portfolio.customizations = normalizeCustomizations(portfolioDraft.customizations).customizations;
+    }
+
+    const html = renderPortfolio(
+      buildTemplateData(artist, { ...portfolio, description: portfolio.description || artist.bio }),
+      portfolio.template,
+      portfolio.customizations
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Error rendering preview:', error);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+});
+
+// Serve generated files
+app.use('/portfolios', express.static('generated/portfolios'));
+app.use('/pdfs', express.static('generated/pdfs'));
+app.use('/uploads', express.static('uploads'));
+
+// Portfolio as seen by the requester: the owner or an admin get the draft as stored, anyone
+// else the published snapshot of a live portfolio. Null if the requester may not see it.
+async function portfolioView(portfolio, artist, user) {
+  if (canManageArtist(user, artist)) {
+    return { ...portfolio, artist: portfolioArtistSummary(artist, user) };
+  }
+  const published = artist && await publishedContent(portfolio);
+  return published
+    ? { ...publishing.toPublicPortfolio(published), artist: portfolioArtistSummary(artist, user) }
+    : null;
+}
+
+// Get all portfolios: the directory of published portfolios, plus the requester's own in any state
+app.get('/api/portfolios', async (req, res) => {
+  try {
+    const [allPortfolios, allArtists] = await Promise.all([Portfolio.find(), Artist.find()]);
+    const portfoliosWithArtists = [];
+    for (const portfolio of allPortfolios) {
+      const artist = allArtists.find(a => a.id === portfolio.artistId);
+      if (canManageArtist(req.user, artist) || publishing.isListed(portfolio)) {
+        const view = await portfolioView(portfolio, artist, req.user);
+        if (view) portfoliosWithArtists.push(view);
+      }
+    }
+    res.json(portfoliosWithArtists);
+  } catch (error) {
+    console.error('Error fetching portfolios:', error);
+    res.status(500).json({ error: 'Failed to fetch portfolios' });
+  }
+});
+
+// Portfolio and artist for a route only the owner or an admin may use; sends the
+// 404/403 response and returns null otherwise
+async function findManagedPortfolio(req, res) {
+  const portfolio = await Portfolio.findById(req.params.id);
+  if (!portfolio) {
+    res.status(404).json({ error: 'Portfolio not found' });
+    return null;
+  }
+  const artist = await Artist.findById(portfolio.artistId);
+  if (!canManageArtist(req.user, artist)) {
+    res.status(403).json({ error: 'You do not have permission to modify this portfolio' });
+    return null;
+  }
+  return { portfolio, artist };
+}
+
+// Revision number from a route or query parameter, or null if it isn't one
+function parseRevisionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// Daily views, unique visitors, link clicks and PDF downloads of a portfolio's public page,
+// plus its top referrers, for the last ?days= days (default 30, at most 365)
+app.get('/api/portfolios/:id/analytics', requireAuth, async (req, res) => {
+  try {
+    const days = analytics.parseDays(req.query.days);
+    if (!days) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [`days must be an integer from 1 to ${analytics.MAX_DAYS}`]
+      });
+    }
+    const managed = await findManagedPortfolio(req, res);
+    if (!managed) return;
+
+    const summary = await analytics.summarize(analytics.portfolioSubject(managed.portfolio.id), { days });
+    res.json({ portfolioId: managed.portfolio.id, ...summary });
+  } catch (error) {
+    console.error('Error fetching portfolio analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+// List a portfolio's revisions, newest first
+app.get('/api/portfolios/:id/revisions', requireAuth, async (req, res) => {
+  try {
+    const found = await findManagedPortfolio(req, res);
+    if (!found) return;
+
+    res.json({
+      revision: found.portfolio.revision,
+      publishedRevision: found.portfolio.publishedRevision || null,
+      revisions: (await revisions.listRevisions(found.portfolio.id)).map(revisions.toRevisionSummary)
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// Full content of one revision
+app.get('/api/portfolios/:id/revisions/:number', requireAuth, async (req, res) => {
+  try {
+    const found = await findManagedPortfolio(req, res);
+    if (!found) return;
+
+    const number = parseRevisionNumber(req.params.number);
+    const revision = number && await revisions.getRevision(found.portfolio.id, number);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(revisions.toRevisionView(revision));
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// Field-level diff from revision `against` (default: the one before) to :number
+app.get('/api/portfolios/:id/revisions/:number/diff', requireAuth, async (req, res) => {
+  try {
+    const found = await findManagedPortfolio(req, res);
+    if (!found) return;
+
+    const number = parseRevisionNumber(req.params.number);
+    const against = req.query.against === undefined ? number && number - 1 : parseRevisionNumber(req.query.against);
+    if (req.query.against !== undefined && !against) {
+      return res.status(400).json({ error: 'Validation failed', details: ['against must be a revision number'] });
+    }
+
+    const [to, from] = await Promise.all([
+      number && revisions.getRevision(found.portfolio.id, number),
+      against && revisions.getRevision(found.portfolio.id, against)
+    ]);
+    if (!to || !from) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(revisions.diffRevisions(from, to));
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+});
+
+// Restore the content of an earlier revision; this is saved as a new revision
+app.post('/api/portfolios/:id/revisions/:number/rollback', requireAuth, async (req, res) => {
+  try {
+    const found = await findManagedPortfolio(req, res);
+    if (!found) return;
+    const { artist, portfolio: existing } = found;
+
+    const number = parseRevisionNumber(req.params.number);
+    const target = number && await revisions.getRevision(existing.id, number);
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const portfolio = { ...revisions.applyRevision(existing, target), updatedAt: new Date().toISOString() };
+    const revision = await revisions.recordRevision(portfolio, {
+      authorId: req.user.id,
+      reason: 'rollback',
+      restoredFrom: target.number
+    });
+    if (revision) {
+      portfolio.revision = revision.number;
+    }
+    portfolio.htmlUrl = await writePortfolioFile(portfolio, artist);
+
+    res.json({
+      message: revision ? `Rolled back to revision ${target.number}` : `Revision ${target.number} matches the current content`,
+      portfolio: await Portfolio.findByIdAndUpdate(portfolio.id, portfolio)
+    });
+  } catch (error) {
+    console.error('Error rolling back portfolio:', error);
+    res.status(500).json({ error: 'Failed to roll back portfolio' });
+  }
+});
+
+// Make a portfolio live: snapshot its draft as a revision (or use `revisionNumber`, an
+// existing revision) and serve that snapshot with the given visibility
+async function publishPortfolio(existing, artist, { visibility = 'published', revisionNumber = null, authorId = null } = {}) {
+  const portfolio = {
+    ...existing,
+    status: visibility,
+    publishAt: null,
+    publishVisibility: null,
+    publishedAt: new Date().toISOString()
+  };
+
+  if (revisionNumber) {
+    portfolio.publishedRevision = revisionNumber;
+  } else {
+    const revision = await revisions.recordRevision(portfolio, { authorId, reason: 'publish' });
+    if (revision) {
+      portfolio.revision = revision.number;
+    }
+    portfolio.publishedRevision = portfolio.revision;
+  }
+
+  portfolio.htmlUrl = await writePortfolioFile(portfolio, artist);
+  return Portfolio.findByIdAndUpdate(portfolio.id, portfolio);
+}
+
+// Move a portfolio to draft or archived, taking its public page down
+async function takeDownPortfolio(existing, artist, status) {
+  const portfolio = { ...existing, status, unpublishAt: null };
+  if (status === 'archived') {
+    portfolio.publishAt = null;
+  }
+  portfolio.htmlUrl = await writePortfolioFile(portfolio, artist);
+  return Portfolio.findByIdAndUpdate(portfolio.id, portfolio);
+}
+
+// Publish the current draft, or the revision given in `revision`; `visibility` is
+// "published" (listed in the directory, the default) or "unlisted"
+app.post('/api/portfolios/:id/publish', requireAuth, async (req, res) => {
+  try {
+    const found = await findManagedPortfolio(req, res);
+    if (!found) return;
+
+    const { visibility = 'published', revision: requested } = req.body;
+    const errors = [];
+    if (!publishing.VISIBILITIES.includes(visibility)) {
+      errors.push(`visibility must be one of ${publishing.VISIBILITIES.join(', ')}`);
+    }
+    const revisionNumber = requested === undefined ? null : parseRevisionNumber(requested);
+    if (requested !== undefined && !revisionNumber) {
+      errors.push('revision must be a revision number');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+    if (revisionNumber && !await revisions.getRevision(found.portfolio.id, revisionNumber)) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const portfolio = await publishPortfolio(found.portfolio, found.artist, {
+      visibility,
+      revisionNumber,
+      authorId: req.user.id
+    });
+    res.json({ message: `Published revision ${portfolio.publishedRevision}`, portfolio });
+  } catch (error) {
+    console.error('Error publishing portfolio:', error);
+    res.status(500).json({ error: 'Failed to publish portfolio' });
+  }
+});
+
+// Take the public page down; the portfolio goes back to draft
+app.post('/api/portfolios/:id/unpublish', requireAuth, async (req, res) => {
+  try {
+    const found = await findManagedPortfolio(req, res);
+    if (!found) return;
+
+    const portfolio = await takeDownPortfolio(found.portfolio, found.artist, 'draft');
+    res.json({ message: 'Portfolio unpublished', portfolio });
+  } catch (error) {
+    console.error('Error unpublishing portfolio:', error);
+    res.status(500).json({ error: 'Failed to unpublish portfolio' });
+  }
+});
+
+// Archive a portfolio: taken down and any schedule cleared; publishing it again restores it
+app.post('/api/portfolios/:id/archive', requireAuth, async (req, res) => {
+  try {
+    const found = await findManagedPortfolio(req, res);
+    if (!found) return;
+
+    const portfolio = await takeDownPortfolio(found.portfolio, found.artist, 'archived');
+    res.json({ message: 'Portfolio archived', portfolio });
+  } catch (error) {
+    console.error('Error archiving portfolio:', error);
+    res.status(500).json({ error: 'Failed to archive portfolio' });
+  }
+});
+
+// Schedule publishing ({ publishAt, unpublishAt, visibility }); null clears a time
+app.put('/api/portfolios/:id/schedule', requireAuth, async (req, res) => {
+  try {
+    const found = await findManagedPortfolio(req, res);
+    if (!found) return;
+
+    const { schedule, errors } = publishing.normalizeSchedule(req.body, found.portfolio);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    res.json({
+      message: 'Schedule updated',
+      portfolio: await Portfolio.findByIdAndUpdate(found.portfolio.id, schedule)
+    });
+  } catch (error) {
+    console.error('Error scheduling portfolio:', error);
+    res.status(500).json({ error: 'Failed to schedule portfolio' });
+  }
+});
+
+// Slugs a portfolio has used; old ones redirect to the current one
+app.get('/api/portfolios/:id/slugs', requireAuth, async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findById(req.params.id);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const artist = await Artist.findById(portfolio.artistId);
+    if (!canManageArtist(req.user, artist)) {
+      return res.status(403).json({ error: 'You do not have permission to view this portfolio' });
+    }
+
+    res.json({ slug: portfolio.slug, history: await slugs.slugHistory(portfolio.id) });
+  } catch (error) {
+    console.error('Error fetching slug history:', error);
+    res.status(500).json({ error: 'Failed to fetch slug history' });
+  }
+});
+
+// Check whether a slug can be used; `portfolioId` counts that portfolio's own old slugs as free
+app.get('/api/slugs/:slug', async (req, res) => {
+  try {
+    const portfolioId = typeof req.query.portfolioId === 'string' ? req.query.portfolioId : null;
+    const errors = await slugs.checkSlug(req.params.slug, portfolioId);
+    res.json({ slug: req.params.slug, available: errors.length === 0, errors });
+  } catch (error) {
+    console.error('Error checking slug:', error);
+    res.status(500).json({ error: 'Failed to check slug' });
+  }
+});
+
+// Get portfolio by ID
+app.get('/api/portfolios/:id', async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findById(req.params.id);
+    const artist = portfolio && await Artist.findById(portfolio.artistId);
+    const view = artist && await portfolioView(portfolio, artist, req.user);
+    if (!view) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    res.json(view);
+  } catch (error) {
+    console.error('Error fetching portfolio:', error);
+    res.status(500).json({ error: 'Failed to fetch portfolio' });
+  }
+});
+
+// Public portfolio page at its vanity URL. Only published and unlisted portfolios are
+// served, always from their published snapshot; unlisted ones ask search engines not to index them.
+// Slugs the portfolio used before redirect permanently to the current one.
+app.get('/p/:slug', async (req, res) => {
+  try {
+    const resolved = await slugs.resolveSlug(req.params.slug.toLowerCase());
+    if (!resolved) {
+      return res.status(404).type('text').send('Portfolio not found');
+    }
+    if (resolved.slug !== req.params.slug) {
+      return res.redirect(301, slugs.publicUrl(resolved.slug));
+    }
+
+    const portfolio = await Portfolio.findById(resolved.portfolioId);
+    const published = portfolio && await publishedContent(portfolio);
+    const artist = published && await Artist.findById(portfolio.artistId);
+    if (!artist) {
+      return res.status(404).type('text').send('Portfolio not found');
+    }
+
+    if (!publishing.isListed(portfolio)) {
+      res.set('X-Robots-Tag', 'noindex');
+    }
+    res.send(renderPortfolio(
+      buildTemplateData(artist, published),
+      published.template,
+      published.customizations,
+      hostedPageOptions(portfolio)
+    ));
+  } catch (error) {
+    console.error('Error serving public portfolio:', error);
+    res.status(500).type('text').send('Failed to load portfolio');
+  }
+});
+
+// PDF of the published snapshot, linked from the public page's footer; each download is counted
+app.get('/p/:slug/portfolio.pdf', async (req, res) => {
+  try {
+    const resolved = await slugs.resolveSlug(req.params.slug.toLowerCase());
+    if (!resolved) {
+      return res.status(404).type('text').send('Portfolio not found');
+    }
+    if (resolved.slug !== req.params.slug) {
+      return res.redirect(301, `${slugs.publicUrl(resolved.slug)}/portfolio.pdf`);
+    }
+
+    const portfolio = await Portfolio.findById(resolved.portfolioId);
+    const published = portfolio && await publishedContent(portfolio);
+    const artist = published && await Artist.findById(portfolio.artistId);
+    if (!artist) {
+      return res.status(404).type('text').send('Portfolio not found');
+    }
+
+    const doc = createPortfolioPdf(
+      buildTemplateData(artist, published, { mediaBaseUrl: config.publicUrl }),
+      published.template,
+      published.customizations
+    );
+    res.type('pdf');
+    res.attachment(`${resolved.slug}.pdf`);
+    if (!publishing.isListed(portfolio)) {
+      res.set('X-Robots-Tag', 'noindex');
+    }
+    doc.pipe(res);
+
+    analytics.recordEvent({ subject: analytics.portfolioSubject(portfolio.id), type: 'download' }, analytics.requestContext(req))
+      .catch(error => console.error('Error recording PDF download:', error));
+  } catch (error) {
+    console.error('Error serving portfolio PDF:', error);
+    res.status(500).type('text').send('Failed to generate PDF');
+  }
+});
+
+// Check a contract for the clauses expected for an engagement type and for risky wording
+// (see lib/contractAnalysis.js). Takes { type, text } as JSON, or multipart with `type` and a
+// `contract` PDF. Uploaded files are only read, never kept.
+app.post('/api/contracts/analyze', analysisLimiter, upload.single('contract'), async (req, res) => {
+  try {
+    const type = req.body.type;
+    const errors = [];
+    if (!contractAnalysis.engagementTypes().includes(type)) {
+      errors.push(`type must be one of ${contractAnalysis.engagementTypes().join(', ')}`);
+    }
+    if (req.file && req.file.mimetype !== 'application/pdf') {
+      errors.push('contract must be a PDF file');
+    }
+    if (!req.file && typeof req.body.text !== 'string') {
+      errors.push('Paste the contract text or upload it as a PDF');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    let text;
+    if (req.file) {
+      try {
+        text = await contractAnalysis.extractPdfText(req.file.path);
+      } catch (error) {
+        return res.status(400).json({ error: 'Validation failed', details: ['contract could not be read as a PDF'] });
+      }
+    } else {
+      text = req.body.text;
+    }
+
+    text = text.trim();
+    if (text.length < contractAnalysis.MIN_TEXT_LENGTH) {
+      return res.status(422).json({
+        error: req.file
+          ? 'No text could be read from this PDF. If it is a scan, paste the text instead.'
+          : `The contract text must be at least ${contractAnalysis.MIN_TEXT_LENGTH} characters`
+      });
+    }
+    if (text.length > contractAnalysis.MAX_TEXT_LENGTH) {
+      return res.status(413).json({ error: `The contract text must be at most ${contractAnalysis.MAX_TEXT_LENGTH} characters` });
+    }
+
+    res.json({ source: req.file ? 'pdf' : 'text', ...contractAnalysis.analyzeContract(text, type) });
+  } catch (error) {
+    console.error('Error analyzing contract:', error);
+    res.status(500).json({ error: 'Failed to analyze contract' });
+  } finally {
+    if (req.file) {
+      await discardUploads([req.file]);
+    }
+  }
+});
+
+// Signing page for a contract's signing link (see routes/contracts.js for the API it posts to).
+// Sealed contracts are not served statically: their PDFs are only reachable through the API.
+app.get('/sign/:token', signingPageLimiter, async (req, res) => {
+  try {
+    const contract = await contractSigning.findBySigningToken(req.params.token);
+    if (!contract) {
+      return res.status(404).type('text').send('This signing link is not valid. Ask the artist for a new one.');
+    }
+
+    const viewed = await contractSigning.recordView(contract, req);
+    res.set('X-Robots-Tag', 'noindex');
+    res.set('Cache-Control', 'no-store');
+    res.send(contractSigning.renderSigningPage(viewed, req.params.token));
+  } catch (error) {
+    console.error('Error serving signing page:', error);
+    res.status(500).type('text').send('Failed to load contract');
+  }
+});
+
+// Error handling
+app.use((err, req, res, next) => {
+  // JWT errors
+  if (err.name === 'JsonWebTokenError') {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  if (err.name === 'TokenExpiredError') {
+    return res.status(401).json({ error: 'Token expired' });
+  }
+
+  // File upload errors
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({ error: 'File too large', maxSize: '10MB' });
+  }
+
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return res.status(400).json({ error: 'Too many files or unexpected field name' });
+  }
+
+  console.error('Error:', err);
+  res.status(err.status || 500).json({ error: err.message || 'Internal Server Error' });
+});
+
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  console.error('JWT_SECRET must be set in production');
+  process.exit(1);
+}
+
+// Portfolios created before vanity URLs get a slug from their artist's name
+async function assignMissingSlugs() {
+  const portfolios = (await Portfolio.find()).filter(portfolio => !portfolio.slug);
+  for (const portfolio of portfolios) {
+    const artist = await Artist.findById(portfolio.artistId);
+    const slug = await slugs.uniqueSlug(artist ? artist.name : portfolio.title, portfolio.id);
+    await slugs.assignSlug(portfolio.id, slug);
+    await Portfolio.findByIdAndUpdate(portfolio.id, { slug, publicUrl: slugs.publicUrl(slug) });
+  }
+}
+
+// Portfolios saved before revisions existed start their history with their current content
+async function recordMissingRevisions() {
+  const portfolios = (await Portfolio.find()).filter(portfolio => !portfolio.revision);
+  for (const portfolio of portfolios) {
+    const revision = await revisions.recordRevision(portfolio, { reason: 'import' })
+      || (await revisions.listRevisions(portfolio.id))[0];
+    await Portfolio.findByIdAndUpdate(portfolio.id, { revision: revision.number });
+  }
+}
+
+// Portfolios from before the publishing workflow were all public: publish their latest revision
+async function assignMissingStatuses() {
+  const portfolios = (await Portfolio.find()).filter(portfolio => !portfolio.status);
+  for (const portfolio of portfolios) {
+    await Portfolio.findByIdAndUpdate(portfolio.id, {
+      status: 'published',
+      publishedRevision: portfolio.publishedRevision || portfolio.revision
+    });
+  }
+}
+
+// Run scheduled publish/unpublish actions that are due
+async function runScheduledPublishing() {
+  const scheduled = (await Portfolio.find()).filter(portfolio => portfolio.publishAt || portfolio.unpublishAt);
+  for (const portfolio of scheduled) {
+    try {
+      let current = portfolio;
+      for (const action of publishing.dueActions(portfolio)) {
+        const artist = await Artist.findById(current.artistId);
+        if (!artist) break;
+        current = action === 'publish'
+          ? await publishPortfolio(current, artist, { visibility: current.publishVisibility || 'published' })
+          : await takeDownPortfolio(current, artist, 'draft');
+        console.log(`Scheduled ${action} of portfolio ${portfolio.id} done`);
+      }
+    } catch (error) {
+      console.error(`Error running scheduled publishing for portfolio ${portfolio.id}:`, error);
+    }
+  }
+}
+
+// Match saved searches against the board and email the digests that are due
+async function runAlerts(transport) {
+  const { notified, emailed } = await alerts.runAlerts(transport);
+  if (notified > 0 || emailed > 0) {
+    console.log(`Opportunity alerts: ${notified} notification(s) added, ${emailed} digest(s) emailed`);
+  }
+}
+
+// Start server once storage is ready
+jobs.configure(config.jobs);
+const mailer = mail.createTransport(config.mail);
+
+store.connect(config.storage).then(async () => {
+  await authRoutes.ensureAdminAccount(config.auth);
+  await assignMissingSlugs();
+  await recordMissingRevisions();
+  await assignMissingStatuses();
+  await runScheduledPublishing();
+  setInterval(() => {
+    runScheduledPublishing().catch(error => console.error('Error running scheduled publishing:', error));
+  }, config.publishing.checkIntervalMs).unref();
+  // Alerts are best-effort: a failing mail transport is logged and must not hold up startup.
+  // Each check is scheduled when the previous one is done, so a slow mail transport can't
+  // make two runs overlap and email the same notifications twice.
+  const checkAlerts = () => runAlerts(mailer)
+    .catch(error => console.error('Error running opportunity alerts:', error))
+    .then(() => setTimeout(checkAlerts, config.alerts.checkIntervalMs).unref());
+  checkAlerts();
+  const resumed = await jobs.resume();
+  if (resumed > 0) {
+    console.log(`Resumed ${resumed} queued job(s)`);
+  }
+}).then(() => app.listen(PORT, () => {
+  console.log(`Server running on http://localhost:${PORT} (storage: ${config.storage.driver})`);
   console.log('API endpoints:');
+  console.log('  POST   /api/auth/register');
+  console.log('  POST   /api/auth/login');
+  console.log('  GET    /api/auth/me');
+  console.log('  POST   /api/admin/login');
+  console.log('  GET    /api/templates');
+  console.log('  GET    /api/templates/:id');
+  console.log('  GET    /api/templates/:id/thumbnail.svg');
+  console.log('  GET    /api/jobs');
+  console.log('  GET    /api/jobs/:id');
+  console.log('  POST   /api/jobs/:id/retry');
+  console.log('  POST   /api/analytics/events');
+  console.log('  GET    /api/analytics/pages/:page');
+  console.log('  POST   /api/enquiries');
+  console.log('  GET    /api/enquiries');
+  console.log('  GET    /api/enquiries/:id');
+  console.log('  PATCH  /api/enquiries/:id');
+  console.log('  DELETE /api/enquiries/:id');
+  console.log('  GET    /api/contracts/templates');
+  console.log('  GET    /api/contracts/templates/:type');
+  console.log('  GET    /api/contracts/templates/:type/blank.pdf');
+  console.log('  POST   /api/contracts');
+  console.log('  GET    /api/contracts');
+  console.log('  GET    /api/contracts/:id');
+  console.log('  PUT    /api/contracts/:id');
+  console.log('  DELETE /api/contracts/:id');
+  console.log('  POST   /api/contracts/:id/send');
+  console.log('  POST   /api/contracts/:id/countersign');
+  console.log('  POST   /api/contracts/:id/cancel');
+  console.log('  GET    /api/contracts/:id/contract.pdf');
+  console.log('  POST   /api/contracts/analyze');
+  console.log('  GET    /api/contracts/sign/:token');
+  console.log('  POST   /api/contracts/sign/:token');
+  console.log('  GET    /api/contracts/sign/:token/contract.pdf');
+  console.log('  GET    /sign/:token');
+  console.log('  GET    /api/opportunities');
+  console.log('  GET    /api/opportunities/options');
+  console.log('  GET    /api/opportunities/mine');
+  console.log('  GET    /api/opportunities/:id');
+  console.log('  POST   /api/opportunities');
+  console.log('  PUT    /api/opportunities/:id');
+  console.log('  PATCH  /api/opportunities/:id');
+  console.log('  DELETE /api/opportunities/:id');
+  console.log('  POST   /api/opportunities/:id/applications');
+  console.log('  GET    /api/opportunities/:id/applications');
+  console.log('  GET    /api/applications');
+  console.log('  GET    /api/applications/:id');
+  console.log('  PATCH  /api/applications/:id');
+  console.log('  POST   /api/applications/:id/withdraw');
+  console.log('  GET    /api/applications/:id/portfolio.pdf');
+  console.log('  GET    /api/alerts/searches');
+  console.log('  POST   /api/alerts/searches');
+  console.log('  PATCH  /api/alerts/searches/:id');
+  console.log('  DELETE /api/alerts/searches/:id');
+  console.log('  GET    /api/alerts/notifications');
+  console.log('  POST   /api/alerts/notifications/read');
+  console.log('  GET    /api/alerts/unsubscribe/:token');
+  console.log('  POST   /api/alerts/unsubscribe/:token');
   console.log('  POST   /api/artists');
   console.log('  GET    /api/artists');
+  console.log('  GET    /api/artists/directory');
   console.log('  GET    /api/artists/:id');
+  console.log('  PUT    /api/artists/:id');
+  console.log('  PATCH  /api/artists/:id');
+  console.log('  DELETE /api/artists/:id');
+  console.log('  DELETE /api/artists/:id/files/:filename');
   console.log('  POST   /api/portfolios');
   console.log('  POST   /api/portfolios/:id/generate-pdf');
+  console.log('  POST   /api/portfolios/:id/generate-web');
   console.log('  GET    /api/portfolios');
   console.log('  GET    /api/portfolios/:id');
+  console.log('  GET    /api/portfolios/:id/export.zip');
+  console.log('  GET    /api/portfolios/:id/analytics');
+  console.log('  GET    /api/portfolios/:id/revisions');
+  console.log('  GET    /api/portfolios/:id/revisions/:number');
+  console.log('  GET    /api/portfolios/:id/revisions/:number/diff');
+  console.log('  POST   /api/portfolios/:id/revisions/:number/rollback');
+  console.log('  POST   /api/portfolios/:id/publish');
+  console.log('  POST   /api/portfolios/:id/unpublish');
+  console.log('  POST   /api/portfolios/:id/archive');
+  console.log('  PUT    /api/portfolios/:id/schedule');
+  console.log('  GET    /api/portfolios/:id/slugs');
+  console.log('  GET    /api/slugs/:slug');
+  console.log('  PUT    /api/portfolios/:id');
+  console.log('  PATCH  /api/portfolios/:id');
+  console.log('  DELETE /api/portfolios/:id');
+  console.log('  PATCH  /api/portfolios/:id/sections/:sectionId');
+  console.log('  POST   /api/preview');
+  console.log('  GET    /p/:slug');
+  console.log('  GET    /p/:slug/portfolio.pdf');
+})).catch(error => {
+  console.error('Failed to connect storage:', error);
+  process.exit(1);
 });
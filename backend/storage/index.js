@@ -0,0 +1,59 @@
+// Storage layer: a repository per collection, backed by the driver selected in config.
+//
+// Repositories expose a Mongoose-style surface (find, findById, create, findByIdAndUpdate, ...)
+// and always hand out copies, so changes only persist through an explicit update.
+// They can be required before connect() runs; calls resolve the driver lazily.
+
+let driver = null;
+
+async function connect(storageConfig) {
+  switch (storageConfig.driver) {
+    case 'json':
+      driver = await require('./jsonDriver').createJsonDriver(storageConfig);
+      break;
+    case 'sqlite':
+      driver = await require('./sqliteDriver').createSqliteDriver(storageConfig);
+      break;
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+  }
+  return driver;
+}
+
+async function disconnect() {
+  if (driver) {
+    await driver.close();
+    driver = null;
+  }
+}
+
+function model(name) {
+  const collection = async () => {
+    if (!driver) {
+      throw new Error('Storage is not connected');
+    }
+    return driver.collection(name);
+  };
+
+  const methods = [
+    'find',
+    'findOne',
+    'findById',
+    'countDocuments',
+    'create',
+    'findByIdAndUpdate',
+    'findByIdAndDelete',
+    'deleteMany'
+  ];
+
+  return methods.reduce((repository, method) => {
+    repository[method] = async (...args) => (await collection())[method](...args);
+    return repository;
+  }, { collectionName: name });
+}
+
+module.exports = {
+  connect,
+  disconnect,
+  model
+};
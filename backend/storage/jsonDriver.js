@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { checkFilter, matches, checkUnique, clone } = require('./query');
+
+// Write a file atomically: write a temp file next to it, flush it, then rename over the target
+async function writeJsonAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${uuidv4()}.tmp`;
+  try {
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
+
+// One collection backed by data/<name>.json, kept in memory and written through a queue
+class JsonCollection {
+  constructor(name, filePath) {
+    this.name = name;
+    this.filePath = filePath;
+    this.docs = [];
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (await fs.pathExists(this.filePath)) {
+      this.docs = await fs.readJson(this.filePath);
+    }
+  }
+
+  // Serialize writes: each mutation computes the next state, persists it, then swaps it in
+  mutate(fn) {
+    const run = this.queue.then(async () => {
+      const { docs, result } = fn(this.docs);
+      await writeJsonAtomic(this.filePath, docs);
+      this.docs = docs;
+      return result;
+    });
+    // Keep the queue alive after a failed write
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async find(filter) {
+    checkFilter(filter);
+    return this.docs.filter(doc => matches(doc, filter)).map(clone);
+  }
+
+  async findOne(filter) {
+    checkFilter(filter);
+    return clone(this.docs.find(doc => matches(doc, filter)) || null);
+  }
+
+  async findById(id) {
+    return this.findOne({ id });
+  }
+
+  async countDocuments(filter) {
+    checkFilter(filter);
+    return this.docs.filter(doc => matches(doc, filter)).length;
+  }
+
+  create(doc) {
+    const created = { id: uuidv4(), ...clone(doc) };
+    return this.mutate(docs => {
+      checkUnique(this.name, docs, created);
+      return { docs: [...docs, created], result: clone(created) };
+    });
+  }
+
+  findByIdAndUpdate(id, changes) {
+    return this.mutate(docs => {
+      const index = docs.findIndex(doc => doc.id === id);
+      if (index === -1) {
+        return { docs, result: null };
+      }
+      const updated = { ...docs[index], ...clone(changes), id };
+      checkUnique(this.name, docs, updated);
+      const next = [...docs];
+      next[index] = updated;
+      return { docs: next, result: clone(updated) };
+    });
+  }
+
+  findByIdAndDelete(id) {
+    return this.mutate(docs => {
+      const existing = docs.find(doc => doc.id === id);
+      return {
+        docs: existing ? docs.filter(doc => doc.id !== id) : docs,
+        result: clone(existing || null)
+      };
+    });
+  }
+
+  async deleteMany(filter) {
+    checkFilter(filter);
+    return this.mutate(docs => {
+      const kept = docs.filter(doc => !matches(doc, filter));
+      return { docs: kept, result: { deletedCount: docs.length - kept.length } };
+    });
+  }
+}
+
+async function createJsonDriver({ dataDir }) {
+  await fs.ensureDir(dataDir);
+  const collections = new Map();
+
+  return {
+    name: 'json',
+
+    async collection(name) {
+      if (!collections.has(name)) {
+        const collection = new JsonCollection(name, path.join(dataDir, `${name}.json`));
+        collections.set(name, collection.load().then(() => collection));
+      }
+      return collections.get(name);
+    },
+
+    async close() {
+      for (const pending of collections.values()) {
+        const collection = await pending;
+        await collection.queue;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createJsonDriver,
+  writeJsonAtomic
+};
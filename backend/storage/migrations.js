@@ -0,0 +1,105 @@
+// SQLite schema migrations, applied in order and recorded in the `migrations` table.
+// Never edit a migration that has shipped; append a new one instead.
+
+// Documents are stored as JSON so both drivers share the same record shape
+const documentTable = name => `
+  CREATE TABLE ${name} (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  )
+`;
+
+module.exports = [
+  {
+    id: '001_create_artists',
+    up: db => db.exec(documentTable('artists'))
+  },
+  {
+    id: '002_create_portfolios',
+    up: db => {
+      db.exec(documentTable('portfolios'));
+      db.exec(`CREATE INDEX portfolios_artist_id ON portfolios (json_extract(data, '$.artistId'))`);
+    }
+  },
+  {
+    id: '003_create_users',
+    up: db => {
+      db.exec(documentTable('users'));
+      db.exec(`CREATE UNIQUE INDEX users_email ON users (json_extract(data, '$.email'))`);
+    }
+  },
+  {
+    id: '004_create_jobs',
+    up: db => {
+      db.exec(documentTable('jobs'));
+      db.exec(`CREATE INDEX jobs_status ON jobs (json_extract(data, '$.status'))`);
+    }
+  },
+  {
+    id: '005_create_slugs',
+    up: db => {
+      db.exec(documentTable('slugs'));
+      db.exec(`CREATE UNIQUE INDEX slugs_slug ON slugs (json_extract(data, '$.slug'))`);
+      db.exec(`CREATE INDEX slugs_portfolio_id ON slugs (json_extract(data, '$.portfolioId'))`);
+    }
+  },
+  {
+    id: '006_create_revisions',
+    up: db => {
+      db.exec(documentTable('revisions'));
+      db.exec(`CREATE UNIQUE INDEX revisions_portfolio_number ON revisions
+        (json_extract(data, '$.portfolioId'), json_extract(data, '$.number'))`);
+    }
+  },
+  {
+    id: '007_create_analytics',
+    up: db => {
+      db.exec(documentTable('analytics'));
+      db.exec(`CREATE UNIQUE INDEX analytics_subject_date ON analytics
+        (json_extract(data, '$.subject'), json_extract(data, '$.date'))`);
+      db.exec(documentTable('analytics_salts'));
+    }
+  },
+  {
+    id: '008_create_enquiries',
+    up: db => {
+      db.exec(documentTable('enquiries'));
+      db.exec(`CREATE INDEX enquiries_artist_id ON enquiries (json_extract(data, '$.artistId'))`);
+    }
+  },
+  {
+    id: '009_create_contracts',
+    up: db => {
+      db.exec(documentTable('contracts'));
+      db.exec(`CREATE INDEX contracts_artist_id ON contracts (json_extract(data, '$.artistId'))`);
+    }
+  },
+  {
+    id: '010_index_contract_signing_tokens',
+    up: db => db.exec(`CREATE INDEX contracts_signing_token ON contracts (json_extract(data, '$.signingTokenHash'))`)
+  },
+  {
+    id: '011_create_opportunities',
+    up: db => {
+      db.exec(documentTable('opportunities'));
+      db.exec(`CREATE INDEX opportunities_owner_id ON opportunities (json_extract(data, '$.ownerId'))`);
+    }
+  },
+  {
+    id: '012_create_applications',
+    up: db => {
+      db.exec(documentTable('applications'));
+      db.exec(`CREATE INDEX applications_opportunity_id ON applications (json_extract(data, '$.opportunityId'))`);
+      db.exec(`CREATE INDEX applications_artist_id ON applications (json_extract(data, '$.artistId'))`);
+    }
+  },
+  {
+    id: '013_create_saved_searches_and_notifications',
+    up: db => {
+      db.exec(documentTable('saved_searches'));
+      db.exec(`CREATE INDEX saved_searches_user_id ON saved_searches (json_extract(data, '$.userId'))`);
+      db.exec(documentTable('notifications'));
+      db.exec(`CREATE INDEX notifications_user_id ON notifications (json_extract(data, '$.userId'))`);
+    }
+  }
+];
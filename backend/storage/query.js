@@ -0,0 +1,58 @@
+// Filter helpers shared by the storage drivers.
+// Filters are plain objects matched by equality on top-level fields, e.g. { artistId: '...' }.
+// Values must be strings, numbers, booleans or null; both drivers reject arrays and objects.
+
+// Fields that must be unique within a collection. SQLite enforces them with the unique indexes
+// in migrations.js, the JSON driver checks them on every write; both throw duplicateKeyError.
+// Documents missing one of the fields aren't checked (SQLite treats NULLs as distinct).
+const UNIQUE_KEYS = {
+  users: [['email']],
+  slugs: [['slug']],
+  revisions: [['portfolioId', 'number']],
+  analytics: [['subject', 'date']]
+};
+
+function checkFilter(filter = {}) {
+  Object.entries(filter).forEach(([key, value]) => {
+    if (value !== null && typeof value === 'object') {
+      throw new Error(`Invalid filter value for ${key}: expected a string, number, boolean or null`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, value]) => doc[key] === value);
+}
+
+function duplicateKeyError(collection, fields) {
+  const error = new Error(`Duplicate ${fields.join(' + ')} in ${collection}`);
+  error.code = 'DUPLICATE_KEY';
+  error.collection = collection;
+  error.fields = fields;
+  return error;
+}
+
+// Throw duplicateKeyError if `doc` clashes with another document of `docs` on a unique key
+function checkUnique(collection, docs, doc) {
+  (UNIQUE_KEYS[collection] || []).forEach(fields => {
+    if (fields.some(field => doc[field] === undefined || doc[field] === null)) {
+      return;
+    }
+    if (docs.some(other => other.id !== doc.id && fields.every(field => other[field] === doc[field]))) {
+      throw duplicateKeyError(collection, fields);
+    }
+  });
+}
+
+function clone(doc) {
+  return doc === null || doc === undefined ? doc : structuredClone(doc);
+}
+
+module.exports = {
+  UNIQUE_KEYS,
+  checkFilter,
+  matches,
+  duplicateKeyError,
+  checkUnique,
+  clone
+};
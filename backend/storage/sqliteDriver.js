@@ -0,0 +1,160 @@
+const Database = require('better-sqlite3');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const migrations = require('./migrations');
+const { UNIQUE_KEYS, checkFilter, duplicateKeyError } = require('./query');
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      id TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(db.prepare('SELECT id FROM migrations').all().map(row => row.id));
+  const record = db.prepare('INSERT INTO migrations (id, applied_at) VALUES (?, ?)');
+
+  migrations
+    .filter(migration => !applied.has(migration.id))
+    .forEach(migration => {
+      db.transaction(() => {
+        migration.up(db);
+        record.run(migration.id, new Date().toISOString());
+      })();
+      console.log(`Applied migration ${migration.id}`);
+    });
+}
+
+// Translate an equality filter into a WHERE clause over the JSON document
+function buildWhere(filter = {}) {
+  checkFilter(filter);
+  const clauses = [];
+  const params = [];
+
+  Object.entries(filter).forEach(([key, value]) => {
+    if (!FIELD_PATTERN.test(key)) {
+      throw new Error(`Invalid filter field: ${key}`);
+    }
+    if (value === null) {
+      clauses.push(`json_extract(data, '$.${key}') IS NULL`);
+    } else {
+      clauses.push(`json_extract(data, '$.${key}') = ?`);
+      params.push(typeof value === 'boolean' ? Number(value) : value);
+    }
+  });
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+// One collection backed by a document table created by a migration
+class SqliteCollection {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+  }
+
+  async find(filter) {
+    const { where, params } = buildWhere(filter);
+    return this.db.prepare(`SELECT data FROM ${this.table} ${where} ORDER BY rowid`)
+      .all(...params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async findOne(filter) {
+    const { where, params } = buildWhere(filter);
+    const row = this.db.prepare(`SELECT data FROM ${this.table} ${where} ORDER BY rowid LIMIT 1`).get(...params);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findById(id) {
+    return this.findOne({ id });
+  }
+
+  async countDocuments(filter) {
+    const { where, params } = buildWhere(filter);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM ${this.table} ${where}`).get(...params).count;
+  }
+
+  // Unique index violations are reported as the same error the JSON driver throws
+  write(fn) {
+    try {
+      return fn();
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw duplicateKeyError(this.table, (UNIQUE_KEYS[this.table] || [[]])[0]);
+      }
+      throw error;
+    }
+  }
+
+  async create(doc) {
+    const created = { id: uuidv4(), ...doc };
+    this.write(() => this.db.prepare(`INSERT INTO ${this.table} (id, data) VALUES (?, ?)`)
+      .run(created.id, JSON.stringify(created)));
+    return created;
+  }
+
+  async findByIdAndUpdate(id, changes) {
+    return this.write(() => this.db.transaction(() => {
+      const row = this.db.prepare(`SELECT data FROM ${this.table} WHERE id = ?`).get(id);
+      if (!row) {
+        return null;
+      }
+      const updated = { ...JSON.parse(row.data), ...changes, id };
+      this.db.prepare(`UPDATE ${this.table} SET data = ? WHERE id = ?`).run(JSON.stringify(updated), id);
+      return updated;
+    })());
+  }
+
+  async findByIdAndDelete(id) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare(`SELECT data FROM ${this.table} WHERE id = ?`).get(id);
+      if (!row) {
+        return null;
+      }
+      this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(id);
+      return JSON.parse(row.data);
+    })();
+  }
+
+  async deleteMany(filter) {
+    const { where, params } = buildWhere(filter);
+    const result = this.db.prepare(`DELETE FROM ${this.table} ${where}`).run(...params);
+    return { deletedCount: result.changes };
+  }
+}
+
+async function createSqliteDriver({ sqliteFile }) {
+  await fs.ensureDir(path.dirname(sqliteFile));
+  const db = new Database(sqliteFile);
+  db.pragma('journal_mode = WAL');
+  runMigrations(db);
+
+  const tableExists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?");
+
+  return {
+    name: 'sqlite',
+
+    async collection(name) {
+      if (!FIELD_PATTERN.test(name) || !tableExists.get(name)) {
+        throw new Error(`Unknown collection "${name}": add a migration that creates it`);
+      }
+      return new SqliteCollection(db, name);
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteDriver
+};
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const store = require('../storage');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const alerts = require('../lib/alerts');
+
+test('sendDigests', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'katikaname-alerts-'));
+  await store.connect({ driver: 'json', dataDir: dir });
+  t.after(async () => {
+    await store.disconnect();
+    await fs.remove(dir);
+  });
+
+  await t.test('keeps going when one account\'s digest fails', async t => {
+    t.mock.method(console, 'error', () => {});
+    const emails = ['broken@example.com', 'amani@example.com'];
+    for (const email of emails) {
+      const user = await User.create({ name: email.split('@')[0], email, lastDigestAt: null });
+      const search = await SavedSearch.create({ userId: user.id, name: 'Gigs', filters: {}, emailDigest: true });
+      await Notification.create({ userId: user.id, savedSearchId: search.id, message: 'New gig', emailPending: true });
+    }
+    const sent = [];
+    const transport = {
+      async send(message) {
+        if (message.to === 'broken@example.com') {
+          throw new Error('Mailbox unavailable');
+        }
+        sent.push(message.to);
+      }
+    };
+
+    assert.equal(await alerts.sendDigests(transport), 1);
+    assert.deepEqual(sent, ['amani@example.com']);
+    const pending = (await Notification.find()).filter(notification => notification.emailPending);
+    assert.equal(pending.length, 1);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const store = require('../storage');
+const Contract = require('../models/Contract');
+const signing = require('../lib/contractSigning');
+
+const request = (ip, userAgent = 'test') => ({ ip, get: () => userAgent });
+
+test('contract steps', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'katikaname-contracts-'));
+  await store.connect({ driver: 'json', dataDir: dir });
+  t.after(async () => {
+    await store.disconnect();
+    await fs.remove(dir);
+  });
+
+  await t.test('a view and a signature at the same time both reach the audit trail', async () => {
+    const contract = await Contract.create({ status: 'sent', audit: [] });
+    const sign = signing.withContract(contract.id, current => {
+      if (!['sent', 'viewed'].includes(current.status)) {
+        throw signing.contractStatusError(`This contract cannot be signed; it is ${current.status}`);
+      }
+      return Contract.findByIdAndUpdate(current.id, {
+        status: 'signed',
+        audit: signing.appendAudit(current, signing.auditEntry('signed', 'client', request('10.0.0.2')))
+      });
+    });
+    await Promise.all([signing.recordView(contract, request('10.0.0.1')), sign]);
+
+    const saved = await Contract.findById(contract.id);
+    assert.equal(saved.status, 'signed');
+    assert.deepEqual(saved.audit.map(entry => entry.event).sort(), ['signed', 'viewed']);
+  });
+
+  await t.test('a step sees the status left by the one before it', async () => {
+    const contract = await Contract.create({ status: 'signed', audit: [] });
+    const countersign = () => signing.withContract(contract.id, current => {
+      if (current.status !== 'signed') {
+        throw signing.contractStatusError(`this contract is ${current.status}`);
+      }
+      return Contract.findByIdAndUpdate(current.id, { status: 'countersigned' });
+    });
+
+    const results = await Promise.allSettled([countersign(), countersign()]);
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.code, 'CONTRACT_STATUS');
+  });
+
+  await t.test('resolves to null for a deleted contract', async () => {
+    assert.equal(await signing.withContract('missing', () => assert.fail('should not run')), null);
+  });
+});
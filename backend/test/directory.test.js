@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildEntry, parseDirectoryQuery, searchDirectory } = require('../lib/directory');
+
+const entry = (id, fields = {}, publishedAt = '2027-01-01T00:00:00.000Z', views = 0) => buildEntry(
+  {
+    id,
+    name: 'Artist',
+    category: 'dancer',
+    experience: 'beginner',
+    genres: [],
+    location: { city: 'Nairobi', country: 'Kenya' },
+    ...fields
+  },
+  [{ id: `${id}-portfolio`, title: 'Portfolio', slug: id, publishedAt, sections: [] }],
+  new Map([[`portfolio:${id}-portfolio`, views]])
+);
+
+function search(entries, query) {
+  const { params, errors } = parseDirectoryQuery(query);
+  assert.deepEqual(errors, []);
+  return searchDirectory(entries, params);
+}
+
+const ids = result => result.artists.map(artist => artist.id);
+
+test('parseDirectoryQuery rejects facet values that are only inherited object keys', () => {
+  ['constructor', 'toString', '__proto__'].forEach(value => {
+    assert.deepEqual(parseDirectoryQuery({ category: value }).errors, ['category must be one of dancer, musician, visual_artist, multi_disciplinary']);
+    assert.equal(parseDirectoryQuery({ experience: value }).errors.length, 1);
+  });
+  assert.deepEqual(parseDirectoryQuery({ category: 'Dancer', experience: 'beginner' }).errors, []);
+});
+
+test('search folds case and accents and matches the start of words', () => {
+  const entries = [
+    entry('a', { name: 'Mũthoni Kariuki', title: 'Choreographer' }),
+    entry('b', { name: 'Otieno', bio: 'Session bassist' })
+  ];
+  assert.deepEqual(ids(search(entries, { q: 'MUTHONI' })), ['a']);
+  assert.deepEqual(ids(search(entries, { q: 'choreo' })), ['a']);
+  assert.deepEqual(ids(search(entries, { q: 'grapher' })), []);
+  assert.deepEqual(ids(search(entries, { q: 'otieno bass' })), ['b']);
+});
+
+test('score adds the best field weight per word, doubled for whole words', () => {
+  const entries = [
+    entry('a', { name: 'Amani Wanjiru', genres: ['Dance'], bio: 'Dancer and teacher' }),
+    entry('b', { name: 'Baraka', bio: 'Amani dance crew' })
+  ];
+  const result = search(entries, { q: 'amani dance' });
+  assert.deepEqual(result.artists.map(artist => [artist.id, artist.score]), [['a', 16 + 10], ['b', 4 + 4]]);
+  assert.equal(search(entries, { q: 'wanj' }).artists[0].score, 8);
+  assert.equal(search(entries, { q: 'amani zouk' }).total, 0);
+});
+
+test('facet counts leave out their own selection but apply the others', () => {
+  const entries = [
+    entry('a', { category: 'dancer', location: { city: 'Nairobi', country: 'Kenya' } }),
+    entry('b', { category: 'dancer', location: { city: 'nairobi ', country: 'Kenya' } }),
+    entry('c', { category: 'musician', location: { city: 'Mombasa', country: 'Kenya' } }),
+    entry('d', { category: 'musician', location: { city: 'Kampala', country: 'Uganda' } })
+  ];
+  const result = search(entries, { category: 'dancer', country: 'kenya' });
+  assert.deepEqual(ids(result).sort(), ['a', 'b']);
+  assert.deepEqual(result.facets.category, [
+    { value: 'dancer', label: 'Dancer', count: 2, selected: true },
+    { value: 'musician', label: 'Musician', count: 1, selected: false }
+  ]);
+  assert.deepEqual(result.facets.city, [{ value: 'Nairobi', label: 'Nairobi', count: 2, selected: false }]);
+  assert.deepEqual(result.facets.country, [{ value: 'Kenya', label: 'Kenya', count: 2, selected: true }]);
+});
+
+test('cursor paging carries on after the last entry when entries are added in between', () => {
+  const published = day => `2027-01-${String(day).padStart(2, '0')}T00:00:00.000Z`;
+  const entries = [1, 2, 3, 4, 5].map(day => entry(`artist-${day}`, {}, published(day)));
+
+  const first = search(entries, { limit: '2' });
+  assert.deepEqual(ids(first), ['artist-5', 'artist-4']);
+  assert.equal(first.total, 5);
+
+  // One entry lands before the cursor, two after it (artist-0 ties with artist-1 on the date)
+  entries.push(entry('artist-6', {}, published(6)), entry('artist-3b', {}, published(3)), entry('artist-0', {}, published(1)));
+  const second = search(entries, { limit: '2', cursor: first.nextCursor });
+  assert.deepEqual(ids(second), ['artist-3', 'artist-3b']);
+
+  const third = search(entries, { limit: '3', cursor: second.nextCursor });
+  assert.deepEqual(ids(third), ['artist-2', 'artist-0', 'artist-1']);
+  assert.equal(third.nextCursor, null);
+});
+
+test('popular sorts by views with the id as the tie-break', () => {
+  const entries = [entry('b', {}, undefined, 5), entry('a', {}, undefined, 5), entry('c', {}, undefined, 9)];
+  assert.deepEqual(ids(search(entries, { sort: 'popular' })), ['c', 'a', 'b']);
+});
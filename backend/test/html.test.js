@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, safeUrl, mailtoUrl, renderMarkdown } = require('../lib/html');
+
+// Markup that must never come out of the escaping layer as live HTML
+const SCRIPT_TAG = /<script/i;
+const EVENT_HANDLER = /<[^>]+\son[a-z]+\s*=/i;
+const UNSAFE_URL = /(href|src)\s*=\s*"\s*(javascript|data|vbscript):/i;
+
+const TEXT_PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror=alert(1)>',
+  '<svg onload=alert(1)>',
+  '"><script>alert(1)</script>',
+  "' onmouseover='alert(1)",
+  '`-alert(1)-`',
+  '</textarea><script>alert(1)</script>'
+];
+
+const URL_PAYLOADS = [
+  'javascript:alert(1)',
+  'JavaScript:alert(1)',
+  ' javascript:alert(1)',
+  'java\tscript:alert(1)',
+  'java\nscript:alert(1)',
+  '\u0001javascript:alert(1)',
+  'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+  'data:image/svg+xml,<svg onload=alert(1)>',
+  'vbscript:msgbox(1)',
+  '//evil.example/x.js',
+  '/\\evil.example'
+];
+
+test('escapeHtml escapes every character that can open a tag or leave an attribute', () => {
+  assert.equal(escapeHtml('<a href="x" title=\'y\'>`&`</a>'), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&#96;&amp;&#96;&lt;/a&gt;');
+  for (const payload of TEXT_PAYLOADS) {
+    const escaped = escapeHtml(payload);
+    assert.doesNotMatch(escaped, /[<>"'`]/, payload);
+  }
+});
+
+test('escapeHtml turns missing values into empty text and stringifies the rest', () => {
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(42), '42');
+  assert.equal(escapeHtml(['<b>']), '&lt;b&gt;');
+});
+
+test('safeUrl drops script, data and protocol-relative URLs', () => {
+  for (const payload of URL_PAYLOADS) {
+    assert.equal(safeUrl(payload), '', JSON.stringify(payload));
+  }
+});
+
+test('safeUrl keeps web and root-relative URLs and rejects non-strings', () => {
+  assert.equal(safeUrl('https://instagram.com/amani'), 'https://instagram.com/amani');
+  assert.equal(safeUrl('instagram.com/amani'), 'https://instagram.com/amani');
+  assert.equal(safeUrl('/uploads/photo.jpg'), '/uploads/photo.jpg');
+  assert.equal(safeUrl('https://example.com/"><script>'), 'https://example.com/%22%3E%3Cscript%3E');
+  assert.equal(safeUrl({ toString: () => 'javascript:alert(1)' }), '');
+  assert.equal(safeUrl('mailto:a@example.com'), '');
+  assert.equal(safeUrl('mailto:a@example.com', { schemes: ['mailto:'] }), 'mailto:a@example.com');
+});
+
+test('mailtoUrl only accepts a single plain address', () => {
+  assert.equal(mailtoUrl('amani@example.com'), 'mailto:amani@example.com');
+  assert.equal(mailtoUrl('a@example.com?bcc=all@example.com'), '');
+  assert.equal(mailtoUrl('"><script>@example.com'), '');
+});
+
+test('renderMarkdown escapes raw HTML', () => {
+  for (const payload of TEXT_PAYLOADS) {
+    const html = renderMarkdown(payload);
+    assert.doesNotMatch(html, SCRIPT_TAG, payload);
+    assert.doesNotMatch(html, EVENT_HANDLER, payload);
+  }
+});
+
+test('renderMarkdown drops links and images with unsafe URLs', () => {
+  const payloads = [
+    '[click](javascript:alert(1))',
+    '[click](JAVASCRIPT:alert(1))',
+    '[click](java&#x09;script:alert(1))',
+    '[click](data:text/html;base64,PHNjcmlwdD4=)',
+    '[click][ref]\n\n[ref]: javascript:alert(1)',
+    '<javascript:alert(1)>',
+    '![x](javascript:alert(1))',
+    '![x](data:image/svg+xml,<svg/onload=alert(1)>)',
+    '[x](https://example.com" onmouseover="alert(1))',
+    '![x](https://example.com/a.png"onerror="alert(1))'
+  ];
+  for (const payload of payloads) {
+    const html = renderMarkdown(payload);
+    assert.doesNotMatch(html, UNSAFE_URL, payload);
+    assert.doesNotMatch(html, EVENT_HANDLER, payload);
+    assert.doesNotMatch(html, SCRIPT_TAG, payload);
+  }
+});
+
+test('renderMarkdown keeps safe links and opens them in a new tab', () => {
+  const html = renderMarkdown('See [my reel](https://example.com/reel) and ![me](/uploads/me.jpg)');
+  assert.match(html, /<a href="https:\/\/example\.com\/reel" target="_blank" rel="noopener noreferrer nofollow">my reel<\/a>/);
+  assert.match(html, /<img src="\/uploads\/me\.jpg" alt="me">/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  opportunityStatus,
+  normalizeOpportunity,
+  parseFilters,
+  compareOpportunities,
+  ACTIVE_STATUSES,
+  STATUSES
+} = require('../lib/opportunities');
+
+const at = iso => new Date(iso);
+
+const valid = {
+  title: 'Dancers wanted',
+  type: 'audition',
+  organizer: 'Nairobi Dance Company',
+  description: 'Open call for contemporary dancers.',
+  location: 'Nairobi',
+  locationKey: 'nairobi'
+};
+
+test('opportunityStatus opens at the start of opensOn in East Africa Time', () => {
+  const opportunity = { opensOn: '2027-03-01', deadline: '2027-06-30' };
+  assert.equal(opportunityStatus(opportunity, at('2027-02-28T20:59:59.999Z')), 'upcoming');
+  assert.equal(opportunityStatus(opportunity, at('2027-02-28T21:00:00Z')), 'open');
+});
+
+test('opportunityStatus closes at the end of the deadline in East Africa Time', () => {
+  const opportunity = { deadline: '2027-03-10' };
+  assert.equal(opportunityStatus(opportunity, at('2027-03-10T20:59:59.999Z')), 'closing-soon');
+  assert.equal(opportunityStatus(opportunity, at('2027-03-10T21:00:00Z')), 'closed');
+});
+
+test('opportunityStatus is closing soon from seven days before it closes', () => {
+  const opportunity = { deadline: '2027-03-10' };
+  assert.equal(opportunityStatus(opportunity, at('2027-03-03T20:59:59.999Z')), 'open');
+  assert.equal(opportunityStatus(opportunity, at('2027-03-03T21:00:00Z')), 'closing-soon');
+});
+
+test('opportunityStatus keeps an opportunity without a deadline open', () => {
+  assert.equal(opportunityStatus({}, at('2040-01-01T00:00:00Z')), 'open');
+  assert.equal(opportunityStatus({ opensOn: '2027-03-01' }, at('2027-02-01T00:00:00Z')), 'upcoming');
+});
+
+test('normalizeOpportunity accepts a complete opportunity and clears missing optional fields', () => {
+  const { fields, errors } = normalizeOpportunity({ ...valid, locationKey: 'Dar-Es-Salaam', tags: ['dance', 'dance'] });
+  assert.deepEqual(errors, []);
+  assert.equal(fields.locationKey, 'dar-es-salaam');
+  assert.deepEqual(fields.tags, ['dance']);
+  assert.equal(fields.deadline, null);
+  assert.equal(fields.acceptsApplications, true);
+  assert.equal(fields.featured, undefined);
+});
+
+test('normalizeOpportunity rejects location keys that are not hyphen-separated words', () => {
+  ['nairobi-', '-nairobi', 'a--b', 'n', 'nairobi2', 'x'.repeat(41)].forEach(locationKey => {
+    const { errors } = normalizeOpportunity({ ...valid, locationKey });
+    assert.deepEqual(errors, ['locationKey must be a lowercase place name such as nairobi or online'], locationKey);
+  });
+});
+
+test('normalizeOpportunity checks only the fields present when partial', () => {
+  const { fields, errors } = normalizeOpportunity({ deadline: '2027-02-30', featured: true }, { partial: true });
+  assert.deepEqual(errors, ['deadline must be a date (YYYY-MM-DD)']);
+  assert.deepEqual(Object.keys(fields), ['deadline']);
+});
+
+test('normalizeOpportunity lets only admins feature an opportunity', () => {
+  assert.equal(normalizeOpportunity({ ...valid, featured: true }, { isAdmin: true }).fields.featured, true);
+  assert.deepEqual(normalizeOpportunity({ ...valid, featured: 'yes' }, { isAdmin: true }).errors, ['featured must be true or false']);
+});
+
+test('parseFilters lists active opportunities by default and every one for status=all', () => {
+  assert.deepEqual(parseFilters({}).filters.statuses, ACTIVE_STATUSES);
+  assert.deepEqual(parseFilters({ status: 'all' }).filters.statuses, STATUSES);
+  const { filters, errors } = parseFilters({ type: 'gig,job', status: 'open', location: 'Mombasa', q: ' drums ', featured: 'true' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters, { types: ['gig', 'job'], location: 'mombasa', statuses: ['open'], q: 'drums', featured: true });
+});
+
+test('parseFilters rejects unknown types and statuses and malformed locations', () => {
+  const { errors } = parseFilters({ type: 'party', status: 'open,gone', location: 'nairobi-', q: 'x'.repeat(101) });
+  assert.equal(errors.length, 4);
+  assert.match(errors[2], /^location must be a location key/);
+});
+
+test('compareOpportunities puts featured first, then the nearest deadline, then the newest', () => {
+  const list = [
+    { id: 'none-old', deadline: null, createdAt: '2027-01-01' },
+    { id: 'late', deadline: '2027-05-01', createdAt: '2027-01-01' },
+    { id: 'none-new', deadline: null, createdAt: '2027-01-02' },
+    { id: 'soon', deadline: '2027-04-01', createdAt: '2027-01-01' },
+    { id: 'featured', featured: true, deadline: '2027-09-01', createdAt: '2027-01-01' }
+  ];
+  assert.deepEqual(list.sort(compareOpportunities).map(opportunity => opportunity.id), ['featured', 'soon', 'late', 'none-new', 'none-old']);
+});
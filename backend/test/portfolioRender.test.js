@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTemplateData } = require('../lib/templateData');
+const { renderPortfolio, templateIds } = require('../lib/templates');
+
+const XSS = '<script>alert(1)</script><img src=x onerror=alert(1)>';
+
+// An artist who put a payload in every free-text field and unsafe URLs in every link
+const artist = {
+  name: `Amani ${XSS}`,
+  email: '"><script>alert(1)</script>@example.com',
+  phone: '+254 700 000 000<script>alert(1)</script>',
+  title: `Dancer ${XSS}`,
+  category: 'dancer',
+  experience: 'advanced',
+  genres: ['Afro-fusion', XSS],
+  location: { city: `Nairobi ${XSS}`, country: 'Kenya' },
+  socialLinks: {
+    instagram: 'javascript:alert(1)',
+    youtube: 'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    tiktok: 'java\tscript:alert(1)',
+    facebook: '//evil.example/x.js',
+    twitter: 'https://twitter.com/amani" onmouseover="alert(1)',
+    website: 'https://amani.example/'
+  },
+  files: []
+};
+
+const portfolio = {
+  title: `Showreel ${XSS}`,
+  description: `About ${XSS}`,
+  sections: [
+    {
+      id: 'about',
+      type: 'about',
+      title: `About ${XSS}`,
+      visible: true,
+      order: 0,
+      content: [
+        XSS,
+        '[click](javascript:alert(1))',
+        '![x](data:image/svg+xml,<svg/onload=alert(1)>)',
+        '<a href="javascript:alert(1)">raw</a>'
+      ].join('\n\n')
+    },
+    {
+      id: 'testimonials',
+      type: 'testimonials',
+      title: 'Testimonials',
+      visible: true,
+      order: 1,
+      items: [{ quote: XSS, author: `"><svg onload=alert(1)>`, source: XSS }]
+    },
+    {
+      id: 'shows',
+      type: 'shows',
+      title: 'Shows',
+      visible: true,
+      order: 2,
+      items: [{ title: XSS, date: '2999-01-01', venue: XSS, city: XSS, ticketUrl: 'javascript:alert(1)' }]
+    }
+  ]
+};
+
+// Attribute names of every tag in the page; quoted values are dropped first so escaped text
+// such as content="... onerror=..." isn't mistaken for an attribute
+function attributeNames(html) {
+  return (html.match(/<[a-z][^>]*>/gi) || [])
+    .map(tag => tag.replace(/"[^"]*"|'[^']*'/g, '""'))
+    .flatMap(tag => tag.match(/\s[a-z-]+(?==)/gi) || [])
+    .map(name => name.trim().toLowerCase());
+}
+
+for (const templateId of templateIds()) {
+  test(`the ${templateId} template renders artist input as inert text`, () => {
+    const html = renderPortfolio(buildTemplateData(artist, portfolio), templateId);
+
+    assert.doesNotMatch(html, /<script>alert/i);
+    assert.deepEqual(attributeNames(html).filter(name => name.startsWith('on')), []);
+    assert.doesNotMatch(html, /(href|src)\s*=\s*["']?\s*(javascript|data|vbscript):/i);
+    assert.doesNotMatch(html, /(href|src)\s*=\s*["']?\/\/evil/i);
+    assert.match(html, /Amani &lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /https:\/\/amani\.example\//);
+  });
+}
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const store = require('../storage');
+const revisions = require('../lib/revisions');
+
+test('recordRevision', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'katikaname-revisions-'));
+  await store.connect({ driver: 'json', dataDir: dir });
+  t.after(async () => {
+    await store.disconnect();
+    await fs.remove(dir);
+  });
+
+  await t.test('numbers concurrent saves of a portfolio one after another', async () => {
+    const saves = ['One', 'Two', 'Three'].map(title => revisions.recordRevision({ id: 'p1', title }));
+    const numbers = (await Promise.all(saves)).map(revision => revision.number);
+    assert.deepEqual(numbers, [1, 2, 3]);
+  });
+
+  await t.test('skips a save that changes nothing', async () => {
+    assert.equal(await revisions.recordRevision({ id: 'p1', title: 'Three' }), null);
+    assert.equal((await revisions.recordRevision({ id: 'p2', title: 'Three' })).number, 1);
+  });
+});
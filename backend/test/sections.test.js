@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSections } = require('../lib/sections');
+
+const about = (id, content = 'Dancer from Nairobi') => ({ id, type: 'about', content });
+
+test('normalizeSections keeps distinct ids and generates missing ones', () => {
+  const { sections, errors } = normalizeSections([about('intro'), about(undefined), about('bio')]);
+  assert.deepEqual(errors, []);
+  assert.equal(sections.length, 3);
+  assert.equal(new Set(sections.map(section => section.id)).size, 3);
+});
+
+test('normalizeSections rejects a section id that is already used', () => {
+  const { sections, errors } = normalizeSections([about('intro'), about('bio'), about('intro', 'Again')]);
+  assert.deepEqual(errors, ['sections[2].id "intro" is already used by another section']);
+  assert.deepEqual(sections.map(section => section.id), ['intro', 'bio']);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const store = require('../storage');
+const slugs = require('../lib/slugs');
+
+test('slug assignment', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'katikaname-slugs-'));
+  await store.connect({ driver: 'json', dataDir: dir });
+  t.after(async () => {
+    await store.disconnect();
+    await fs.remove(dir);
+  });
+
+  await t.test('refuses a slug held by another portfolio, current or retired', async () => {
+    await slugs.assignSlug('p1', 'amani');
+    await slugs.assignSlug('p1', 'amani-dance');
+    await assert.rejects(slugs.assignSlug('p2', 'amani'), { code: 'SLUG_TAKEN' });
+    await assert.rejects(slugs.assignSlug('p2', 'amani-dance'), { code: 'SLUG_TAKEN' });
+    assert.deepEqual(await slugs.resolveSlug('amani'), { portfolioId: 'p1', slug: 'amani-dance' });
+  });
+
+  await t.test('gives a free slug to only one of two concurrent claims', async () => {
+    const results = await Promise.allSettled([slugs.assignSlug('p3', 'zawadi'), slugs.assignSlug('p4', 'zawadi')]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.code, 'SLUG_TAKEN');
+  });
+
+  await t.test('revertSlug restores the previous slug and releases a new one', async () => {
+    const change = await slugs.assignSlug('p1', 'amani-music');
+    assert.equal((await slugs.resolveSlug('amani-music')).portfolioId, 'p1');
+
+    await slugs.revertSlug(change);
+    assert.equal(await slugs.resolveSlug('amani-music'), null);
+    assert.deepEqual(await slugs.resolveSlug('amani'), { portfolioId: 'p1', slug: 'amani-dance' });
+    await slugs.assignSlug('p2', 'amani-music');
+  });
+});
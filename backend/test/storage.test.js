@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createJsonDriver } = require('../storage/jsonDriver');
+const { createSqliteDriver } = require('../storage/sqliteDriver');
+
+// Both drivers must behave the same, so every test runs against each
+const drivers = {
+  json: dir => createJsonDriver({ dataDir: dir }),
+  sqlite: dir => createSqliteDriver({ sqliteFile: path.join(dir, 'test.db') })
+};
+
+for (const [name, createDriver] of Object.entries(drivers)) {
+  test(`${name} driver`, async t => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), `katikaname-${name}-`));
+    const log = console.log;
+    console.log = () => {}; // migration messages
+    const driver = await createDriver(dir);
+    console.log = log;
+    t.after(async () => {
+      await driver.close();
+      await fs.remove(dir);
+    });
+
+    await t.test('matches equality filters, including booleans and null', async () => {
+      const jobs = await driver.collection('jobs');
+      await jobs.create({ status: 'queued', urgent: true, finishedAt: null });
+      await jobs.create({ status: 'done', urgent: false, finishedAt: '2026-01-01' });
+
+      assert.equal((await jobs.find({ status: 'queued' })).length, 1);
+      assert.equal((await jobs.find({ urgent: false })).length, 1);
+      assert.equal((await jobs.findOne({ finishedAt: null })).status, 'queued');
+      assert.equal(await jobs.countDocuments({}), 2);
+    });
+
+    await t.test('rejects array and object filter values', async () => {
+      const jobs = await driver.collection('jobs');
+      for (const filter of [{ status: ['queued'] }, { status: { $ne: 'done' } }]) {
+        await assert.rejects(jobs.find(filter), /Invalid filter value for status/);
+        await assert.rejects(jobs.findOne(filter), /Invalid filter value for status/);
+        await assert.rejects(jobs.countDocuments(filter), /Invalid filter value for status/);
+        await assert.rejects(jobs.deleteMany(filter), /Invalid filter value for status/);
+      }
+      assert.equal(await jobs.countDocuments({}), 2);
+    });
+
+    await t.test('enforces unique keys on create and update', async () => {
+      const slugs = await driver.collection('slugs');
+      await slugs.create({ slug: 'amani', portfolioId: 'p1' });
+      const other = await slugs.create({ slug: 'zawadi', portfolioId: 'p2' });
+
+      await assert.rejects(slugs.create({ slug: 'amani', portfolioId: 'p2' }), { code: 'DUPLICATE_KEY' });
+      await assert.rejects(slugs.findByIdAndUpdate(other.id, { slug: 'amani' }), { code: 'DUPLICATE_KEY' });
+      assert.equal((await slugs.findById(other.id)).slug, 'zawadi');
+
+      const revisions = await driver.collection('revisions');
+      await revisions.create({ portfolioId: 'p1', number: 1 });
+      await revisions.create({ portfolioId: 'p2', number: 1 });
+      await assert.rejects(revisions.create({ portfolioId: 'p1', number: 1 }), { code: 'DUPLICATE_KEY' });
+    });
+  });
+}